@@ -11,12 +11,14 @@ import optionsUIWorker from './options_ui/service_worker.js'
 import optionsWorker from './options/service_worker.js'
 import manualWorker from './manual/service_worker.js'
 import RecentTabsManager from './recent_tabs_manager.js'
+import JumpListManager from './jump_list_manager.js'
+import { resolvePageBindings } from './page_rules.js'
+import * as scrollAmounts from './scroll_amounts.js'
+import { resetTabMarks, updateTabMarks } from './tab_marks.js'
+import { cleanUpInactiveTabs, onNotificationButtonClicked, onNotificationClosed } from './inactive_tabs.js'
+import { applyTabGroupingRules } from './tab_grouping_rules.js'
 import SuggestionEngine, { SuggestionType } from './suggestion_engine/suggestion_engine.js'
 
-const { compare: versionCompare } = new Intl.Collator('en-US', {
-  numeric: true
-})
-
 const GITHUB_CLIENT_ID = 'Iv23li6lFzqnGeI4uAv6'
 
 const GITHUB_MAINTAINER_LOGINS = new Set([
@@ -35,6 +37,17 @@ const CHECK_SPONSORSHIP_ALARM_DELAY = 0
 
 const CHECK_SPONSORSHIP_ALARM_PERIOD = 1_440
 
+// How often inactive tabs are cleaned up, in minutes, when enabled.
+const CLEAN_UP_INACTIVE_TABS_ALARM_PERIOD = 15
+
+// Local storage items that web pages do not depend on.
+const PAGE_INDEPENDENT_STORAGE_KEYS = new Set([
+  'commandHistory',
+  'recentTabIdentities',
+  'tabMarks',
+  'workspaces',
+])
+
 const { TAB_GROUP_ID_NONE } = chrome.tabGroups
 
 const {
@@ -162,14 +175,14 @@ const MACOS_CHROME_COMMAND_SHORTCUT_REGEX = /^(?<ctrlKey>⌃)?(?<altKey>⌥)?(?<
 
 const recentTabsManager = new RecentTabsManager
 
-const suggestionEngine = new SuggestionEngine({
-  recentTabsManager
-})
+const jumpListManager = new JumpListManager
 
 const suggestionLabels = new Map([
   [SuggestionType.OpenTab, chrome.i18n.getMessage('openTabSuggestionLabel')],
   [SuggestionType.ClosedTab, chrome.i18n.getMessage('closedTabSuggestionLabel')],
   [SuggestionType.SyncedTab, chrome.i18n.getMessage('syncedTabSuggestionLabel')],
+  [SuggestionType.TabMark, chrome.i18n.getMessage('tabMarkSuggestionLabel')],
+  [SuggestionType.Workspace, chrome.i18n.getMessage('workspaceSuggestionLabel')],
   [SuggestionType.Bookmark, chrome.i18n.getMessage('bookmarkSuggestionLabel')],
   [SuggestionType.ReadingList, chrome.i18n.getMessage('readingListSuggestionLabel')],
   [SuggestionType.History, chrome.i18n.getMessage('historySuggestionLabel')],
@@ -177,6 +190,11 @@ const suggestionLabels = new Map([
   [SuggestionType.Extension, chrome.i18n.getMessage('extensionSuggestionLabel')],
 ])
 
+const suggestionEngine = new SuggestionEngine({
+  recentTabsManager,
+  suggestionLabels
+})
+
 /**
  * Cache where we will expose the data we retrieve from the storage.
  *
@@ -189,9 +207,17 @@ const suggestionLabels = new Map([
  * @property {KeyboardMapping[]} commandBindings
  * @property {KeyboardMapping[]} paletteBindings
  * @property {KeyboardMapping[]} pageBindings
+ * @property {PageRule[]} pageRules
+ * @property {MatchMode} paletteMatchMode
+ * @property {InactiveTabCleanupPolicy} inactiveTabCleanup
+ * @property {Object<string, CommandConfirmation>} commandConfirmations
+ * @property {TabGroupingRule[]} tabGroupingRules
+ * @property {DuplicateTabNormalization} duplicateTabNormalization
+ * @property {boolean} sortTabGroupsAsUnits
  * @property {KeyboardMapping[]} chromeCommandBindings
  * @property {string[]} popupStyleSheet
  * @property {string[]} externallyConnectableMatches
+ * @property {number} schemaVersion
  * @property {string} homePage
  * @property {string} themeStorePage
  * @property {string} manualPage
@@ -528,6 +554,8 @@ async function onInstall() {
     })
   }
 
+  await updateCleanUpInactiveTabsAlarm()
+
   const tabs = await chrome.tabs.query({
     active: true,
     lastFocusedWindow: true,
@@ -549,13 +577,9 @@ async function onInstall() {
  * @returns {Promise<void>}
  */
 async function onUpdate(previousVersion) {
-  if (versionCompare(previousVersion, '0.21.0') < 0) {
-    const defaults = await optionsWorker.getDefaults()
-
-    await chrome.storage.sync.set(
-      defaults,
-    )
-  }
+  await optionsWorker.migrateStoredOptions(
+    previousVersion,
+  )
 
   createMenuItems()
 
@@ -575,6 +599,8 @@ async function onUpdate(previousVersion) {
   } else {
     await enableExtensionFeatures()
   }
+
+  await updateCleanUpInactiveTabsAlarm()
 }
 
 /**
@@ -603,7 +629,32 @@ async function onStartup() {
     await enableExtensionFeatures()
   }
 
+  await updateCleanUpInactiveTabsAlarm()
+
   recentTabsManager.onStartup()
+  resetTabMarks()
+}
+
+/**
+ * Creates or clears the alarm to clean up inactive tabs,
+ * depending on whether the inactive tab cleanup policy is enabled.
+ * An existing alarm is kept, so that its schedule is not reset.
+ *
+ * @returns {Promise<void>}
+ */
+async function updateCleanUpInactiveTabsAlarm() {
+  if (storageCache.inactiveTabCleanup?.enabled) {
+    const alarm = await chrome.alarms.get('cleanUpInactiveTabs')
+
+    if (!alarm) {
+      await chrome.alarms.create('cleanUpInactiveTabs', {
+        delayInMinutes: CLEAN_UP_INACTIVE_TABS_ALARM_PERIOD,
+        periodInMinutes: CLEAN_UP_INACTIVE_TABS_ALARM_PERIOD,
+      })
+    }
+  } else {
+    await chrome.alarms.clear('cleanUpInactiveTabs')
+  }
 }
 
 /**
@@ -761,7 +812,12 @@ async function updateTabsAfterOptionsChange() {
     tabs.map((tab) =>
       chrome.tabs.sendMessage(tab.id, {
         type: 'stateSync',
-        pageBindings: storageCache.pageBindings,
+        scrollAmounts: { ...scrollAmounts },
+        pageBindings: resolvePageBindings(
+          storageCache.pageBindings,
+          storageCache.pageRules,
+          tab.url
+        ),
       })
     )
   )
@@ -783,13 +839,18 @@ function onOptionsChange(changes, areaName) {
         storageCache[key] = changes[key].newValue
       }
       updateTabsAfterOptionsChange()
+      if ('inactiveTabCleanup' in changes) {
+        updateCleanUpInactiveTabsAlarm()
+      }
       break
 
     case 'local':
       for (const key in changes) {
         storageCache[key] = changes[key].newValue
       }
-      updateTabsAfterOptionsChange()
+      if (Object.keys(changes).some((key) => !PAGE_INDEPENDENT_STORAGE_KEYS.has(key))) {
+        updateTabsAfterOptionsChange()
+      }
       break
 
     case 'session':
@@ -812,14 +873,29 @@ function onOptionsChange(changes, areaName) {
 async function onCommand(commandNameWithIndex, tab) {
   const commandName = commandNameWithIndex.substring(COMMAND_NAME_OFFSET)
 
+  await execCommand(commandName, tab)
+}
+
+/**
+ * Executes a command with a context for the given tab.
+ *
+ * @param {string} commandName
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+async function execCommand(commandName, tab) {
   await commands[commandName]({
     tab,
     recentTabsManager,
+    jumpListManager,
     manualPage: storageCache.manualPage,
     shortcutsPage: storageCache.shortcutsPage,
     themeStorePage: storageCache.themeStorePage,
     sponsorshipPage: storageCache.sponsorshipPage,
     pageCapturePage: storageCache.pageCapturePage,
+    duplicateTabNormalization: storageCache.duplicateTabNormalization,
+    sortTabGroupsAsUnits: storageCache.sortTabGroupsAsUnits,
+    count: 1,
   })
 }
 
@@ -1000,9 +1076,17 @@ async function getDebugInfo(tabId) {
 function onMessage(message, sender) {
   switch (message.type) {
     case 'contentScriptAdded':
+      if (sender.frameId === 0) {
+        updateInputModeBadge(sender.tab.id, 'normal')
+      }
       chrome.tabs.sendMessage(sender.tab.id, {
         type: 'stateSync',
-        pageBindings: storageCache.pageBindings,
+        scrollAmounts: { ...scrollAmounts },
+        pageBindings: resolvePageBindings(
+          storageCache.pageBindings,
+          storageCache.pageRules,
+          sender.tab.url
+        ),
       }, {
         documentId: sender.documentId,
       })
@@ -1013,6 +1097,31 @@ function onMessage(message, sender) {
         windowId: sender.tab.windowId,
       })
       break
+
+    case 'inputModeChange':
+      updateInputModeBadge(sender.tab.id, message.mode)
+      break
+
+    case 'disablePageBindings':
+      chrome.tabs.sendMessage(sender.tab.id, {
+        type: 'disablePageBindings'
+      })
+      break
+
+    case 'command':
+      if (Object.hasOwn(commands, message.commandName)) {
+        execCommand(message.commandName, sender.tab).catch((error) => {
+          // Some commands fail by design outside of their context,
+          // e.g. split view commands outside of a split view.
+          console.error(error)
+        })
+      } else {
+        console.error(
+          'Unknown command: "%s"',
+          message.commandName
+        )
+      }
+      break
   }
 }
 
@@ -1028,22 +1137,60 @@ function onMessage(message, sender) {
 function onMessagePaywall(message, sender) {
   switch (message.type) {
     case 'contentScriptAdded':
+      if (sender.frameId === 0) {
+        updateInputModeBadge(sender.tab.id, 'normal')
+      }
       chrome.tabs.sendMessage(sender.tab.id, {
         type: 'stateSync',
-        pageBindings: storageCache.pageBindings,
+        scrollAmounts: { ...scrollAmounts },
+        pageBindings: resolvePageBindings(
+          storageCache.pageBindings,
+          storageCache.pageRules,
+          sender.tab.url
+        ),
       }, {
         documentId: sender.documentId,
       })
       break
 
     case 'openPopup':
+    case 'command':
       chrome.action.openPopup({
         windowId: sender.tab.windowId,
       })
       break
+
+    case 'inputModeChange':
+      updateInputModeBadge(sender.tab.id, message.mode)
+      break
+
+    case 'disablePageBindings':
+      chrome.tabs.sendMessage(sender.tab.id, {
+        type: 'disablePageBindings'
+      })
+      break
   }
 }
 
+/**
+ * Shows the input mode of page bindings on the toolbar button of the given tab.
+ * Normal mode shows no badge.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/action#badge
+ *
+ * @param {number} tabId
+ * @param {InputMode} inputMode
+ * @returns {Promise<void>}
+ */
+async function updateInputModeBadge(tabId, inputMode) {
+  await chrome.action.setBadgeText({
+    tabId,
+    text: inputMode === 'normal'
+      ? ''
+      : chrome.i18n.getMessage(`${inputMode}ModeBadgeText`)
+  })
+}
+
 /**
  * Opens the extension’s popup.
  *
@@ -1178,10 +1325,15 @@ function onConnect(port) {
     case 'popup':
       popupWorker.onConnect(port, {
         recentTabsManager,
+        jumpListManager,
         suggestionEngine,
         suggestionLabels,
         commandBindings: storageCache.commandBindings.concat(storageCache.chromeCommandBindings),
         paletteBindings: storageCache.paletteBindings,
+        paletteMatchMode: storageCache.paletteMatchMode,
+        commandConfirmations: storageCache.commandConfirmations,
+        duplicateTabNormalization: storageCache.duplicateTabNormalization,
+        sortTabGroupsAsUnits: storageCache.sortTabGroupsAsUnits,
         popupStyleSheet: storageCache.popupStyleSheet.join('\n'),
         manualPage: storageCache.manualPage,
         shortcutsPage: storageCache.shortcutsPage,
@@ -1275,6 +1427,50 @@ function onTabActivated(activeInfo) {
   recentTabsManager.onTabActivated(activeInfo)
 }
 
+/**
+ * Handles tab updates.
+ * Resolves page bindings again when the URL changes within the same document,
+ * since the content script is not reloaded.
+ * Keeps the URL and title of marked tabs up to date.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/tabs#event-onUpdated
+ *
+ * @param {number} tabId
+ * @param {object} changeInfo
+ * @param {chrome.tabs.Tab} tab
+ * @returns {void}
+ */
+function onTabUpdated(tabId, changeInfo, tab) {
+  if (changeInfo.url && storageCache.pageRules.length > 0) {
+    chrome.tabs.sendMessage(tabId, {
+      type: 'stateSync',
+      scrollAmounts: { ...scrollAmounts },
+      pageBindings: resolvePageBindings(
+        storageCache.pageBindings,
+        storageCache.pageRules,
+        changeInfo.url
+      ),
+    }).catch(() => {
+      // The content script is not loaded yet; it will request its state.
+    })
+  }
+
+  if (
+    (changeInfo.url || changeInfo.title) &&
+    Object.values(storageCache.tabMarks ?? {}).some((tabMark) => tabMark.tabId === tabId)
+  ) {
+    updateTabMarks(tab)
+  }
+
+  if (
+    (changeInfo.url || changeInfo.title) &&
+    storageCache.extensionFeaturesEnabled &&
+    storageCache.tabGroupingRules.length > 0
+  ) {
+    applyTabGroupingRules(storageCache.tabGroupingRules, tab)
+  }
+}
+
 /**
  * Handles tab closing, when a tab is closed or a window is being closed.
  *
@@ -1286,6 +1482,7 @@ function onTabActivated(activeInfo) {
  */
 function onTabRemoved(tabId, removeInfo) {
   recentTabsManager.onTabRemoved(tabId, removeInfo)
+  jumpListManager.onTabRemoved(tabId, removeInfo)
 }
 
 /**
@@ -1299,6 +1496,7 @@ function onTabRemoved(tabId, removeInfo) {
  */
 function onTabReplaced(addedTabId, removedTabId) {
   recentTabsManager.onTabReplaced(addedTabId, removedTabId)
+  jumpListManager.onTabReplaced(addedTabId, removedTabId)
 }
 
 /**
@@ -1330,6 +1528,15 @@ async function onAlarm(alarm) {
     case 'checkSponsorship':
       await checkSponsorship()
       break
+
+    case 'cleanUpInactiveTabs':
+      if (
+        storageCache.extensionFeaturesEnabled &&
+        storageCache.inactiveTabCleanup?.enabled
+      ) {
+        await cleanUpInactiveTabs(storageCache.inactiveTabCleanup)
+      }
+      break
   }
 }
 
@@ -1447,6 +1654,9 @@ const allStorageLoaded = Promise.all([
 
   recentTabsManager
     .restoreState(),
+
+  jumpListManager
+    .restoreState(),
 ])
 
 // Set up listeners.
@@ -1521,6 +1731,12 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
   })
 })
 
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  allStorageLoaded.then(() => {
+    onTabUpdated(tabId, changeInfo, tab)
+  })
+})
+
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   allStorageLoaded.then(() => {
     onTabRemoved(tabId, removeInfo)
@@ -1544,3 +1760,11 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     onAlarm(alarm)
   })
 })
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  onNotificationButtonClicked(notificationId, buttonIndex)
+})
+
+chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+  onNotificationClosed(notificationId, byUser)
+})
@@ -0,0 +1,147 @@
+// This module contains the code to record command executions,
+// and to rank commands by frecency—a combination of frequency and recency.
+//
+// The history is kept in the local storage area, with the last timestamps of each command.
+//
+// Frecency: https://firefox-source-docs.mozilla.org/browser/urlbar/ranking.html
+
+/**
+ * @typedef {object} CommandHistoryEntry
+ * @property {number} count
+ * @property {number[]} timestamps
+ */
+
+const DAY = 24 * 60 * 60 * 1000
+
+// The number of timestamps kept for each command.
+const MAX_SAMPLES = 10
+
+// Weights of executions, by age.
+const RECENCY_WEIGHTS = [
+  { maxAge: 4 * DAY, weight: 100 },
+  { maxAge: 14 * DAY, weight: 70 },
+  { maxAge: 31 * DAY, weight: 50 },
+  { maxAge: 90 * DAY, weight: 30 },
+  { maxAge: Infinity, weight: 10 },
+]
+
+/**
+ * Executions are recorded one at a time,
+ * so that concurrent records do not overwrite each other.
+ *
+ * @type {Promise<void>}
+ */
+let pendingRecord = Promise.resolve()
+
+/**
+ * Records a command execution.
+ *
+ * @param {string} commandName
+ * @returns {Promise<void>}
+ */
+export function recordCommand(commandName) {
+  pendingRecord = pendingRecord
+    .then(() => updateCommandHistory(commandName))
+    .catch((error) => {
+      console.error(error)
+    })
+
+  return pendingRecord
+}
+
+/**
+ * Retrieves the frecency of each command in the history.
+ *
+ * The frecency is the number of executions,
+ * times the average weight of the recent ones.
+ *
+ * @returns {Promise<Object<string, number>>}
+ */
+export async function getCommandFrecencies() {
+  const commandHistory = await getCommandHistory()
+  const now = Date.now()
+
+  return Object.fromEntries(
+    Object.entries(commandHistory).map(([commandName, { count, timestamps }]) => {
+      const totalWeight = timestamps.reduce((totalWeight, timestamp) =>
+        totalWeight + getRecencyWeight(now - timestamp), 0
+      )
+      return [commandName, count * totalWeight / timestamps.length]
+    })
+  )
+}
+
+/**
+ * Retrieves the names of commands in the history,
+ * in the order of most recently used.
+ *
+ * @param {number} limit
+ * @returns {Promise<string[]>}
+ */
+export async function getRecentCommands(limit) {
+  const commandHistory = await getCommandHistory()
+
+  return Object.entries(commandHistory)
+    .toSorted(([, entry], [, otherEntry]) =>
+      otherEntry.timestamps.at(-1) - entry.timestamps.at(-1)
+    )
+    .slice(0, limit)
+    .map(([commandName]) => commandName)
+}
+
+/**
+ * Clears the command history.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearCommandHistory() {
+  await chrome.storage.local.remove('commandHistory')
+}
+
+/**
+ * Adds a command execution to the history in the local storage area.
+ *
+ * @param {string} commandName
+ * @returns {Promise<void>}
+ */
+async function updateCommandHistory(commandName) {
+  const commandHistory = await getCommandHistory()
+  const { count, timestamps } = commandHistory[commandName] ?? {
+    count: 0,
+    timestamps: []
+  }
+
+  commandHistory[commandName] = {
+    count: count + 1,
+    timestamps: timestamps.concat(Date.now()).slice(-MAX_SAMPLES)
+  }
+
+  await chrome.storage.local.set({
+    commandHistory
+  })
+}
+
+/**
+ * Retrieves the command history from the local storage area.
+ *
+ * @returns {Promise<Object<string, CommandHistoryEntry>>}
+ */
+async function getCommandHistory() {
+  const localStorage = await chrome.storage.local.get({
+    commandHistory: {}
+  })
+
+  return localStorage.commandHistory
+}
+
+/**
+ * Returns the weight of an execution, given its age in milliseconds.
+ *
+ * @param {number} age
+ * @returns {number}
+ */
+function getRecencyWeight(age) {
+  return RECENCY_WEIGHTS
+    .find(({ maxAge }) => age < maxAge)
+    .weight
+}
@@ -0,0 +1,171 @@
+// This module contains the code to preview destructive commands—the tabs
+// and tab groups they would close—so that they can be confirmed first.
+//
+// Each command asks for confirmation always, above a number of tabs, or never,
+// as set in the `commandConfirmations` option.
+
+import {
+  findInactiveTabs,
+} from './inactive_tabs.js'
+
+/**
+ * @typedef {object} CommandConfirmation
+ * @property {"always" | "aboveTabCount" | "never"} mode
+ * @property {number} tabCount
+ *
+ * @typedef {object} CommandPreview
+ * @property {chrome.tabs.Tab[]} tabs
+ * @property {number[]} groupIds
+ */
+
+const { TAB_GROUP_ID_NONE } = chrome.tabGroups
+
+// The inactivity threshold of each “Close all inactive tabs” command, in milliseconds.
+export const INACTIVE_TAB_THRESHOLDS = {
+  closeInactiveTabsFor15MinutesOrMore: 900_000,
+  closeInactiveTabsFor1HourOrMore: 3_600_000,
+  closeInactiveTabsFor24HoursOrMore: 86_400_000,
+  closeInactiveTabsFor7DaysOrMore: 604_800_000,
+  closeInactiveTabsFor14DaysOrMore: 1_209_600_000,
+}
+
+/**
+ * Finds the tabs closed by “Close other tabs”:
+ * the unpinned tabs of the window that are not selected.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+export async function findOtherTabs(tab) {
+  return chrome.tabs.query({
+    highlighted: false,
+    pinned: false,
+    windowId: tab.windowId
+  })
+}
+
+/**
+ * Finds the tabs closed by “Close tabs to the right”:
+ * the unpinned tabs to the right of the last selected tab.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+export async function findRightTabs(tab) {
+  const tabs = await chrome.tabs.query({
+    windowId: tab.windowId
+  })
+
+  return tabs
+    .slice(tabs.findLast((tab) => tab.highlighted).index + 1)
+    .filter((tab) => !tab.pinned)
+}
+
+/**
+ * Finds the tabs and tab groups closed by “Close all inactive tabs”,
+ * in the window of the given tab.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @param {number} threshold
+ * @returns {Promise<CommandPreview>}
+ */
+export async function findInactiveTabsInWindow(tab, threshold) {
+  const tabs = await chrome.tabs.query({
+    active: false,
+    pinned: false,
+    windowId: tab.windowId,
+  })
+
+  return findInactiveTabs(tabs, tab.groupId, threshold)
+}
+
+/**
+ * Previews a command, with the given tab as the current tab.
+ * Returns the tabs and tab groups the command would close,
+ * or null if the command cannot be previewed.
+ *
+ * @param {string} commandName
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<?CommandPreview>}
+ */
+export async function previewCommand(commandName, tab) {
+  switch (commandName) {
+    case 'closeOtherTabs':
+      return previewClosedTabs(tab.windowId, await findOtherTabs(tab))
+
+    case 'closeRightTabs':
+      return previewClosedTabs(tab.windowId, await findRightTabs(tab))
+
+    case 'closeWindow':
+      return previewClosedTabs(tab.windowId, await chrome.tabs.query({
+        windowId: tab.windowId
+      }))
+
+    case 'closeInactiveTabsFor15MinutesOrMore':
+    case 'closeInactiveTabsFor1HourOrMore':
+    case 'closeInactiveTabsFor24HoursOrMore':
+    case 'closeInactiveTabsFor7DaysOrMore':
+    case 'closeInactiveTabsFor14DaysOrMore':
+      return findInactiveTabsInWindow(tab, INACTIVE_TAB_THRESHOLDS[commandName])
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Determines whether a command preview must be confirmed,
+ * given the confirmation setting of the command.
+ * A command closing no tabs is never confirmed.
+ *
+ * @param {CommandConfirmation} confirmation
+ * @param {CommandPreview} preview
+ * @returns {boolean}
+ */
+export function requiresConfirmation(confirmation, preview) {
+  switch (confirmation.mode) {
+    case 'always':
+      return preview.tabs.length > 0
+
+    case 'aboveTabCount':
+      return preview.tabs.length > confirmation.tabCount
+
+    case 'never':
+      return false
+  }
+}
+
+/**
+ * Creates the preview of closing tabs in a window.
+ * Tab groups are closed along with their last tab.
+ *
+ * @param {number} windowId
+ * @param {chrome.tabs.Tab[]} closedTabs
+ * @returns {Promise<CommandPreview>}
+ */
+async function previewClosedTabs(windowId, closedTabs) {
+  const tabs = await chrome.tabs.query({
+    windowId
+  })
+
+  const closedTabIds = new Set(
+    closedTabs.map((tab) => tab.id)
+  )
+
+  const tabsByGroup = Map.groupBy(tabs, (tab) => tab.groupId)
+
+  tabsByGroup.delete(TAB_GROUP_ID_NONE)
+
+  const groupIds = []
+
+  for (const [groupId, tabs] of tabsByGroup) {
+    if (tabs.every((tab) => closedTabIds.has(tab.id))) {
+      groupIds.push(groupId)
+    }
+  }
+
+  return {
+    tabs: closedTabs,
+    groupIds
+  }
+}
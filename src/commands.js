@@ -5,6 +5,9 @@
 // to the `"commands"` object in the extension’s manifest. The command signature
 // must be a function of one argument (a context received by the service worker).
 //
+// The context carries a count—typed as a numeric prefix in the popup—that
+// commands may honor to repeat their effect.
+//
 // Manifest: https://developer.chrome.com/docs/extensions/reference/manifest
 // Commands: https://developer.chrome.com/docs/extensions/reference/api/commands
 
@@ -12,15 +15,20 @@
  * @typedef {object} CommandContext
  * @property {chrome.tabs.Tab} tab
  * @property {RecentTabsManager} recentTabsManager
+ * @property {JumpListManager} jumpListManager
  * @property {string} manualPage
  * @property {string} shortcutsPage
  * @property {string} themeStorePage
  * @property {string} sponsorshipPage
  * @property {string} pageCapturePage
+ * @property {DuplicateTabNormalization} duplicateTabNormalization
+ * @property {boolean} sortTabGroupsAsUnits
+ * @property {number} count
  */
 
 import {
   chunk,
+  clamp,
   dropWhile,
   getISODateString,
   modulo,
@@ -43,13 +51,46 @@ import {
   writeTextToClipboard,
 } from './injectable_scripts.js'
 
+import {
+  LONG_THROW_FRAME_CALIBRATION,
+  SCROLL_HALF_PAGE_FACTOR,
+  SCROLL_LINE_DELTA,
+  SCROLL_PAGE_FACTOR,
+  SHORT_THROW_FRAME_CALIBRATION,
+} from './scroll_amounts.js'
+
+import {
+  closeTabsAndGroups,
+} from './inactive_tabs.js'
+
+import {
+  INACTIVE_TAB_THRESHOLDS,
+  findInactiveTabsInWindow,
+  findOtherTabs,
+  findRightTabs,
+} from './command_previews.js'
+
+import {
+  mapTabGroups,
+} from './workspaces.js'
+
+import {
+  findDuplicateTabs,
+  getRedundantTabs,
+} from './duplicate_tabs.js'
+
+import {
+  getPublicSuffixList,
+  getRegistrableDomain,
+} from './public_suffix_list.js'
+
 // Language-sensitive string comparison
 // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/Collator
 const { compare: localeCompare } = new Intl.Collator
 
 // Constants -------------------------------------------------------------------
 
-const { SPLIT_VIEW_ID_NONE } = chrome.tabs
+const { SPLIT_VIEW_ID_NONE, TAB_ID_NONE } = chrome.tabs
 const { TAB_GROUP_ID_NONE } = chrome.tabGroups
 const { NEW_TAB: NEW_TAB_DISPOSITION } = chrome.search.Disposition
 
@@ -119,9 +160,6 @@ const PRESET_ZOOM_FACTORS = [
  */
 const PAGE_ZOOM_EPSILON = 0.001
 
-const SHORT_THROW_FRAME_CALIBRATION = [0.2, 0.2, 0.2, 0.2, 0.2]
-const LONG_THROW_FRAME_CALIBRATION = [0.001, 0.002, 0.003, 0.004, 0.99]
-
 // Enums -----------------------------------------------------------------------
 
 // Enum representing a direction.
@@ -153,12 +191,6 @@ const _highlighted = ({ highlighted }) => highlighted
  */
 const _pinned = ({ pinned }) => pinned
 
-/**
- * @param {{ audible: boolean }} object
- * @returns {boolean}
- */
-const _audible = ({ audible }) => audible
-
 /**
  * @param {{ groupId: number }} object
  * @returns {number}
@@ -1022,7 +1054,7 @@ export async function scrollDown(cx) {
     func: scrollBy,
     args: [{
       deltaX: 0,
-      deltaY: 70,
+      deltaY: SCROLL_LINE_DELTA * cx.count,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
     }]
@@ -1043,7 +1075,7 @@ export async function scrollUp(cx) {
     func: scrollBy,
     args: [{
       deltaX: 0,
-      deltaY: -70,
+      deltaY: -SCROLL_LINE_DELTA * cx.count,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
     }]
@@ -1063,7 +1095,7 @@ export async function scrollLeft(cx) {
     },
     func: scrollBy,
     args: [{
-      deltaX: -70,
+      deltaX: -SCROLL_LINE_DELTA * cx.count,
       deltaY: 0,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
@@ -1084,7 +1116,7 @@ export async function scrollRight(cx) {
     },
     func: scrollBy,
     args: [{
-      deltaX: 70,
+      deltaX: SCROLL_LINE_DELTA * cx.count,
       deltaY: 0,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
@@ -1105,7 +1137,7 @@ export async function scrollPageDown(cx) {
     },
     func: scrollByPages,
     args: [{
-      pageFactor: 0.9,
+      pageFactor: SCROLL_PAGE_FACTOR * cx.count,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
     }]
@@ -1125,7 +1157,7 @@ export async function scrollPageUp(cx) {
     },
     func: scrollByPages,
     args: [{
-      pageFactor: -0.9,
+      pageFactor: -SCROLL_PAGE_FACTOR * cx.count,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
     }]
@@ -1145,7 +1177,7 @@ export async function scrollHalfPageDown(cx) {
     },
     func: scrollByPages,
     args: [{
-      pageFactor: 0.5,
+      pageFactor: SCROLL_HALF_PAGE_FACTOR * cx.count,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
     }]
@@ -1165,7 +1197,7 @@ export async function scrollHalfPageUp(cx) {
     },
     func: scrollByPages,
     args: [{
-      pageFactor: -0.5,
+      pageFactor: -SCROLL_HALF_PAGE_FACTOR * cx.count,
       frameCalibration: SHORT_THROW_FRAME_CALIBRATION,
       cancelable: false,
     }]
@@ -1226,14 +1258,21 @@ export async function scrollToBottom(cx) {
 export async function zoomIn(cx) {
   const zoomFactor = await chrome.tabs.getZoom(cx.tab.id)
 
-  const nextHigherZoomFactor =
-    PRESET_ZOOM_FACTORS.find((presetZoomFactor) =>
+  const nextHigherZoomFactorIndex =
+    PRESET_ZOOM_FACTORS.findIndex((presetZoomFactor) =>
       presetZoomFactor > zoomFactor &&
       !zoomValuesEqual(presetZoomFactor, zoomFactor)
     )
 
-  if (nextHigherZoomFactor) {
-    await chrome.tabs.setZoom(cx.tab.id, nextHigherZoomFactor)
+  if (nextHigherZoomFactorIndex !== -1) {
+    const targetZoomFactor = PRESET_ZOOM_FACTORS[
+      clamp(
+        nextHigherZoomFactorIndex + cx.count - 1,
+        0,
+        PRESET_ZOOM_FACTORS.length - 1
+      )
+    ]
+    await chrome.tabs.setZoom(cx.tab.id, targetZoomFactor)
   }
 }
 
@@ -1248,14 +1287,21 @@ export async function zoomIn(cx) {
 export async function zoomOut(cx) {
   const zoomFactor = await chrome.tabs.getZoom(cx.tab.id)
 
-  const nextLowerZoomFactor =
-    PRESET_ZOOM_FACTORS.findLast((presetZoomFactor) =>
+  const nextLowerZoomFactorIndex =
+    PRESET_ZOOM_FACTORS.findLastIndex((presetZoomFactor) =>
       presetZoomFactor < zoomFactor &&
       !zoomValuesEqual(presetZoomFactor, zoomFactor)
     )
 
-  if (nextLowerZoomFactor) {
-    await chrome.tabs.setZoom(cx.tab.id, nextLowerZoomFactor)
+  if (nextLowerZoomFactorIndex !== -1) {
+    const targetZoomFactor = PRESET_ZOOM_FACTORS[
+      clamp(
+        nextLowerZoomFactorIndex - cx.count + 1,
+        0,
+        PRESET_ZOOM_FACTORS.length - 1
+      )
+    ]
+    await chrome.tabs.setZoom(cx.tab.id, targetZoomFactor)
   }
 }
 
@@ -1442,6 +1488,8 @@ export async function openNewIncognitoWindow(cx) {
 
 /**
  * Closes selected tabs.
+ * With a count, also closes the tabs to the right of the current tab, up to count.
+ * Skips hidden tabs—the ones whose are in collapsed tab groups.
  *
  * @param {CommandContext} cx
  * @returns {Promise<void>}
@@ -1452,9 +1500,23 @@ export async function closeTab(cx) {
     windowId: cx.tab.windowId
   })
 
-  await chrome.tabs.remove(
+  const tabIds = new Set(
     tabs.map(_id)
   )
+
+  if (cx.count > 1) {
+    const openTabs = await getOpenTabs(cx.tab.windowId)
+    const tabIndex = openTabs.findIndex(
+      (tab) => tab.id === cx.tab.id
+    )
+    for (const tab of openTabs.slice(tabIndex, tabIndex + cx.count)) {
+      tabIds.add(tab.id)
+    }
+  }
+
+  await chrome.tabs.remove(
+    Array.from(tabIds)
+  )
 }
 
 /**
@@ -1464,11 +1526,7 @@ export async function closeTab(cx) {
  * @returns {Promise<void>}
  */
 export async function closeOtherTabs(cx) {
-  const tabs = await chrome.tabs.query({
-    highlighted: false,
-    pinned: false,
-    windowId: cx.tab.windowId
-  })
+  const tabs = await findOtherTabs(cx.tab)
 
   await chrome.tabs.remove(
     tabs.map(_id)
@@ -1482,15 +1540,10 @@ export async function closeOtherTabs(cx) {
  * @returns {Promise<void>}
  */
 export async function closeRightTabs(cx) {
-  const tabs = await chrome.tabs.query({
-    windowId: cx.tab.windowId
-  })
+  const tabs = await findRightTabs(cx.tab)
 
   await chrome.tabs.remove(
-    tabs
-      .slice(tabs.findLast(_highlighted).index + 1)
-      .filter(not(_pinned))
-      .map(_id)
+    tabs.map(_id)
   )
 }
 
@@ -1504,6 +1557,39 @@ export async function closeWindow(cx) {
   await chrome.windows.remove(cx.tab.windowId)
 }
 
+/**
+ * Closes duplicate tabs across windows—tabs with equal URLs, once normalized—
+ * keeping the most recently used copy of each.
+ *
+ * NOTE: If Chrome notifications are enabled,
+ * Shortcuts will show you a message for closed tabs.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function closeDuplicateTabs(cx) {
+  const tabs = await chrome.tabs.query({})
+
+  const duplicateTabClusters = findDuplicateTabs(
+    tabs,
+    cx.recentTabsManager.getRecentTabs(),
+    cx.duplicateTabNormalization
+  )
+
+  const redundantTabs = getRedundantTabs(duplicateTabClusters)
+
+  if (redundantTabs.length > 0) {
+    await chrome.tabs.remove(
+      redundantTabs.map(_id)
+    )
+  }
+
+  await sendNotification(
+    chrome.i18n.getMessage('closeDuplicateTabsNotificationTitle'),
+    chrome.i18n.getMessage('closeDuplicateTabsNotificationMessage', redundantTabs.length.toString())
+  )
+}
+
 /**
  * Reopens previously closed tabs.
  *
@@ -1524,79 +1610,17 @@ export async function restoreTab(cx) {
  * @returns {Promise<void>}
  */
 async function closeInactiveTabs(cx, threshold) {
-  const now = Date.now()
-
-  const exceedsThreshold = tab => now - tab.lastAccessed >= threshold
+  const inactiveTabs = await findInactiveTabsInWindow(cx.tab, threshold)
 
-  const tabIds = []
-
-  const groupIds = []
-
-  const tabs = await chrome.tabs.query({
-    active: false,
-    pinned: false,
-    windowId: cx.tab.windowId,
-  })
-
-  const tabsByGroup = Map.groupBy(tabs, _groupId)
-
-  for (const [groupId, tabs] of tabsByGroup) {
-    if (groupId === TAB_GROUP_ID_NONE) {
-      for (const tab of tabs) {
-        if (tab.audible) {
-          continue
-        }
-        if (exceedsThreshold(tab)) {
-          tabIds.push(tab.id)
-        }
-      }
-    } else if (groupId !== cx.tab.groupId) {
-      if (tabs.some(_audible)) {
-        continue
-      }
-      if (tabs.every(exceedsThreshold)) {
-        groupIds.push(groupId)
-      }
-    }
-  }
+  const tabIds = inactiveTabs.tabs
+    .filter((tab) => !hasGroup(tab))
+    .map(_id)
 
   if (
     tabIds.length > 0 ||
-    groupIds.length > 0
+    inactiveTabs.groupIds.length > 0
   ) {
-    const createdWindow = await chrome.windows.create({
-      focused: false,
-      incognito: cx.tab.incognito,
-    })
-
-    const createdTab = createdWindow.tabs[0]
-
-    const moveProperties = {
-      windowId: createdWindow.id,
-      index: -1,
-    }
-
-    for (const groupId of groupIds) {
-      await chrome.tabGroups.move(
-        groupId,
-        moveProperties,
-      )
-    }
-
-    if (tabIds.length > 0) {
-      await chrome.tabs.move(
-        tabIds,
-        moveProperties,
-      )
-    }
-
-    await chrome.tabs.remove(
-      createdTab.id,
-    )
-
-    await chrome.windows.remove(
-      createdWindow.id,
-    )
+    await closeTabsAndGroups(tabIds, inactiveTabs.groupIds, cx.tab.incognito)
   }
 }
 
@@ -1607,7 +1631,7 @@ async function closeInactiveTabs(cx, threshold) {
  * @returns {Promise<void>}
  */
 export async function closeInactiveTabsFor15MinutesOrMore(cx) {
-  await closeInactiveTabs(cx, 900_000)
+  await closeInactiveTabs(cx, INACTIVE_TAB_THRESHOLDS.closeInactiveTabsFor15MinutesOrMore)
 }
 
 /**
@@ -1617,7 +1641,7 @@ export async function closeInactiveTabsFor15MinutesOrMore(cx) {
  * @returns {Promise<void>}
  */
 export async function closeInactiveTabsFor1HourOrMore(cx) {
-  await closeInactiveTabs(cx, 3_600_000)
+  await closeInactiveTabs(cx, INACTIVE_TAB_THRESHOLDS.closeInactiveTabsFor1HourOrMore)
 }
 
 /**
@@ -1627,7 +1651,7 @@ export async function closeInactiveTabsFor1HourOrMore(cx) {
  * @returns {Promise<void>}
  */
 export async function closeInactiveTabsFor24HoursOrMore(cx) {
-  await closeInactiveTabs(cx, 86_400_000)
+  await closeInactiveTabs(cx, INACTIVE_TAB_THRESHOLDS.closeInactiveTabsFor24HoursOrMore)
 }
 
 /**
@@ -1637,7 +1661,7 @@ export async function closeInactiveTabsFor24HoursOrMore(cx) {
  * @returns {Promise<void>}
  */
 export async function closeInactiveTabsFor7DaysOrMore(cx) {
-  await closeInactiveTabs(cx, 604_800_000)
+  await closeInactiveTabs(cx, INACTIVE_TAB_THRESHOLDS.closeInactiveTabsFor7DaysOrMore)
 }
 
 /**
@@ -1647,7 +1671,7 @@ export async function closeInactiveTabsFor7DaysOrMore(cx) {
  * @returns {Promise<void>}
  */
 export async function closeInactiveTabsFor14DaysOrMore(cx) {
-  await closeInactiveTabs(cx, 1_209_600_000)
+  await closeInactiveTabs(cx, INACTIVE_TAB_THRESHOLDS.closeInactiveTabsFor14DaysOrMore)
 }
 
 // Tab state -------------------------------------------------------------------
@@ -1837,6 +1861,12 @@ export async function discardTab(cx) {
 
 /**
  * Sorts selected tabs.
+ * Sorting is stable: tabs comparing equal keep their order.
+ *
+ * By default, tabs are sorted within their tab group—or among pinned tabs,
+ * or among ungrouped tabs—so that group membership is preserved.
+ * With the `sortTabGroupsAsUnits` option, tab groups are sorted as whole units
+ * along with ungrouped tabs; see `sortTabsAndGroups`.
  *
  * @param {CommandContext} cx
  * @param {(tab: chrome.tabs.Tab, otherTab: chrome.tabs.Tab) => number} compareTabs
@@ -1848,6 +1878,11 @@ async function sortTabs(cx, compareTabs) {
     windowId: cx.tab.windowId
   })
 
+  if (cx.sortTabGroupsAsUnits) {
+    await sortTabsAndGroups(cx, tabs, compareTabs)
+    return
+  }
+
   await Promise.all(
     chunk(tabs, _weakGroup).map(([, tabs]) => {
       const sortedTabs = tabs.toSorted(compareTabs)
@@ -1863,6 +1898,89 @@ async function sortTabs(cx, compareTabs) {
   )
 }
 
+/**
+ * Sorts selected tabs and their tab groups, with groups as whole units.
+ *
+ * Each tab group with a selected tab moves as one unit—with all its tabs,
+ * sorted within the group—and is ordered among the selected ungrouped tabs
+ * by its first tab. Units are laid out from the position of the first one;
+ * unselected tabs in between end up after them.
+ * Pinned tabs are sorted among themselves, as they cannot be grouped.
+ *
+ * @param {CommandContext} cx
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {(tab: chrome.tabs.Tab, otherTab: chrome.tabs.Tab) => number} compareTabs
+ * @returns {Promise<void>}
+ */
+async function sortTabsAndGroups(cx, tabs, compareTabs) {
+  const pinnedTabs = tabs.filter(_pinned)
+
+  const sortedPinnedTabs = pinnedTabs.toSorted(compareTabs)
+
+  await Promise.all(
+    sortedPinnedTabs.map((tab, index) =>
+      chrome.tabs.move(tab.id, {
+        index: pinnedTabs[index].index
+      })
+    )
+  )
+
+  const selectedGroupIds = new Set(
+    tabs.filter(hasGroup).map(_groupId)
+  )
+
+  const windowTabs = await chrome.tabs.query({
+    windowId: cx.tab.windowId
+  })
+
+  const unitTabs = windowTabs.filter((tab) =>
+    !tab.pinned && (
+      selectedGroupIds.has(tab.groupId) ||
+      tab.highlighted && !hasGroup(tab)
+    )
+  )
+
+  if (unitTabs.length === 0) {
+    return
+  }
+
+  // Tab groups are contiguous in the tab strip.
+  const units = chunk(unitTabs, _groupId).flatMap(([groupId, tabs]) =>
+    groupId === TAB_GROUP_ID_NONE
+      ? tabs.map((tab) => ({ groupId, tabs: [tab] }))
+      : [{ groupId, tabs: tabs.toSorted(compareTabs) }]
+  )
+
+  const sortedUnits = units.toSorted((unit, otherUnit) =>
+    compareTabs(unit.tabs[0], otherUnit.tabs[0])
+  )
+
+  // Units are moved one at a time, from left to right,
+  // so that each one is moved to the left of the tabs yet to be moved,
+  // and never inside another group.
+  let index = unitTabs[0].index
+
+  for (const { groupId, tabs } of sortedUnits) {
+    if (groupId === TAB_GROUP_ID_NONE) {
+      await chrome.tabs.move(tabs[0].id, {
+        index
+      })
+    } else {
+      await chrome.tabGroups.move(groupId, {
+        index
+      })
+
+      for (const [offset, tab] of tabs.entries()) {
+        await chrome.tabs.move(tab.id, {
+          index: index + offset
+        })
+      }
+    }
+
+    index += tabs.length
+  }
+}
+
 /**
  * Sorts selected tabs by name.
  *
@@ -1899,6 +2017,105 @@ export async function sortTabsByRecency(cx) {
   )
 }
 
+/**
+ * Sorts selected tabs by hostname, then by path.
+ * Tabs whose URL cannot be parsed—e.g., pending ones—come last.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function sortTabsByHostname(cx) {
+  await sortTabs(cx, (tab, otherTab) => {
+    const canParse = URL.canParse(tab.url)
+    const otherCanParse = URL.canParse(otherTab.url)
+
+    if (!canParse || !otherCanParse) {
+      return otherCanParse - canParse
+    }
+
+    const url = new URL(tab.url)
+    const otherURL = new URL(otherTab.url)
+
+    return (
+      localeCompare(url.hostname, otherURL.hostname) ||
+      localeCompare(url.pathname, otherURL.pathname)
+    )
+  })
+}
+
+/**
+ * Sorts selected tabs by opener tree:
+ * each tab comes right after the tab it was opened from,
+ * and tabs opened from the same tab keep their order.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function sortTabsByOpener(cx) {
+  const tabs = await chrome.tabs.query({
+    windowId: cx.tab.windowId
+  })
+
+  const tabIds = new Set(
+    tabs.map(_id)
+  )
+
+  const tabsByOpener = Map.groupBy(tabs, (tab) =>
+    tabIds.has(tab.openerTabId)
+      ? tab.openerTabId
+      : TAB_ID_NONE
+  )
+
+  // Ranks tabs in depth-first order, from the tabs without an opener.
+  // Tabs in an opener cycle, without a root, are ranked last.
+  const treeRanks = new Map
+
+  const rankTabs = (tabs) => {
+    for (const tab of tabs) {
+      if (!treeRanks.has(tab.id)) {
+        treeRanks.set(tab.id, treeRanks.size)
+        rankTabs(tabsByOpener.get(tab.id) ?? [])
+      }
+    }
+  }
+
+  rankTabs(tabsByOpener.get(TAB_ID_NONE) ?? [])
+  rankTabs(tabs)
+
+  await sortTabs(cx, (tab, otherTab) =>
+    treeRanks.get(tab.id) - treeRanks.get(otherTab.id)
+  )
+}
+
+/**
+ * Sorts selected tabs by state:
+ * pinned tabs first, then tabs playing audio, then unloaded tabs last.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function sortTabsByState(cx) {
+  const getStateRank = (tab) => {
+    switch (true) {
+      case tab.pinned:
+        return 0
+
+      case tab.audible:
+        return 1
+
+      case tab.discarded:
+        return 3
+
+      default:
+        return 2
+    }
+  }
+
+  await sortTabs(cx, (tab, otherTab) =>
+    getStateRank(tab) - getStateRank(otherTab)
+  )
+}
+
 /**
  * Reverses the order of selected tabs.
  *
@@ -1932,6 +2149,124 @@ export async function reverseTabOrder(cx) {
  * @returns {Promise<void>}
  */
 export async function groupTabsByDomain(cx) {
+  await groupTabs(cx, _hostname)
+}
+
+/**
+ * Groups selected tabs by registrable domain—e.g., “docs.github.com”
+ * and “github.com” are both grouped as “github.com”.
+ * Uses an existing group if possible.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function groupTabsByRegistrableDomain(cx) {
+  const publicSuffixList = await getPublicSuffixList()
+
+  await groupTabs(cx, (tab) =>
+    getRegistrableDomain(_hostname(tab), publicSuffixList)
+  )
+}
+
+/**
+ * Groups selected tabs by opener tree—each tab with the tab it was opened from,
+ * up to the first tab of the chain, whose title names a new group.
+ * Uses the group of the first tab if possible.
+ * Tabs that were neither opened from nor opened another tab are left as is.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function groupTabsByOpener(cx) {
+  const tabs = await chrome.tabs.query({
+    windowId: cx.tab.windowId
+  })
+
+  const tabsById = new Map(
+    tabs.map((tab) => [tab.id, tab])
+  )
+
+  const openerTabIds = new Set(
+    tabs.map((tab) => tab.openerTabId)
+  )
+
+  const getRootTab = (tab) => {
+    const visitedTabIds = new Set
+
+    while (
+      tabsById.has(tab.openerTabId) &&
+      !visitedTabIds.has(tab.id)
+    ) {
+      visitedTabIds.add(tab.id)
+      tab = tabsById.get(tab.openerTabId)
+    }
+
+    return tab
+  }
+
+  const selectedTabs = tabs.filter((tab) =>
+    tab.highlighted && (
+      tabsById.has(tab.openerTabId) ||
+      openerTabIds.has(tab.id)
+    )
+  )
+
+  if (selectedTabs.length === 0) {
+    return
+  }
+
+  const tabsByRootTab = Map.groupBy(selectedTabs, getRootTab)
+
+  const groupIds = await Promise.all(
+    Array.from(tabsByRootTab, ([rootTab, tabs]) => {
+      if (hasGroup(rootTab)) {
+        return chrome.tabs.group({
+          groupId: rootTab.groupId,
+          tabIds: tabs.map(_id)
+        })
+      } else {
+        return chrome.tabs.group({
+          tabIds: tabs.map(_id)
+        }).then((groupId) =>
+          chrome.tabGroups.update(groupId, {
+            title: rootTab.title
+          })
+        ).then(_id)
+      }
+    })
+  )
+
+  await highlightGroupedTabs(cx, groupIds, selectedTabs)
+}
+
+/**
+ * Groups selected tabs by domain and first path segment—e.g.,
+ * “github.com/taupiqueur” for “https://github.com/taupiqueur/chrome-shortcuts”.
+ * Uses an existing group if possible.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function groupTabsByPathSegment(cx) {
+  await groupTabs(cx, ({ url }) => {
+    const { hostname, pathname } = new URL(url)
+    const [, pathSegment] = pathname.split('/')
+
+    return pathSegment
+      ? `${hostname}/${pathSegment}`
+      : hostname
+  })
+}
+
+/**
+ * Groups selected tabs by the given group title.
+ * Uses an existing group with the same title if possible.
+ *
+ * @param {CommandContext} cx
+ * @param {(tab: chrome.tabs.Tab) => string} getGroupTitle
+ * @returns {Promise<void>}
+ */
+async function groupTabs(cx, getGroupTitle) {
   const tabs = await chrome.tabs.query({
     highlighted: true,
     windowId: cx.tab.windowId
@@ -1941,19 +2276,15 @@ export async function groupTabsByDomain(cx) {
     windowId: cx.tab.windowId
   })
 
-  const tabsByDomain = Map.groupBy(tabs, _hostname)
+  const tabsByGroupTitle = Map.groupBy(tabs, getGroupTitle)
 
   const tabGroupsByTitle = Map.groupBy(tabGroups, _title)
 
-  const tabInfo = new Set(
-    tabs.map(_id)
-  )
-
   const groupIds = await Promise.all(
-    Array.from(tabsByDomain, ([hostname, tabs]) => {
-      if (tabGroupsByTitle.has(hostname)) {
+    Array.from(tabsByGroupTitle, ([groupTitle, tabs]) => {
+      if (tabGroupsByTitle.has(groupTitle)) {
         return chrome.tabs.group({
-          groupId: tabGroupsByTitle.get(hostname)[0].id,
+          groupId: tabGroupsByTitle.get(groupTitle)[0].id,
           tabIds: tabs.map(_id)
         })
       } else {
@@ -1961,14 +2292,30 @@ export async function groupTabsByDomain(cx) {
           tabIds: tabs.map(_id)
         }).then((groupId) =>
           chrome.tabGroups.update(groupId, {
-            title: hostname
+            title: groupTitle
           })
         ).then(_id)
       }
     })
   )
 
-  const groupedTabsByDomain = await Promise.all(
+  await highlightGroupedTabs(cx, groupIds, tabs)
+}
+
+/**
+ * Highlights the given tabs, once grouped, in their new order.
+ *
+ * @param {CommandContext} cx
+ * @param {number[]} groupIds
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<void>}
+ */
+async function highlightGroupedTabs(cx, groupIds, tabs) {
+  const tabInfo = new Set(
+    tabs.map(_id)
+  )
+
+  const groupedTabsByGroup = await Promise.all(
     groupIds.map((groupId) =>
       chrome.tabs.query({
         groupId
@@ -1976,7 +2323,7 @@ export async function groupTabsByDomain(cx) {
     )
   )
 
-  const tabSelection = groupedTabsByDomain.flatMap((tabs) =>
+  const tabSelection = groupedTabsByGroup.flatMap((tabs) =>
     tabs.filter((tab) =>
       tabInfo.has(tab.id)
     )
@@ -2146,6 +2493,95 @@ export async function cycleTabGroupColorBackward(cx) {
   await cycleTabGroupColor(cx, -1)
 }
 
+// Split view ------------------------------------------------------------------
+
+// NOTE: Chrome does not let extensions create or remove split views.
+// Use Chrome’s own commands to open tabs side by side, or to unsplit them.
+
+/**
+ * Returns the tabs of the split view containing the given tab, in tab strip order.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+async function getSplitViewTabs(tab) {
+  const tabs = await chrome.tabs.query({
+    windowId: tab.windowId,
+    splitViewId: tab.splitViewId,
+  })
+
+  return tabs.sort((tab, otherTab) =>
+    tab.index - otherTab.index
+  )
+}
+
+/**
+ * Focuses the other pane of the split view.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function focusOtherSplitViewPane(cx) {
+  if (cx.tab.splitViewId === SPLIT_VIEW_ID_NONE) {
+    throw new Error(
+      'Cannot focus other pane: Active tab is not in a split view.',
+    )
+  }
+
+  const tabs = await getSplitViewTabs(cx.tab)
+  const otherTab = tabs.find((tab) => tab.id !== cx.tab.id)
+
+  // The split view may be closing.
+  if (otherTab === undefined) {
+    throw new Error(
+      'Cannot focus other pane: Split view has no other tab.',
+    )
+  }
+
+  await chrome.tabs.update(otherTab.id, {
+    active: true
+  })
+}
+
+/**
+ * Swaps the panes of the split view.
+ *
+ * Panes follow the order of their tabs in the tab strip,
+ * hence moving the right tab in front of the left one.
+ * Chrome may refuse to move a tab within its split view,
+ * in which case the panes are left as is.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function swapSplitViewPanes(cx) {
+  if (cx.tab.splitViewId === SPLIT_VIEW_ID_NONE) {
+    throw new Error(
+      'Cannot swap panes: Active tab is not in a split view.',
+    )
+  }
+
+  const [leftTab, rightTab] = await getSplitViewTabs(cx.tab)
+
+  // The split view may be closing.
+  if (rightTab === undefined) {
+    throw new Error(
+      'Cannot swap panes: Split view has no other tab.',
+    )
+  }
+
+  try {
+    await chrome.tabs.move(rightTab.id, {
+      index: leftTab.index
+    })
+  } catch (error) {
+    throw new Error(
+      `Cannot swap panes: ${error.message}`,
+      { cause: error },
+    )
+  }
+}
+
 // Switch tabs -----------------------------------------------------------------
 
 /**
@@ -2184,6 +2620,7 @@ export async function activateAudibleTab(cx) {
 /**
  * Activates an open tab relative to the current tab.
  * Skips hidden tabs—the ones whose are in collapsed tab groups—and wraps around.
+ * The delta is multiplied by the count.
  *
  * @param {CommandContext} cx
  * @param {number} delta
@@ -2198,7 +2635,7 @@ async function activateTabRelative(cx, delta) {
 
   const tabInfo = tabs[
     modulo(
-      tabIndex + delta,
+      tabIndex + delta * cx.count,
       tabs.length
     )
   ]
@@ -2248,6 +2685,8 @@ async function activateTabAtIndex(cx, index) {
   const tabInfo = tabs.at(index)
 
   if (tabInfo) {
+    await cx.jumpListManager.recordJump(cx.tab.id, tabInfo.id)
+
     await chrome.tabs.update(tabInfo.id, {
       active: true
     })
@@ -2372,6 +2811,8 @@ async function activateMostRecentTabAtIndex(cx, index) {
       tabIds[index]
     )
 
+    await cx.jumpListManager.recordJump(cx.tab.id, tabInfo.id)
+
     await chrome.tabs.update(tabInfo.id, {
       active: true
     })
@@ -2521,6 +2962,52 @@ export async function activatePreviousWindow(cx) {
   await activateWindowRelative(cx, -1)
 }
 
+/**
+ * Jumps back to the previous tab in the jump list.
+ * Jumps are recorded when activating tabs by their position, by their recency,
+ * or from the command palette.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function jumpBack(cx) {
+  const tabId = await cx.jumpListManager.jumpBack(cx.tab.id, cx.count)
+
+  if (tabId !== undefined) {
+    await activateTab(tabId)
+  }
+}
+
+/**
+ * Jumps forward to the next tab in the jump list.
+ *
+ * @param {CommandContext} cx
+ * @returns {Promise<void>}
+ */
+export async function jumpForward(cx) {
+  const tabId = await cx.jumpListManager.jumpForward(cx.count)
+
+  if (tabId !== undefined) {
+    await activateTab(tabId)
+  }
+}
+
+/**
+ * Activates a tab and focuses its window.
+ *
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+async function activateTab(tabId) {
+  const tabInfo = await chrome.tabs.update(tabId, {
+    active: true
+  })
+
+  await chrome.windows.update(tabInfo.windowId, {
+    focused: true
+  })
+}
+
 // Move tabs -------------------------------------------------------------------
 
 /**
@@ -2572,14 +3059,153 @@ export async function grabTab(cx) {
 }
 
 /**
- * Moves selected tabs left/right.
+ * Moves selected tabs left/right, by count positions at once.
+ * Tab groups and split views in the way are passed over as a whole;
+ * selected tabs leave their tab group, unless it is entirely selected.
+ *
+ * @param {CommandContext} cx
+ * @param {Direction} direction
+ * @returns {Promise<void>}
+ */
+async function moveTabDirectionByCount(cx, direction) {
+  /**
+   * @type {number}
+   */
+  let offset
+
+  switch (direction) {
+    case Direction.Backward:
+      offset = -cx.count
+      break
+
+    case Direction.Forward:
+      offset = cx.count
+      break
+  }
+
+  const highlightedTabs = await chrome.tabs.query({
+    highlighted: true,
+    windowId: cx.tab.windowId
+  })
+
+  const highlightedTabsByGroup = Map.groupBy(highlightedTabs, _groupId)
+
+  highlightedTabsByGroup.delete(TAB_GROUP_ID_NONE)
+
+  const selectedGroups = new Map
+
+  for (const [groupId, tabs] of highlightedTabsByGroup) {
+    const groupTabs = await chrome.tabs.query({
+      groupId
+    })
+    if (groupTabs.length === tabs.length) {
+      selectedGroups.set(groupId, tabs)
+    } else {
+      await chrome.tabs.ungroup(
+        tabs.map(_id)
+      )
+    }
+  }
+
+  // Ungrouping tabs moves them out of their group,
+  // hence reading the tab strip afterwards.
+  const tabs = await chrome.tabs.query({
+    windowId: cx.tab.windowId
+  })
+
+  const selectedSplitViewIds = new Set(
+    tabs.filter(_highlighted).map(_splitViewId)
+  )
+
+  selectedSplitViewIds.delete(SPLIT_VIEW_ID_NONE)
+
+  /**
+   * @param {chrome.tabs.Tab} tab
+   * @returns {boolean}
+   */
+  const isSelected = (tab) =>
+    tab.highlighted ||
+    selectedSplitViewIds.has(tab.splitViewId)
+
+  /**
+   * Determines whether two adjacent tabs belong together—
+   * in the same tab group or split view—so as not to land between them.
+   *
+   * @param {chrome.tabs.Tab} tab
+   * @param {chrome.tabs.Tab} otherTab
+   * @returns {boolean}
+   */
+  const belongTogether = (tab, otherTab) =>
+    hasGroup(tab) && sameGroup(tab, otherTab) ||
+    tab.splitViewId !== SPLIT_VIEW_ID_NONE &&
+    tab.splitViewId === otherTab.splitViewId
+
+  // We cannot move pinned tabs and non pinned tabs together.
+  for (const sectionTabs of splitWhile(tabs, _pinned)) {
+    const selectedTabs = sectionTabs.filter(isSelected)
+
+    if (selectedTabs.length === 0) {
+      continue
+    }
+
+    const otherTabs = sectionTabs.filter((tab) => !isSelected(tab))
+
+    const position = otherTabs.filter((tab) =>
+      tab.index < selectedTabs[0].index
+    ).length
+
+    let targetPosition = clamp(
+      position + offset,
+      0,
+      otherTabs.length
+    )
+
+    while (
+      targetPosition > 0 &&
+      targetPosition < otherTabs.length &&
+      belongTogether(otherTabs[targetPosition - 1], otherTabs[targetPosition])
+    ) {
+      targetPosition += Math.sign(offset)
+    }
+
+    const targetIndex = sectionTabs[0].index + targetPosition
+
+    // Tabs are moved one at a time to their final index:
+    // from the left when moving left, and from the right when moving right,
+    // so that tabs already in place are not pushed around.
+    const moves = selectedTabs.map((tab, index) => [tab.id, targetIndex + index])
+
+    for (const [tabId, tabIndex] of targetPosition > position ? moves.toReversed() : moves) {
+      await chrome.tabs.move(tabId, {
+        index: tabIndex
+      })
+    }
+  }
+
+  await Promise.all(
+    Array.from(selectedGroups, ([groupId, tabs]) =>
+      chrome.tabs.group({
+        groupId,
+        tabIds: tabs.map(_id)
+      })
+    )
+  )
+}
+
+/**
+ * Moves selected tabs left/right, by count positions.
  * Skips hidden tabs—the ones whose are in collapsed tab groups.
+ * Tabs of a split view are moved together, as one tab.
  *
  * @param {CommandContext} cx
  * @param {Direction} direction
  * @returns {Promise<void>}
  */
 async function moveTabDirection(cx, direction) {
+  if (cx.count > 1) {
+    return moveTabDirectionByCount(cx, direction)
+  }
+
   /**
    * @type {number}
    */
@@ -2614,6 +3240,13 @@ async function moveTabDirection(cx, direction) {
    */
   let ungroupTabs
 
+  /**
+   * @param {number[]} tabIds
+   * @param {number} tabIndex
+   * @returns {Promise<void>}
+   */
+  let moveTabUnit
+
   switch (direction) {
     case Direction.Backward:
       focusIndex = 0
@@ -2636,6 +3269,16 @@ async function moveTabDirection(cx, direction) {
 
       ungroupTabs = (tabIds) =>
         chrome.tabs.ungroup(tabIds)
+
+      moveTabUnit = async (tabIds, tabIndex) => {
+        // Each tab moved right lands at the given index,
+        // pushing the previous one back, hence preserving order.
+        for (const tabId of tabIds) {
+          await chrome.tabs.move(tabId, {
+            index: tabIndex
+          })
+        }
+      }
       break
 
     case Direction.Forward:
@@ -2655,6 +3298,16 @@ async function moveTabDirection(cx, direction) {
           // hence reversing tab IDs to preserve order.
           tabIds.toReversed()
         )
+
+      moveTabUnit = async (tabIds, tabIndex) => {
+        // Each tab moved left lands at the given index,
+        // pushing the previous one forward, hence reversing tab IDs.
+        for (const tabId of tabIds.toReversed()) {
+          await chrome.tabs.move(tabId, {
+            index: tabIndex
+          })
+        }
+      }
       break
   }
 
@@ -2668,14 +3321,45 @@ async function moveTabDirection(cx, direction) {
 
   const tabsByGroup = Map.groupBy(tabs, _groupId)
 
+  const tabsBySplitViewId = Map.groupBy(tabs, _splitViewId)
+
+  tabsBySplitViewId.delete(SPLIT_VIEW_ID_NONE)
+
   const collapseInfo = getCollapseInfo(tabGroups)
 
+  // A split view is selected as soon as one of its tabs is highlighted,
+  // so that its panes are never moved apart.
+  const selectedSplitViewIds = new Set(
+    tabs.filter(_highlighted).map(_splitViewId)
+  )
+
+  /**
+   * @param {chrome.tabs.Tab} tab
+   * @returns {boolean}
+   */
+  const isSelected = (tab) =>
+    tab.highlighted ||
+    tabsBySplitViewId.has(tab.splitViewId) &&
+    selectedSplitViewIds.has(tab.splitViewId)
+
+  /**
+   * Returns the IDs of the tabs moving with the given tab:
+   * the tabs of its split view, or the tab itself.
+   *
+   * @param {chrome.tabs.Tab} tab
+   * @returns {number[]}
+   */
+  const getTabUnitIds = (tab) =>
+    tabsBySplitViewId.has(tab.splitViewId)
+      ? tabsBySplitViewId.get(tab.splitViewId).map(_id)
+      : [tab.id]
+
   /**
    * @param {chrome.tabs.Tab[]} tabs
    * @returns {Promise<void>}
    */
   async function moveTabs(tabs) {
-    const chunkedSelections = chunk(tabs, _highlighted)
+    const chunkedSelections = chunk(tabs, isSelected)
       .flatMap(([isHighlighted, tabs]) =>
         isHighlighted
           ? [tabs]
@@ -2688,7 +3372,7 @@ async function moveTabDirection(cx, direction) {
     // by another tab when moving tabs.
     const chunkedSelections_atEdge = (
       tabs.length > 0 &&
-      tabs.at(focusIndex).highlighted
+      isSelected(tabs.at(focusIndex))
     )
       ? chunkedSelections.splice(focusIndex, 1)
       : []
@@ -2782,9 +3466,10 @@ async function moveTabDirection(cx, direction) {
             return ungroupTabs(
               anchorGroupSelection.map(_id)
             ).then(() =>
-              chrome.tabs.move(targetTab.id, {
-                index: anchorTab.index
-              })
+              moveTabUnit(
+                getTabUnitIds(targetTab),
+                anchorTab.index
+              )
             )
           } else if (
             groupCount > 1 &&
@@ -2803,9 +3488,10 @@ async function moveTabDirection(cx, direction) {
               )
             )
           } else {
-            return chrome.tabs.move(targetTab.id, {
-              index: anchorTab.index
-            })
+            return moveTabUnit(
+              getTabUnitIds(targetTab),
+              anchorTab.index
+            )
           }
         })
       )
@@ -3472,25 +4158,13 @@ export async function bookmarkSession(cx) {
     title: chrome.i18n.getMessage('bookmarkSessionFolderTitle', dateString)
   })
 
-  const createdFolders = await Promise.all(
-    tabGroups.map((tabGroup) =>
-      chrome.bookmarks.create({
-        parentId: baseFolder.id,
-        title: tabGroup.title
-      })
-    )
-  )
-
-  const groupToFolder = new Map
-
-  groupToFolder.set(TAB_GROUP_ID_NONE, baseFolder.id)
-
-  for (const index in tabGroups) {
-    groupToFolder.set(
-      tabGroups[index].id,
-      createdFolders[index].id
-    )
-  }
+  const groupToFolder = await mapTabGroups(tabGroups, baseFolder.id, async (tabGroup) => {
+    const createdFolder = await chrome.bookmarks.create({
+      parentId: baseFolder.id,
+      title: tabGroup.title
+    })
+    return createdFolder.id
+  })
 
   const createdBookmarks = await Promise.all(
     tabs.map((tab) =>
@@ -12,15 +12,64 @@ const SCROLLABLE_OVERFLOW_VALUES = new Set([
   'auto'
 ])
 
+// Input types that do not accept text.
+const NON_TEXT_INPUT_TYPES = new Set([
+  'button',
+  'checkbox',
+  'color',
+  'file',
+  'hidden',
+  'image',
+  'radio',
+  'range',
+  'reset',
+  'submit'
+])
+
+// Page actions run in the page. Scroll commands are mirrored here
+// to avoid a round trip to the service worker.
+// Other commands are run by the service worker.
 const PAGE_ACTIONS = [
   { name: 'openPopup', fun: openPopup },
   { name: 'sendEscapeKey', fun: sendEscapeKey },
+  { name: 'passNextKey', fun: passNextKey },
+  { name: 'disablePageBindings', fun: disablePageBindings },
+  { name: 'scrollDown', fun: scrollDown },
+  { name: 'scrollUp', fun: scrollUp },
+  { name: 'scrollLeft', fun: scrollLeft },
+  { name: 'scrollRight', fun: scrollRight },
+  { name: 'scrollPageDown', fun: scrollPageDown },
+  { name: 'scrollPageUp', fun: scrollPageUp },
+  { name: 'scrollHalfPageDown', fun: scrollHalfPageDown },
+  { name: 'scrollHalfPageUp', fun: scrollHalfPageUp },
+  { name: 'scrollToTop', fun: scrollToTop },
+  { name: 'scrollToBottom', fun: scrollToBottom },
 ]
 
+const PAGE_ACTION_NAMES = new Set(
+  PAGE_ACTIONS.map((action) => action.name)
+)
+
+// Page actions that still run while an editable element has focus.
+const INSERT_MODE_ACTION_NAMES = new Set([
+  'sendEscapeKey',
+  'passNextKey',
+  'disablePageBindings',
+])
+
 const scroller = new Scroller
 
+// Scroll amounts shared with the scroll commands, sent by the service worker
+// along with page bindings.
+let scrollAmounts = null
+
 const inputHandler = new InputHandler(
-  window
+  window, {
+    isEditableFocused: () => isEditableElement(getActiveElement(document)),
+    blurEditable: () => getActiveElement(document)?.blur(),
+    insertModeActionNames: INSERT_MODE_ACTION_NAMES,
+    onModeChange: reportInputMode,
+  }
 )
 
 const contextInvalidatedController = new AbortController
@@ -30,10 +79,20 @@ const contextInvalidatedSignal = contextInvalidatedController.signal
 chrome.runtime.onMessage.addListener((message, sender) => {
   switch (message.type) {
     case 'stateSync':
+      scrollAmounts = message.scrollAmounts
       inputHandler.onStateSync({
-        actions: PAGE_ACTIONS,
+        actions: PAGE_ACTIONS.concat(
+          getCommandActions(message.pageBindings)
+        ),
         shortcuts: message.pageBindings,
       })
+      if (document.hasFocus()) {
+        reportInputMode()
+      }
+      break
+
+    case 'disablePageBindings':
+      inputHandler.setMode('disabled')
       break
   }
 })
@@ -90,6 +149,48 @@ chrome.runtime.sendMessage({
 
 inputHandler.start()
 
+/**
+ * Returns actions that ask the service worker to run the commands
+ * bound in the given page bindings, except for page actions.
+ *
+ * @param {KeyboardMapping[]} pageBindings
+ * @returns {MappableCommand[]}
+ */
+function getCommandActions(pageBindings) {
+  return pageBindings
+    .filter((keyBinding) => !PAGE_ACTION_NAMES.has(keyBinding.command))
+    .map((keyBinding) => ({
+      name: keyBinding.command,
+      fun: (keyboardEvent) => {
+        chrome.runtime.sendMessage({
+          type: 'command',
+          commandName: keyBinding.command
+        })
+      }
+    }))
+}
+
+/**
+ * Reports the input mode to the service worker, to show it on the toolbar button.
+ * Modes are not reported when there are no page bindings.
+ *
+ * Every frame has its own input mode; only the top frame reports it,
+ * so that embedded frames do not overwrite it.
+ *
+ * @returns {void}
+ */
+function reportInputMode() {
+  if (window !== window.top) {
+    return
+  }
+  chrome.runtime.sendMessage({
+    type: 'inputModeChange',
+    mode: inputHandler.keymap.size > 0
+      ? inputHandler.mode
+      : 'normal'
+  })
+}
+
 /**
  * Opens the extension’s popup.
  *
@@ -122,6 +223,163 @@ function sendEscapeKey(keyboardEvent) {
   )
 }
 
+/**
+ * Passes the next key to the page.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function passNextKey(keyboardEvent) {
+  inputHandler.setMode('passNextKey')
+}
+
+/**
+ * Disables page bindings in the tab, until it is reloaded.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function disablePageBindings(keyboardEvent) {
+  chrome.runtime.sendMessage({
+    type: 'disablePageBindings'
+  })
+}
+
+/**
+ * Scrolls down.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollDown(keyboardEvent) {
+  smoothScrollBy(0, scrollAmounts.SCROLL_LINE_DELTA)
+}
+
+/**
+ * Scrolls up.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollUp(keyboardEvent) {
+  smoothScrollBy(0, -scrollAmounts.SCROLL_LINE_DELTA)
+}
+
+/**
+ * Scrolls left.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollLeft(keyboardEvent) {
+  smoothScrollBy(-scrollAmounts.SCROLL_LINE_DELTA, 0)
+}
+
+/**
+ * Scrolls right.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollRight(keyboardEvent) {
+  smoothScrollBy(scrollAmounts.SCROLL_LINE_DELTA, 0)
+}
+
+/**
+ * Scrolls one page down.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollPageDown(keyboardEvent) {
+  smoothScrollBy(0, window.innerHeight * scrollAmounts.SCROLL_PAGE_FACTOR)
+}
+
+/**
+ * Scrolls one page up.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollPageUp(keyboardEvent) {
+  smoothScrollBy(0, window.innerHeight * -scrollAmounts.SCROLL_PAGE_FACTOR)
+}
+
+/**
+ * Scrolls half page down.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollHalfPageDown(keyboardEvent) {
+  smoothScrollBy(0, window.innerHeight * scrollAmounts.SCROLL_HALF_PAGE_FACTOR)
+}
+
+/**
+ * Scrolls half page up.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollHalfPageUp(keyboardEvent) {
+  smoothScrollBy(0, window.innerHeight * -scrollAmounts.SCROLL_HALF_PAGE_FACTOR)
+}
+
+/**
+ * Scrolls to the top of the page.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollToTop(keyboardEvent) {
+  performScroll((scrollingElement) => {
+    scroller.scrollTo({
+      scrollingElement,
+      scrollLeft: 0,
+      scrollTop: 0,
+      frameCalibration: scrollAmounts.LONG_THROW_FRAME_CALIBRATION,
+      cancelable: false,
+    })
+  })
+}
+
+/**
+ * Scrolls to the bottom of the page.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function scrollToBottom(keyboardEvent) {
+  performScroll((scrollingElement) => {
+    scroller.scrollTo({
+      scrollingElement,
+      scrollLeft: 0,
+      scrollTop: scrollingElement.scrollHeight,
+      frameCalibration: scrollAmounts.LONG_THROW_FRAME_CALIBRATION,
+      cancelable: false,
+    })
+  })
+}
+
+/**
+ * Scrolls the document by the given amount.
+ *
+ * @param {number} deltaX
+ * @param {number} deltaY
+ * @returns {void}
+ */
+function smoothScrollBy(deltaX, deltaY) {
+  performScroll((scrollingElement) => {
+    scroller.scrollBy({
+      scrollingElement,
+      deltaX,
+      deltaY,
+      frameCalibration: scrollAmounts.SHORT_THROW_FRAME_CALIBRATION,
+      cancelable: false,
+    })
+  })
+}
+
 /**
  * Returns the element within the DOM—including “open” shadow roots—that currently has focus.
  *
@@ -148,6 +406,23 @@ function getActiveElement(documentOrShadowRoot) {
     : activeElement
 }
 
+/**
+ * Returns whether the element accepts text input.
+ *
+ * @param {?Element} element
+ * @returns {boolean}
+ */
+function isEditableElement(element) {
+  return (
+    element instanceof HTMLTextAreaElement ||
+    element instanceof HTMLSelectElement ||
+    element instanceof HTMLInputElement &&
+    !NON_TEXT_INPUT_TYPES.has(element.type) ||
+    element instanceof HTMLElement &&
+    element.isContentEditable
+  )
+}
+
 /**
  * Returns an iterator for the elements within the DOM—including “open” shadow roots.
  *
@@ -0,0 +1,158 @@
+// This module contains the code to find duplicate tabs—open tabs with equal URLs,
+// across windows—to close all but one copy of each.
+//
+// URLs are compared once normalized, as set in the `duplicateTabNormalization` option:
+// the hash, tracking parameters and a trailing slash can be ignored.
+//
+// The copy kept is the most recently used one, according to the recent tabs manager.
+
+/**
+ * @typedef {object} DuplicateTabNormalization
+ * @property {boolean} ignoreHash
+ * @property {boolean} ignoreTrackingParams
+ * @property {boolean} ignoreTrailingSlash
+ *
+ * @typedef {object} DuplicateTabCluster
+ * @property {string} url The normalized URL.
+ * @property {chrome.tabs.Tab[]} tabs The copies, most recently used first.
+ */
+
+// Query parameters added by ad and analytics platforms, which do not change the page.
+const TRACKING_PARAMS = new Set([
+  'dclid',
+  'fbclid',
+  'gbraid',
+  'gclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  'mkt_tok',
+  'msclkid',
+  'twclid',
+  'wbraid',
+  'yclid',
+  '_ga',
+  '_gl',
+])
+
+const TRACKING_PARAM_PREFIXES = [
+  'utm_',
+]
+
+/**
+ * Normalizes a URL to compare tabs.
+ *
+ * Query parameters are serialized again when tracking parameters are ignored,
+ * so that “a%20b” and “a+b” compare equal.
+ *
+ * @param {string} url
+ * @param {DuplicateTabNormalization} normalization
+ * @returns {string}
+ */
+export function normalizeURL(url, normalization) {
+  if (!URL.canParse(url)) {
+    return url
+  }
+
+  const normalizedURL = new URL(url)
+
+  if (normalization.ignoreHash) {
+    normalizedURL.hash = ''
+  }
+
+  if (normalization.ignoreTrackingParams) {
+    normalizedURL.search = new URLSearchParams(
+      Array.from(normalizedURL.searchParams).filter(([name]) =>
+        !isTrackingParam(name)
+      )
+    ).toString()
+  }
+
+  if (
+    normalization.ignoreTrailingSlash &&
+    normalizedURL.pathname.length > 1 &&
+    normalizedURL.pathname.endsWith('/')
+  ) {
+    normalizedURL.pathname = normalizedURL.pathname.slice(0, -1)
+  }
+
+  return normalizedURL.href
+}
+
+/**
+ * Finds the clusters of duplicate tabs, by normalized URL.
+ * Tabs of incognito windows are only compared with each other.
+ *
+ * Copies are ordered by recency: first the tabs in the given recent tab IDs,
+ * in that order, then the other tabs, by last access time.
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {number[]} recentTabIds The tab IDs, most recently used first.
+ * @param {DuplicateTabNormalization} normalization
+ * @returns {DuplicateTabCluster[]}
+ */
+export function findDuplicateTabs(tabs, recentTabIds, normalization) {
+  const recencyRanks = new Map(
+    recentTabIds.map((tabId, index) => [tabId, index])
+  )
+
+  const compareRecency = (tab, otherTab) => {
+    const rank = recencyRanks.get(tab.id) ?? Infinity
+    const otherRank = recencyRanks.get(otherTab.id) ?? Infinity
+
+    return rank === otherRank
+      ? otherTab.lastAccessed - tab.lastAccessed
+      : rank - otherRank
+  }
+
+  const duplicateTabClusters = []
+
+  const tabsByIncognito = Map.groupBy(
+    tabs.filter((tab) => tab.url),
+    (tab) => tab.incognito
+  )
+
+  for (const tabs of tabsByIncognito.values()) {
+    const tabsByURL = Map.groupBy(tabs, (tab) =>
+      normalizeURL(tab.url, normalization)
+    )
+
+    for (const [url, tabs] of tabsByURL) {
+      if (tabs.length > 1) {
+        duplicateTabClusters.push({
+          url,
+          tabs: tabs.toSorted(compareRecency)
+        })
+      }
+    }
+  }
+
+  return duplicateTabClusters
+}
+
+/**
+ * Returns the tabs to close in clusters of duplicate tabs:
+ * every copy but the most recently used one.
+ * Pinned tabs are never closed.
+ *
+ * @param {DuplicateTabCluster[]} duplicateTabClusters
+ * @returns {chrome.tabs.Tab[]}
+ */
+export function getRedundantTabs(duplicateTabClusters) {
+  return duplicateTabClusters.flatMap(({ tabs: [, ...copies] }) =>
+    copies.filter((tab) => !tab.pinned)
+  )
+}
+
+/**
+ * Determines whether a query parameter is a tracking parameter.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+  return (
+    TRACKING_PARAMS.has(name) ||
+    TRACKING_PARAM_PREFIXES.some((prefix) => name.startsWith(prefix))
+  )
+}
@@ -0,0 +1,323 @@
+// This module contains the code to close inactive tabs—on demand with commands,
+// or on a schedule with the inactive tab cleanup policy.
+//
+// Pinned and audible tabs are kept, as are the tabs in the group of the active tab.
+// A tab group is only closed when all its tabs are inactive.
+//
+// Closed tabs and tab groups are moved to a new window, which is then closed,
+// so that they can be restored at once from the recently closed tabs.
+//
+// Alarms: https://developer.chrome.com/docs/extensions/reference/api/alarms
+// Sessions: https://developer.chrome.com/docs/extensions/reference/api/sessions
+
+import {
+  testPagePattern,
+} from './page_rules.js'
+
+/**
+ * @typedef {object} InactiveTabCleanupPolicy
+ * @property {boolean} enabled
+ * @property {"close" | "discard"} action
+ * @property {number} thresholdInMinutes
+ * @property {string[]} allowlist
+ */
+
+const { TAB_GROUP_ID_NONE } = chrome.tabGroups
+
+const MINUTE = 60_000
+
+// The number of closed tabs listed in the notification.
+const MAX_NOTIFICATION_ITEMS = 5
+
+/**
+ * Finds the tabs and tab groups inactive for the given duration or more, in milliseconds.
+ *
+ * Tabs are expected to be the unpinned inactive tabs of a window.
+ * Audible tabs, tabs in the group of the active tab and exempt tabs are kept;
+ * a tab group is only included when none of its tabs is kept.
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {number} activeGroupId
+ * @param {number} threshold
+ * @param {(tab: chrome.tabs.Tab) => boolean} [isExempt]
+ * @returns {{ tabs: chrome.tabs.Tab[], groupIds: number[] }}
+ */
+export function findInactiveTabs(tabs, activeGroupId, threshold, isExempt = () => false) {
+  const now = Date.now()
+
+  const isInactive = (tab) => (
+    !tab.audible &&
+    !isExempt(tab) &&
+    now - tab.lastAccessed >= threshold
+  )
+
+  const inactiveTabs = []
+
+  const groupIds = []
+
+  const tabsByGroup = Map.groupBy(tabs, (tab) => tab.groupId)
+
+  for (const [groupId, tabs] of tabsByGroup) {
+    if (groupId === TAB_GROUP_ID_NONE) {
+      inactiveTabs.push(
+        ...tabs.filter(isInactive)
+      )
+    } else if (
+      groupId !== activeGroupId &&
+      tabs.every(isInactive)
+    ) {
+      inactiveTabs.push(...tabs)
+      groupIds.push(groupId)
+    }
+  }
+
+  return {
+    tabs: inactiveTabs,
+    groupIds
+  }
+}
+
+/**
+ * Closes tabs and tab groups at once, by moving them to a new window,
+ * then closing the window.
+ * Returns the session ID of the closed window, to restore it, if any.
+ *
+ * @param {number[]} tabIds The IDs of ungrouped tabs.
+ * @param {number[]} groupIds
+ * @param {boolean} incognito
+ * @returns {Promise<string | undefined>}
+ */
+export async function closeTabsAndGroups(tabIds, groupIds, incognito) {
+  const createdWindow = await chrome.windows.create({
+    focused: false,
+    incognito,
+  })
+
+  const createdTab = createdWindow.tabs[0]
+
+  const moveProperties = {
+    windowId: createdWindow.id,
+    index: -1,
+  }
+
+  for (const groupId of groupIds) {
+    await chrome.tabGroups.move(
+      groupId,
+      moveProperties,
+    )
+  }
+
+  if (tabIds.length > 0) {
+    await chrome.tabs.move(
+      tabIds,
+      moveProperties,
+    )
+  }
+
+  await chrome.tabs.remove(
+    createdTab.id,
+  )
+
+  const movedTabs = await chrome.tabs.query({
+    windowId: createdWindow.id
+  })
+
+  await chrome.windows.remove(
+    createdWindow.id,
+  )
+
+  const [session] = await chrome.sessions.getRecentlyClosed({
+    maxResults: 1
+  })
+
+  // Another tab or window may have been closed in the meantime,
+  // so the most recent session must hold the moved tabs.
+  const isClosedWindow = (
+    session?.window !== undefined &&
+    session.window.tabs.length === movedTabs.length &&
+    session.window.tabs.every((tab, index) => tab.url === movedTabs[index].url)
+  )
+
+  return isClosedWindow
+    ? session.window.sessionId
+    : undefined
+}
+
+/**
+ * Closes or discards the inactive tabs of all windows, following the given policy.
+ * Tabs whose URL matches a pattern of the allowlist are kept.
+ * Incognito windows are left untouched.
+ *
+ * Shows a notification that summarizes the closed or discarded tabs.
+ * Closed tabs can be restored with the “Undo” button.
+ *
+ * @param {InactiveTabCleanupPolicy} policy
+ * @returns {Promise<void>}
+ */
+export async function cleanUpInactiveTabs(policy) {
+  const isAllowed = (tab) =>
+    policy.allowlist.some((pattern) =>
+      testPagePattern(pattern, tab.url)
+    )
+
+  const windows = await chrome.windows.getAll({
+    populate: true,
+    windowTypes: ['normal']
+  })
+
+  const inactiveTabs = []
+
+  const groupIds = []
+
+  for (const window of windows) {
+    if (window.incognito) {
+      continue
+    }
+
+    const activeTab = window.tabs.find((tab) => tab.active)
+
+    const result = findInactiveTabs(
+      window.tabs.filter((tab) => !tab.active && !tab.pinned),
+      activeTab?.groupId ?? TAB_GROUP_ID_NONE,
+      policy.thresholdInMinutes * MINUTE,
+      isAllowed
+    )
+
+    inactiveTabs.push(...result.tabs)
+    groupIds.push(...result.groupIds)
+  }
+
+  switch (policy.action) {
+    case 'close': {
+      if (inactiveTabs.length === 0) {
+        break
+      }
+
+      const sessionId = await closeTabsAndGroups(
+        inactiveTabs
+          .filter((tab) => tab.groupId === TAB_GROUP_ID_NONE)
+          .map((tab) => tab.id),
+        groupIds,
+        false
+      )
+
+      const notificationId = await sendCleanupNotification(
+        chrome.i18n.getMessage('inactiveTabCleanupNotificationTitle'),
+        chrome.i18n.getMessage('inactiveTabCleanupNotificationMessage', inactiveTabs.length.toString()),
+        inactiveTabs,
+        sessionId !== undefined
+      )
+
+      if (sessionId !== undefined) {
+        const sessionStorage = await chrome.storage.session.get({
+          inactiveTabCleanupSessions: {}
+        })
+
+        sessionStorage.inactiveTabCleanupSessions[notificationId] = sessionId
+
+        await chrome.storage.session.set({
+          inactiveTabCleanupSessions: sessionStorage.inactiveTabCleanupSessions
+        })
+      }
+      break
+    }
+
+    case 'discard': {
+      const discardableTabs = inactiveTabs.filter((tab) => !tab.discarded)
+
+      if (discardableTabs.length === 0) {
+        break
+      }
+
+      await Promise.all(
+        discardableTabs.map((tab) =>
+          chrome.tabs.discard(tab.id)
+        )
+      )
+
+      await sendCleanupNotification(
+        chrome.i18n.getMessage('inactiveTabDiscardNotificationTitle'),
+        chrome.i18n.getMessage('inactiveTabDiscardNotificationMessage', discardableTabs.length.toString()),
+        discardableTabs,
+        false
+      )
+      break
+    }
+  }
+}
+
+/**
+ * Handles notification button clicks.
+ * Restores the tabs closed by a cleanup, when its “Undo” button is clicked.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/notifications#event-onButtonClicked
+ *
+ * @param {string} notificationId
+ * @param {number} buttonIndex
+ * @returns {Promise<void>}
+ */
+export async function onNotificationButtonClicked(notificationId, buttonIndex) {
+  const sessionStorage = await chrome.storage.session.get({
+    inactiveTabCleanupSessions: {}
+  })
+
+  const sessionId = sessionStorage.inactiveTabCleanupSessions[notificationId]
+
+  if (sessionId === undefined) {
+    return
+  }
+
+  await chrome.sessions.restore(sessionId)
+  await chrome.notifications.clear(notificationId)
+}
+
+/**
+ * Handles notification closing, to forget the tabs closed by a cleanup.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/notifications#event-onClosed
+ *
+ * @param {string} notificationId
+ * @param {boolean} byUser
+ * @returns {Promise<void>}
+ */
+export async function onNotificationClosed(notificationId, byUser) {
+  const sessionStorage = await chrome.storage.session.get({
+    inactiveTabCleanupSessions: {}
+  })
+
+  if (notificationId in sessionStorage.inactiveTabCleanupSessions) {
+    delete sessionStorage.inactiveTabCleanupSessions[notificationId]
+
+    await chrome.storage.session.set({
+      inactiveTabCleanupSessions: sessionStorage.inactiveTabCleanupSessions
+    })
+  }
+}
+
+/**
+ * Creates and displays a notification that lists the first tabs of a cleanup,
+ * with an “Undo” button if specified.
+ * Returns the created notification’s ID.
+ *
+ * @param {string} title
+ * @param {string} message
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {boolean} undoable
+ * @returns {Promise<string>}
+ */
+async function sendCleanupNotification(title, message, tabs, undoable) {
+  return chrome.notifications.create({
+    type: 'list',
+    iconUrl: '/assets/shortcuts-logo@128px.png',
+    title,
+    message,
+    items: tabs.slice(0, MAX_NOTIFICATION_ITEMS).map((tab) => ({
+      title: tab.title,
+      message: tab.url
+    })),
+    buttons: undoable
+      ? [{ title: chrome.i18n.getMessage('inactiveTabCleanupUndoButtonTitle') }]
+      : [],
+    requireInteraction: undoable
+  })
+}
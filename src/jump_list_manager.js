@@ -0,0 +1,169 @@
+import JumpList from './lib/jump_list.js'
+
+// The number of jumps kept, like Vim.
+const MAX_JUMPS = 100
+
+/**
+ * This class provides the functionality to manage a jump list of tabs.
+ * It records jumps across tabs—e.g. when activating a tab from the command palette—
+ * to go back and forth through them, similarly to Vim’s `Ctrl-O` and `Ctrl-I`.
+ *
+ * Unlike the recent tabs, the jump list is not reordered when going back and forth.
+ *
+ * Jump list: https://vimhelp.org/motion.txt.html#jumplist
+ */
+class JumpListManager {
+  /**
+   * Creates a new jump list manager.
+   */
+  constructor() {
+    /**
+     * The jump list.
+     *
+     * @type {JumpList<number>}
+     */
+    this.jumpList = new JumpList({
+      maxSize: MAX_JUMPS
+    })
+  }
+
+  /**
+   * Records a jump from a tab to another.
+   *
+   * @param {number} tabId
+   * @param {number} targetTabId
+   * @returns {Promise<void>}
+   */
+  async recordJump(tabId, targetTabId) {
+    if (tabId === targetTabId) {
+      return
+    }
+
+    this.jumpList.push(tabId)
+    this.jumpList.push(targetTabId)
+    await this.saveState()
+  }
+
+  /**
+   * Moves back in the jump list by the given number of jumps, from the given tab.
+   * Returns the tab to jump to, if any.
+   *
+   * If the given tab is not the current jump—e.g. the user has switched tabs
+   * with the mouse since—it is recorded first, so that jumping forward returns to it.
+   *
+   * @param {number} tabId
+   * @param {number} count
+   * @returns {Promise<number | undefined>}
+   */
+  async jumpBack(tabId, count) {
+    if (this.jumpList.current !== tabId) {
+      this.jumpList.push(tabId)
+    }
+
+    const targetTabId = moveCursor(count, () => this.jumpList.back())
+    await this.saveState()
+    return targetTabId
+  }
+
+  /**
+   * Moves forward in the jump list by the given number of jumps.
+   * Returns the tab to jump to, if any.
+   *
+   * @param {number} count
+   * @returns {Promise<number | undefined>}
+   */
+  async jumpForward(count) {
+    const targetTabId = moveCursor(count, () => this.jumpList.forward())
+    await this.saveState()
+    return targetTabId
+  }
+
+  /**
+   * Saves state into the session storage area.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveState() {
+    await chrome.storage.session.set({
+      jumpList: {
+        tabIds: Array.from(this.jumpList.values()),
+        index: this.jumpList.index
+      }
+    })
+  }
+
+  /**
+   * Restores state from the session storage area.
+   *
+   * @returns {Promise<void>}
+   */
+  async restoreState() {
+    const sessionStorage = await chrome.storage.session.get({
+      jumpList: {
+        tabIds: [],
+        index: -1
+      }
+    })
+
+    this.jumpList.restore(
+      sessionStorage.jumpList.tabIds,
+      sessionStorage.jumpList.index
+    )
+  }
+
+  /**
+   * Handles tab closing, when a tab is closed or a window is being closed.
+   *
+   * https://developer.chrome.com/docs/extensions/reference/api/tabs#event-onRemoved
+   *
+   * @param {number} tabId
+   * @param {object} removeInfo
+   * @returns {Promise<void>}
+   */
+  async onTabRemoved(tabId, removeInfo) {
+    if (this.jumpList.delete(tabId)) {
+      await this.saveState()
+    }
+  }
+
+  /**
+   * Handles tab replacement, when a tab is replaced with another tab due to pre-rendering or instant.
+   *
+   * https://developer.chrome.com/docs/extensions/reference/api/tabs#event-onReplaced
+   *
+   * @param {number} addedTabId
+   * @param {number} removedTabId
+   * @returns {Promise<void>}
+   */
+  async onTabReplaced(addedTabId, removedTabId) {
+    this.jumpList.replace(removedTabId, addedTabId)
+    await this.saveState()
+  }
+}
+
+/**
+ * Moves the cursor of a jump list up to the given number of times,
+ * stopping at either end.
+ * Returns the last item reached, if any.
+ *
+ * @param {number} count
+ * @param {() => number | undefined} move
+ * @returns {number | undefined}
+ */
+function moveCursor(count, move) {
+  let targetTabId
+
+  for (let index = 0; index < count; index++) {
+    const tabId = move()
+
+    if (tabId === undefined) {
+      break
+    }
+
+    targetTabId = tabId
+  }
+
+  return targetTabId
+}
+
+export default JumpListManager
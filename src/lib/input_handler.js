@@ -4,8 +4,11 @@
  * @property {(keyboardEvent: KeyboardEvent) => void} fun
  *
  * @typedef {object} KeyboardMapping
- * @property {Keypress} key
+ * @property {Keypress} [key]
+ * @property {Keypress[]} [keys]
  * @property {string} command
+ *
+ * @typedef {"normal" | "insert" | "passNextKey" | "disabled"} InputMode
  */
 
 /**
@@ -26,13 +29,49 @@ class InputHandler {
    */
   keymap = new Keymap
 
+  /**
+   * A matcher that tracks multi-key sequences typed against the keymap.
+   *
+   * @type {KeySequenceMatcher<string>}
+   */
+  keySequenceMatcher = new KeySequenceMatcher(this.keymap)
+
+  /**
+   * The current mode.
+   *
+   * - In normal mode, key bindings are handled.
+   * - In insert mode, an editable element has focus and keys go to the page.
+   * - In pass-next-key mode, the next key goes to the page.
+   * - In disabled mode, all keys go to the page.
+   *
+   * @type {InputMode}
+   */
+  mode = 'normal'
+
   /**
    * Creates a new input handler for the given element.
    *
+   * In insert mode, only the single-key bindings of the given action names are handled,
+   * and `Escape` leaves insert mode by blurring the focused element.
+   *
    * @param {HTMLElement} eventTarget
+   * @param {object} [options]
+   * @param {() => boolean} [options.isEditableFocused]
+   * @param {() => void} [options.blurEditable]
+   * @param {Set<string>} [options.insertModeActionNames]
+   * @param {(mode: InputMode) => void} [options.onModeChange]
    */
-  constructor(eventTarget) {
+  constructor(eventTarget, {
+    isEditableFocused = () => false,
+    blurEditable = () => {},
+    insertModeActionNames = new Set,
+    onModeChange = () => {},
+  } = {}) {
     this.eventTarget = eventTarget
+    this.isEditableFocused = isEditableFocused
+    this.blurEditable = blurEditable
+    this.insertModeActionNames = insertModeActionNames
+    this.onModeChange = onModeChange
   }
 
   /**
@@ -45,6 +84,12 @@ class InputHandler {
       capture: true,
       passive: false,
     })
+    this.eventTarget.addEventListener('focusin', this.onFocusChange, {
+      capture: true,
+    })
+    this.eventTarget.addEventListener('focusout', this.onFocusChange, {
+      capture: true,
+    })
   }
 
   /**
@@ -57,6 +102,56 @@ class InputHandler {
       capture: true,
       passive: false,
     })
+    this.eventTarget.removeEventListener('focusin', this.onFocusChange, {
+      capture: true,
+    })
+    this.eventTarget.removeEventListener('focusout', this.onFocusChange, {
+      capture: true,
+    })
+    this.keySequenceMatcher.reset()
+  }
+
+  /**
+   * Sets the current mode.
+   *
+   * @param {InputMode} mode
+   * @returns {void}
+   */
+  setMode(mode) {
+    this.keySequenceMatcher.reset()
+    if (this.mode !== mode) {
+      this.mode = mode
+      this.onModeChange(mode)
+    }
+  }
+
+  /**
+   * Switches between normal and insert mode, depending on the focused element.
+   * Other modes are left unchanged.
+   *
+   * @returns {void}
+   */
+  updateInsertMode() {
+    switch (this.mode) {
+      case 'normal':
+      case 'insert':
+        this.setMode(
+          this.isEditableFocused()
+            ? 'insert'
+            : 'normal'
+        )
+        break
+    }
+  }
+
+  /**
+   * Handles focus changes.
+   *
+   * @param {FocusEvent} focusEvent
+   * @returns {void}
+   */
+  onFocusChange = (focusEvent) => {
+    this.updateInsertMode()
   }
 
   /**
@@ -66,15 +161,67 @@ class InputHandler {
    * @returns {void}
    */
   onKeyDown = (keyboardEvent) => {
+    if (!keyboardEvent.isTrusted) {
+      return
+    }
+    switch (this.mode) {
+      case 'disabled':
+        return
+
+      case 'passNextKey':
+        if (!MODIFIER_CODES.has(keyboardEvent.code)) {
+          this.setMode('normal')
+          this.updateInsertMode()
+        }
+        return
+    }
+    this.updateInsertMode()
+    if (this.mode === 'insert') {
+      this.onInsertModeKeyDown(keyboardEvent)
+      return
+    }
+    const keySequenceMatch = this.keySequenceMatcher.feed(keyboardEvent)
+    switch (keySequenceMatch.type) {
+      case 'pending':
+        suppressEvent(keyboardEvent)
+        break
+
+      case 'match': {
+        suppressEvent(keyboardEvent)
+        const actionName = keySequenceMatch.value
+        if (this.actions.has(actionName)) {
+          this.actions.get(actionName)(keyboardEvent)
+        }
+        break
+      }
+    }
+  }
+
+  /**
+   * Handles keys typed in insert mode.
+   * Keys go to the page, except for the bindings allowed in insert mode,
+   * and `Escape`, which leaves insert mode while still reaching the page.
+   *
+   * @param {KeyboardEvent} keyboardEvent
+   * @returns {void}
+   */
+  onInsertModeKeyDown(keyboardEvent) {
+    const actionName = this.keymap.get(keyboardEvent)
     if (
-      keyboardEvent.isTrusted &&
-      this.keymap.has(keyboardEvent)
+      this.insertModeActionNames.has(actionName) &&
+      this.actions.has(actionName)
     ) {
       suppressEvent(keyboardEvent)
-      const actionName = this.keymap.get(keyboardEvent)
-      if (this.actions.has(actionName)) {
-        this.actions.get(actionName)(keyboardEvent)
-      }
+      this.actions.get(actionName)(keyboardEvent)
+    } else if (
+      keyboardEvent.code === 'Escape' &&
+      !keyboardEvent.ctrlKey &&
+      !keyboardEvent.altKey &&
+      !keyboardEvent.shiftKey &&
+      !keyboardEvent.metaKey
+    ) {
+      this.blurEditable()
+      this.updateInsertMode()
     }
   }
 
@@ -94,9 +241,10 @@ class InputHandler {
     for (const { name, fun } of actions) {
       this.actions.set(name, fun)
     }
+    this.keySequenceMatcher.reset()
     this.keymap.clear()
-    for (const { key, command } of shortcuts) {
-      this.keymap.set(key, command)
+    for (const { key, keys = [key], command } of shortcuts) {
+      this.keymap.setSequence(keys, command)
     }
   }
 }
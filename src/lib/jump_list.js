@@ -0,0 +1,283 @@
+import LinkedList from './linked_list.js'
+
+/**
+ * This class provides the functionality to manage a list of jumps,
+ * with a cursor to go back and forth through them, similarly to Vim’s jump list.
+ *
+ * Unlike the MRU, items are not moved to the front when used again:
+ * going back and forth only moves the cursor.
+ * Pushing an item discards the jumps newer than the cursor,
+ * then adds the item at the front.
+ *
+ * Jumps are stored from the newest to the oldest.
+ *
+ * Jump list: https://vimhelp.org/motion.txt.html#jumplist
+ *
+ * @template Item
+ */
+class JumpList {
+  /**
+   * Creates a new jump list.
+   *
+   * @param {object} [options]
+   * @param {number} [options.maxSize] The maximum number of jumps to keep.
+   */
+  constructor({
+    maxSize = Infinity,
+  } = {}) {
+    /**
+     * A linked list that represents the jumps, from the newest to the oldest.
+     *
+     * @type {LinkedList}
+     */
+    this.linkedList = new LinkedList
+    /**
+     * The node of the current jump, or null if the list is empty.
+     *
+     * @type {?LinkedList.Node}
+     */
+    this.cursor = null
+    /**
+     * The maximum number of jumps to keep.
+     *
+     * @type {number}
+     */
+    this.maxSize = maxSize
+  }
+
+  /**
+   * Returns the current item, if any.
+   *
+   * @returns {Item | undefined}
+   */
+  get current() {
+    return this.cursor?.value
+  }
+
+  /**
+   * Adds item after the cursor, discarding newer jumps,
+   * and moves the cursor to it.
+   * The item is not added if it is already the current one.
+   * Returns the JumpList object.
+   *
+   * @param {Item} item
+   * @returns {JumpList}
+   */
+  push(item) {
+    if (this.cursor) {
+      // Discard jumps newer than the cursor.
+      this.linkedList.head = this.cursor
+    }
+
+    if (this.current === item) {
+      return this
+    }
+
+    this.cursor = new LinkedList.Node(item)
+    this.linkedList.insert(this.cursor)
+    this.truncate()
+
+    return this
+  }
+
+  /**
+   * Moves the cursor to the previous (older) jump.
+   * Returns its item, or undefined if there is no older jump.
+   *
+   * @returns {Item | undefined}
+   */
+  back() {
+    if (!this.cursor?.next) {
+      return undefined
+    }
+
+    this.cursor = this.cursor.next
+
+    return this.cursor.value
+  }
+
+  /**
+   * Moves the cursor to the next (newer) jump.
+   * Returns its item, or undefined if there is no newer jump.
+   *
+   * @returns {Item | undefined}
+   */
+  forward() {
+    if (!this.cursor) {
+      return undefined
+    }
+
+    const previousNode = this.findPreviousNode(this.cursor)
+
+    if (!previousNode) {
+      return undefined
+    }
+
+    this.cursor = previousNode
+
+    return this.cursor.value
+  }
+
+  /**
+   * Replaces a specified item with a new one.
+   * The replacement does not move the cursor.
+   *
+   * @param {Item} item
+   * @param {Item} newItem
+   * @returns {void}
+   */
+  replace(item, newItem) {
+    for (let node = this.linkedList.head; node !== null; node = node.next) {
+      if (node.value === item) {
+        node.value = newItem
+      }
+    }
+  }
+
+  /**
+   * Deletes all jumps to a specified item.
+   * Jumps that would be repeated after the deletion are merged.
+   * If the current jump is deleted, the cursor moves to an older jump, if any.
+   * Returns true if the item existed and has been removed; false otherwise.
+   *
+   * @param {Item} item
+   * @returns {boolean}
+   */
+  delete(item) {
+    let found = false
+    let previousNode = null
+
+    for (let node = this.linkedList.head; node !== null; node = node.next) {
+      const isDeleted = node.value === item
+      const isRepeated = previousNode?.value === node.value
+
+      if (!isDeleted && !isRepeated) {
+        previousNode = node
+        continue
+      }
+
+      if (node === this.cursor) {
+        this.cursor = isRepeated
+          ? previousNode
+          : node.next ?? previousNode
+      }
+
+      if (previousNode) {
+        this.linkedList.deleteNextNode(previousNode)
+      } else {
+        this.linkedList.removeFirstNode()
+      }
+
+      found ||= isDeleted
+    }
+
+    return found
+  }
+
+  /**
+   * Clears the jump list.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.linkedList.head = null
+    this.cursor = null
+  }
+
+  /**
+   * Returns the position of the cursor, from the newest jump,
+   * or -1 if the list is empty.
+   *
+   * @returns {number}
+   */
+  get index() {
+    let index = 0
+
+    for (let node = this.linkedList.head; node !== null; node = node.next) {
+      if (node === this.cursor) {
+        return index
+      }
+      index++
+    }
+
+    return -1
+  }
+
+  /**
+   * Restores the jump list from items—from the newest to the oldest—
+   * and the position of the cursor.
+   *
+   * @param {Item[]} items
+   * @param {number} index
+   * @returns {void}
+   */
+  restore(items, index) {
+    this.clear()
+
+    for (const item of items.toReversed()) {
+      this.linkedList.insert(
+        new LinkedList.Node(item)
+      )
+    }
+
+    let node = this.linkedList.head
+
+    for (let nodeIndex = 0; node?.next && nodeIndex < index; nodeIndex++) {
+      node = node.next
+    }
+
+    this.cursor = node
+    this.truncate()
+  }
+
+  /**
+   * Returns the node before the specified node, if any.
+   *
+   * @param {?LinkedList.Node} node
+   * @returns {?LinkedList.Node}
+   */
+  findPreviousNode(node) {
+    for (let previousNode = this.linkedList.head; previousNode !== null; previousNode = previousNode.next) {
+      if (previousNode.next === node) {
+        return previousNode
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Discards the oldest jumps beyond the maximum size.
+   * Moves the cursor to the oldest remaining jump if it was discarded.
+   *
+   * @returns {void}
+   */
+  truncate() {
+    let node = this.linkedList.head
+    let isCursorKept = false
+
+    for (let size = 1; node !== null && size < this.maxSize; size++) {
+      isCursorKept ||= node === this.cursor
+      node = node.next
+    }
+
+    if (node?.next) {
+      if (!isCursorKept && node !== this.cursor) {
+        this.cursor = node
+      }
+      node.next = null
+    }
+  }
+
+  /**
+   * Returns an iterator for the items in the jump list,
+   * from the newest to the oldest.
+   *
+   * @returns {Iterable<Item>}
+   */
+  *values() {
+    yield* this.linkedList
+  }
+}
+
+export default JumpList
@@ -7,6 +7,26 @@
  * @property {string} code
  */
 
+/**
+ * @template Value
+ * @typedef {{ type: "none" } | { type: "pending" } | { type: "match", value: Value }} KeySequenceMatch
+ */
+
+// The delay, in milliseconds, after which a pending key sequence is cancelled.
+const KEY_SEQUENCE_TIMEOUT = 1000
+
+// Modifier keys do not take part in key sequences on their own.
+const MODIFIER_CODES = new Set([
+  'ControlLeft',
+  'ControlRight',
+  'AltLeft',
+  'AltRight',
+  'ShiftLeft',
+  'ShiftRight',
+  'MetaLeft',
+  'MetaRight',
+])
+
 /**
  * This class provides a specialized map for associating values with unique keyboard combinations.
  *
@@ -57,6 +77,127 @@ class Keymap extends Map {
       )
     )
   }
+
+  /**
+   * Sets a sequence of key combinations to a specific value.
+   *
+   * Each prefix of the sequence is bound to a nested keymap, forming a prefix tree.
+   * A sequence shadows any shorter binding that is one of its prefixes,
+   * whichever is set first.
+   *
+   * @param {Keypress[]} keypresses
+   * @param {Value} value
+   * @returns {Keymap}
+   */
+  setSequence(keypresses, value) {
+    const [keypress, ...remainingKeypresses] = keypresses
+    if (remainingKeypresses.length === 0) {
+      if (this.get(keypress) instanceof Keymap) {
+        return this
+      }
+      return this.set(keypress, value)
+    }
+    let childKeymap = this.get(keypress)
+    if (!(childKeymap instanceof Keymap)) {
+      childKeymap = new Keymap
+      this.set(keypress, childKeymap)
+    }
+    childKeymap.setSequence(remainingKeypresses, value)
+    return this
+  }
+}
+
+/**
+ * This class provides the functionality to match key sequences against a keymap,
+ * keeping track of the pending keys between keystrokes.
+ *
+ * @template Value
+ */
+class KeySequenceMatcher {
+  /**
+   * The keys typed so far in the current sequence.
+   *
+   * @type {Keypress[]}
+   */
+  pendingKeypresses = []
+
+  /**
+   * Creates a new key sequence matcher for the given keymap.
+   *
+   * @param {Keymap<symbol, Value>} keymap
+   * @param {object} [options]
+   * @param {number} [options.timeout]
+   * @param {(keypresses: Keypress[]) => void} [options.onPendingKeysChange]
+   */
+  constructor(keymap, {
+    timeout = KEY_SEQUENCE_TIMEOUT,
+    onPendingKeysChange = () => {},
+  } = {}) {
+    this.keymap = keymap
+    this.pendingKeymap = keymap
+    this.timeout = timeout
+    this.onPendingKeysChange = onPendingKeysChange
+    this.timeoutId = null
+  }
+
+  /**
+   * Determines whether a key sequence is in progress.
+   *
+   * @type {boolean}
+   */
+  get isPending() {
+    return this.pendingKeypresses.length > 0
+  }
+
+  /**
+   * Feeds a key combination to the matcher.
+   *
+   * A key that does not continue the pending sequence cancels it,
+   * and is then matched from the start of the keymap.
+   *
+   * @param {Keypress} keypress
+   * @returns {KeySequenceMatch<Value>}
+   */
+  feed(keypress) {
+    if (MODIFIER_CODES.has(keypress.code)) {
+      return { type: 'none' }
+    }
+    if (this.pendingKeymap.has(keypress)) {
+      const value = this.pendingKeymap.get(keypress)
+      if (value instanceof Keymap) {
+        this.pendingKeypresses.push(copyKeypress(keypress))
+        this.pendingKeymap = value
+        clearTimeout(this.timeoutId)
+        this.timeoutId = setTimeout(() => {
+          this.reset()
+        }, this.timeout)
+        this.onPendingKeysChange(this.pendingKeypresses)
+        return { type: 'pending' }
+      }
+      this.reset()
+      return { type: 'match', value }
+    }
+    if (this.isPending) {
+      this.reset()
+      return this.feed(keypress)
+    }
+    return { type: 'none' }
+  }
+
+  /**
+   * Cancels the pending key sequence.
+   *
+   * @returns {void}
+   */
+  reset() {
+    clearTimeout(this.timeoutId)
+    this.timeoutId = null
+    this.pendingKeymap = this.keymap
+    if (this.isPending) {
+      this.pendingKeypresses = []
+      this.onPendingKeysChange(this.pendingKeypresses)
+    }
+  }
 }
 
 /**
@@ -78,3 +219,23 @@ const keySequence = ({
   metaKey,
   code
 ])
+
+/**
+ * Copies the key combination properties of a keypress or keyboard event.
+ *
+ * @param {Keypress} keypress
+ * @returns {Keypress}
+ */
+const copyKeypress = ({
+  ctrlKey = false,
+  altKey = false,
+  shiftKey = false,
+  metaKey = false,
+  code
+}) => ({
+  ctrlKey,
+  altKey,
+  shiftKey,
+  metaKey,
+  code
+})
@@ -3,10 +3,166 @@
 // See lydell’s work for reference:
 // https://github.com/lydell/LinkHints/blob/main/src/options/Program.tsx
 
+/**
+ * @typedef {object} Keypress
+ * @property {boolean} ctrlKey
+ * @property {boolean} altKey
+ * @property {boolean} shiftKey
+ * @property {boolean} metaKey
+ * @property {string} code
+ *
+ * @typedef {object} KeyboardMapping
+ * @property {Keypress} [key]
+ * @property {Keypress[]} [keys]
+ * @property {string} command
+ *
+ * @typedef {"commandBindings" | "paletteBindings" | "pageBindings"} KeymapScope
+ *
+ * @typedef {object} PageRule
+ * @property {string} pattern
+ * @property {boolean} [disabled]
+ * @property {KeyboardMapping[]} [pageBindings]
+ * @property {Keypress[]} [passKeys]
+ *
+ * @typedef {object} TabGroupingRule
+ * @property {"url" | "hostname" | "title"} match
+ * @property {string} pattern
+ * @property {string} groupTitle
+ * @property {chrome.tabGroups.ColorEnum} groupColor
+ *
+ * @typedef {object} InactiveTabCleanupPolicy
+ * @property {boolean} enabled
+ * @property {"close" | "discard"} action
+ * @property {number} thresholdInMinutes
+ * @property {string[]} allowlist
+ *
+ * @typedef {object} CommandConfirmation
+ * @property {"always" | "aboveTabCount" | "never"} mode
+ * @property {number} tabCount
+ *
+ * @typedef {object} DuplicateTabNormalization
+ * @property {boolean} ignoreHash
+ * @property {boolean} ignoreTrackingParams
+ * @property {boolean} ignoreTrailingSlash
+ */
+
+import {
+  UNVERSIONED_SCHEMA_VERSION,
+  migrateOptions,
+  validateOptions,
+} from './options_schema.js'
+
+import {
+  isValidPagePattern,
+} from '../page_rules.js'
+
+import {
+  TAB_GROUPING_RULE_MATCHES,
+  TAB_GROUP_COLORS,
+  isValidTabGroupingPattern,
+} from '../tab_grouping_rules.js'
+
+// The delay, in milliseconds, after which a recorded key sequence is saved.
+const KEY_SEQUENCE_TIMEOUT = 1000
+
+// Modifier keys do not take part in key sequences on their own.
+const MODIFIER_CODES = new Set([
+  'ControlLeft',
+  'ControlRight',
+  'AltLeft',
+  'AltRight',
+  'ShiftLeft',
+  'ShiftRight',
+  'MetaLeft',
+  'MetaRight',
+])
+
+// Config for key display.
+const keyDisplay = {
+  ctrlKey: '⌃',
+  altKey: '⌥',
+  shiftKey: '⇧',
+  metaKey: '⌘'
+}
+
 const buttonElements = document.querySelectorAll('button')
 const inputElements = document.querySelectorAll('input')
 const vimModeCheckbox = document.querySelector('input[type="checkbox"][data-action="enableVimMode"]')
 const basicThemeRadioButton = document.querySelector('input[type="radio"][data-action="restoreDefaultTheme"]')
+const keymapScopeSelectElement = document.querySelector('select[data-action="selectKeymapScope"]')
+const clearCommandHistoryButton = document.querySelector('button[data-action="clearCommandHistory"]')
+const paletteMatchModeSelectElement = document.querySelector('select[data-action="selectPaletteMatchMode"]')
+const tabGroupSortingCheckbox = document.querySelector('input[type="checkbox"][data-action="enableTabGroupSorting"]')
+const inactiveTabCleanupCheckbox = document.querySelector('input[type="checkbox"][data-action="enableInactiveTabCleanup"]')
+const inactiveTabCleanupActionSelectElement = document.querySelector('select[data-action="selectInactiveTabCleanupAction"]')
+const inactiveTabCleanupThresholdInputElement = document.querySelector('input[type="number"][data-action="setInactiveTabCleanupThreshold"]')
+const inactiveTabCleanupAllowlistTextAreaElement = document.querySelector('textarea[data-action="setInactiveTabCleanupAllowlist"]')
+const duplicateTabNormalizationCheckboxes = document.querySelectorAll('input[type="checkbox"][data-action="setDuplicateTabNormalization"]')
+const keyBindingEditorElement = document.getElementById('key-binding-editor')
+const pageRuleEditorElement = document.getElementById('page-rule-editor')
+const tabGroupingRuleEditorElement = document.getElementById('tab-grouping-rule-editor')
+const commandConfirmationEditorElement = document.getElementById('command-confirmation-editor')
+const importReportElement = document.getElementById('import-report')
+
+/**
+ * The key binding editor state, updated on each state sync.
+ *
+ * @type {{ keyBindings: Object<KeymapScope, KeyboardMapping[]>, bindableCommands: Object<KeymapScope, string[]> }}
+ */
+const keyBindingEditor = {
+  keyBindings: {
+    commandBindings: [],
+    paletteBindings: [],
+    pageBindings: [],
+  },
+  bindableCommands: {
+    commandBindings: [],
+    paletteBindings: [],
+    pageBindings: [],
+  },
+}
+
+/**
+ * The page rules, updated on each state sync.
+ *
+ * @type {PageRule[]}
+ */
+let pageRules = []
+
+/**
+ * The tab grouping rules, updated on each state sync.
+ *
+ * @type {TabGroupingRule[]}
+ */
+let tabGroupingRules = []
+
+/**
+ * The inactive tab cleanup policy, updated on each state sync.
+ *
+ * @type {?InactiveTabCleanupPolicy}
+ */
+let inactiveTabCleanup = null
+
+/**
+ * The confirmation settings of destructive commands, updated on each state sync.
+ *
+ * @type {Object<string, CommandConfirmation>}
+ */
+let commandConfirmations = {}
+
+/**
+ * The URL normalization of duplicate tabs, updated on each state sync.
+ *
+ * @type {?DuplicateTabNormalization}
+ */
+let duplicateTabNormalization = null
+
+/**
+ * The key sequence being recorded, if any.
+ *
+ * @type {?{ keypresses: Keypress[], buttonElement: HTMLButtonElement, buttonLabel: string, timeoutId: number, onRecord: (keypresses: Keypress[]) => void }}
+ */
+let keyBindingRecording = null
 
 const port = chrome.runtime.connect({
   name: 'options'
@@ -18,6 +174,16 @@ port.onMessage.addListener((message) => {
       onStateSync({
         vimModeEnabled: message.vimModeEnabled,
         popupStyleSheetChanged: message.popupStyleSheetChanged,
+        keyBindings: message.keyBindings,
+        pageRules: message.pageRules,
+        tabGroupingRules: message.tabGroupingRules,
+        paletteMatchMode: message.paletteMatchMode,
+        inactiveTabCleanup: message.inactiveTabCleanup,
+        commandConfirmations: message.commandConfirmations,
+        duplicateTabNormalization: message.duplicateTabNormalization,
+        sortTabGroupsAsUnits: message.sortTabGroupsAsUnits,
+        commandHistoryEmpty: message.commandHistoryEmpty,
+        bindableCommands: message.bindableCommands,
       })
       break
 
@@ -48,6 +214,18 @@ for (const buttonElement of buttonElements) {
       buttonElement.addEventListener('click', resetOptions)
       break
 
+    case 'addPageRule':
+      buttonElement.addEventListener('click', addPageRule)
+      break
+
+    case 'addTabGroupingRule':
+      buttonElement.addEventListener('click', addTabGroupingRule)
+      break
+
+    case 'clearCommandHistory':
+      buttonElement.addEventListener('click', clearCommandHistory)
+      break
+
     default:
       console.error(
         'Unknown action: "%s"',
@@ -74,6 +252,43 @@ for (const inputElement of inputElements) {
       inputElement.addEventListener('change', restoreDefaultTheme)
       break
 
+    case 'enableTabGroupSorting':
+      inputElement.addEventListener('change', () => {
+        saveOptions({
+          sortTabGroupsAsUnits: inputElement.checked
+        })
+      })
+      break
+
+    case 'enableInactiveTabCleanup':
+      inputElement.addEventListener('change', () => {
+        updateInactiveTabCleanup({
+          enabled: inputElement.checked
+        })
+      })
+      break
+
+    case 'setInactiveTabCleanupThreshold':
+      inputElement.addEventListener('change', () => {
+        if (inputElement.checkValidity() && inputElement.value !== '') {
+          updateInactiveTabCleanup({
+            thresholdInMinutes: inputElement.valueAsNumber
+          })
+        }
+      })
+      break
+
+    case 'setDuplicateTabNormalization':
+      inputElement.addEventListener('change', () => {
+        saveOptions({
+          duplicateTabNormalization: {
+            ...duplicateTabNormalization,
+            [inputElement.dataset.property]: inputElement.checked
+          }
+        })
+      })
+      break
+
     default:
       console.error(
         'Unknown action: "%s"',
@@ -82,20 +297,808 @@ for (const inputElement of inputElements) {
   }
 }
 
+keymapScopeSelectElement.addEventListener('change', () => {
+  cancelKeyBindingRecording()
+  renderKeyBindingEditor()
+})
+
+paletteMatchModeSelectElement.addEventListener('change', () => {
+  saveOptions({
+    paletteMatchMode: paletteMatchModeSelectElement.value
+  })
+})
+
+inactiveTabCleanupActionSelectElement.addEventListener('change', () => {
+  updateInactiveTabCleanup({
+    action: inactiveTabCleanupActionSelectElement.value
+  })
+})
+
+inactiveTabCleanupAllowlistTextAreaElement.addEventListener('input', () => {
+  inactiveTabCleanupAllowlistTextAreaElement.classList.toggle('invalid', !parsePatternList(inactiveTabCleanupAllowlistTextAreaElement.value).every(isValidPagePattern))
+})
+
+inactiveTabCleanupAllowlistTextAreaElement.addEventListener('change', () => {
+  const allowlist = parsePatternList(inactiveTabCleanupAllowlistTextAreaElement.value)
+  // Invalid patterns are not saved: the last valid allowlist is restored.
+  if (allowlist.every(isValidPagePattern)) {
+    updateInactiveTabCleanup({
+      allowlist
+    })
+  } else {
+    inactiveTabCleanupAllowlistTextAreaElement.value = inactiveTabCleanup.allowlist.join('\n')
+    inactiveTabCleanupAllowlistTextAreaElement.classList.toggle('invalid', !inactiveTabCleanup.allowlist.every(isValidPagePattern))
+  }
+})
+
+window.addEventListener('keydown', onKeyBindingRecordingKeyDown, {
+  capture: true
+})
+
 /**
  * Handles state syncing.
  *
  * @param {object} properties
  * @param {boolean} properties.vimModeEnabled
  * @param {boolean} properties.popupStyleSheetChanged
+ * @param {Object<KeymapScope, KeyboardMapping[]>} properties.keyBindings
+ * @param {PageRule[]} properties.pageRules
+ * @param {TabGroupingRule[]} properties.tabGroupingRules
+ * @param {MatchMode} properties.paletteMatchMode
+ * @param {InactiveTabCleanupPolicy} properties.inactiveTabCleanup
+ * @param {Object<string, CommandConfirmation>} properties.commandConfirmations
+ * @param {DuplicateTabNormalization} properties.duplicateTabNormalization
+ * @param {boolean} properties.sortTabGroupsAsUnits
+ * @param {boolean} properties.commandHistoryEmpty
+ * @param {Object<KeymapScope, string[]>} properties.bindableCommands
  * @returns {void}
  */
 function onStateSync({
   vimModeEnabled,
   popupStyleSheetChanged,
+  keyBindings,
+  pageRules: newPageRules,
+  tabGroupingRules: newTabGroupingRules,
+  paletteMatchMode,
+  inactiveTabCleanup: newInactiveTabCleanup,
+  commandConfirmations: newCommandConfirmations,
+  duplicateTabNormalization: newDuplicateTabNormalization,
+  sortTabGroupsAsUnits,
+  commandHistoryEmpty,
+  bindableCommands,
 }) {
   vimModeCheckbox.checked = vimModeEnabled
   basicThemeRadioButton.checked = !popupStyleSheetChanged
+  paletteMatchModeSelectElement.value = paletteMatchMode
+  tabGroupSortingCheckbox.checked = sortTabGroupsAsUnits
+  inactiveTabCleanup = newInactiveTabCleanup
+  inactiveTabCleanupCheckbox.checked = inactiveTabCleanup.enabled
+  inactiveTabCleanupActionSelectElement.value = inactiveTabCleanup.action
+  inactiveTabCleanupThresholdInputElement.value = inactiveTabCleanup.thresholdInMinutes
+  inactiveTabCleanupAllowlistTextAreaElement.value = inactiveTabCleanup.allowlist.join('\n')
+  inactiveTabCleanupAllowlistTextAreaElement.classList.toggle('invalid', !inactiveTabCleanup.allowlist.every(isValidPagePattern))
+  duplicateTabNormalization = newDuplicateTabNormalization
+  for (const checkbox of duplicateTabNormalizationCheckboxes) {
+    checkbox.checked = duplicateTabNormalization[checkbox.dataset.property]
+  }
+  clearCommandHistoryButton.disabled = commandHistoryEmpty
+  keyBindingEditor.keyBindings = keyBindings
+  keyBindingEditor.bindableCommands = bindableCommands
+  pageRules = newPageRules
+  tabGroupingRules = newTabGroupingRules
+  commandConfirmations = newCommandConfirmations
+  cancelKeyBindingRecording()
+  renderKeyBindingEditor()
+  renderPageRuleEditor()
+  renderTabGroupingRuleEditor()
+  renderCommandConfirmationEditor()
+}
+
+/**
+ * Renders the key binding editor for the selected keymap scope.
+ *
+ * Each command is listed with its bindings. A binding that is equal to,
+ * or a prefix of, another binding in the same scope is flagged as a conflict.
+ *
+ * @returns {void}
+ */
+function renderKeyBindingEditor() {
+  const scope = keymapScopeSelectElement.value
+  const keyBindings = keyBindingEditor.keyBindings[scope]
+  const keyBindingsByCommand = Map.groupBy(
+    keyBindings.map((keyBinding, index) => ({ keyBinding, index })),
+    ({ keyBinding }) => keyBinding.command
+  )
+
+  const rowElements = keyBindingEditor.bindableCommands[scope].map((commandName) => {
+    const rowElement = document.createElement('tr')
+    const descriptionElement = document.createElement('td')
+    const bindingsElement = document.createElement('td')
+    const actionsElement = document.createElement('td')
+
+    descriptionElement.textContent = getCommandDescription(commandName)
+    descriptionElement.title = commandName
+
+    for (const { keyBinding, index } of keyBindingsByCommand.get(commandName) ?? []) {
+      const keys = getKeyBindingKeys(keyBinding)
+      const conflictingKeyBindings = keyBindings.filter((otherKeyBinding, otherIndex) =>
+        otherIndex !== index &&
+        isKeySequencePrefix(keys, getKeyBindingKeys(otherKeyBinding))
+      )
+
+      const keyBindingElement = createKeyBindingElement(keys, () => {
+        removeKeyBinding(scope, index)
+      })
+
+      const kbdElement = keyBindingElement.firstElementChild
+      if (conflictingKeyBindings.length > 0) {
+        kbdElement.classList.add('conflict')
+        kbdElement.title = chrome.i18n.getMessage(
+          'keyBindingConflictMessage',
+          conflictingKeyBindings
+            .map((otherKeyBinding) => getCommandDescription(otherKeyBinding.command))
+            .join(', ')
+        )
+      }
+
+      bindingsElement.append(keyBindingElement)
+    }
+
+    const addButtonElement = document.createElement('button')
+    addButtonElement.textContent = chrome.i18n.getMessage('addKeyBindingButtonLabel')
+    addButtonElement.addEventListener('click', () => {
+      startKeyBindingRecording(addButtonElement, (keypresses) => {
+        addKeyBinding(scope, commandName, keypresses)
+      })
+    })
+    actionsElement.append(addButtonElement)
+
+    rowElement.append(descriptionElement, bindingsElement, actionsElement)
+    return rowElement
+  })
+
+  keyBindingEditorElement.tBodies[0].replaceChildren(...rowElements)
+}
+
+/**
+ * Renders the page rule editor.
+ *
+ * Each rule is listed with its URL pattern, whether it disables page bindings,
+ * its pass keys and its extra bindings.
+ *
+ * @returns {void}
+ */
+function renderPageRuleEditor() {
+  const pageRuleElements = pageRules.map((pageRule, index) => {
+    const pageRuleElement = document.createElement('fieldset')
+    pageRuleElement.className = 'page-rule'
+
+    const patternInputElement = document.createElement('input')
+    patternInputElement.type = 'text'
+    patternInputElement.value = pageRule.pattern
+    patternInputElement.ariaLabel = chrome.i18n.getMessage('pageRulePatternLabel')
+    patternInputElement.classList.toggle('invalid', !isValidPagePattern(pageRule.pattern))
+    patternInputElement.addEventListener('input', () => {
+      patternInputElement.classList.toggle('invalid', !isValidPagePattern(patternInputElement.value))
+    })
+    patternInputElement.addEventListener('change', () => {
+      // Invalid patterns are not saved: the last valid one is restored.
+      if (isValidPagePattern(patternInputElement.value)) {
+        updatePageRule(index, {
+          pattern: patternInputElement.value
+        })
+      } else {
+        patternInputElement.value = pageRule.pattern
+        patternInputElement.classList.toggle('invalid', !isValidPagePattern(pageRule.pattern))
+      }
+    })
+
+    const removeRuleButtonElement = document.createElement('button')
+    removeRuleButtonElement.textContent = chrome.i18n.getMessage('removePageRuleButtonLabel')
+    removeRuleButtonElement.addEventListener('click', () => {
+      removePageRule(index)
+    })
+
+    const disabledCheckboxElement = document.createElement('input')
+    disabledCheckboxElement.type = 'checkbox'
+    disabledCheckboxElement.checked = Boolean(pageRule.disabled)
+    disabledCheckboxElement.addEventListener('change', () => {
+      updatePageRule(index, {
+        disabled: disabledCheckboxElement.checked
+      })
+    })
+
+    const disabledLabelElement = document.createElement('label')
+    disabledLabelElement.append(
+      disabledCheckboxElement,
+      chrome.i18n.getMessage('pageRuleDisabledLabel')
+    )
+
+    const passKeys = pageRule.passKeys ?? []
+    const passKeysElement = document.createElement('div')
+    const passKeysLabelElement = document.createElement('span')
+    passKeysLabelElement.className = 'label'
+    passKeysLabelElement.textContent = chrome.i18n.getMessage('pageRulePassKeysLabel')
+    passKeysElement.append(passKeysLabelElement)
+
+    passKeys.forEach((keypress, keyIndex) => {
+      passKeysElement.append(
+        createKeyBindingElement([keypress], () => {
+          updatePageRule(index, {
+            passKeys: passKeys.toSpliced(keyIndex, 1)
+          })
+        })
+      )
+    })
+
+    const addPassKeyButtonElement = document.createElement('button')
+    addPassKeyButtonElement.textContent = chrome.i18n.getMessage('addKeyBindingButtonLabel')
+    addPassKeyButtonElement.addEventListener('click', () => {
+      startKeyBindingRecording(addPassKeyButtonElement, (keypresses) => {
+        updatePageRule(index, {
+          passKeys: passKeys.concat(keypresses.map(compactKeypress))
+        })
+      })
+    })
+    passKeysElement.append(addPassKeyButtonElement)
+
+    const pageBindings = pageRule.pageBindings ?? []
+    const pageBindingsElement = document.createElement('div')
+    const pageBindingsLabelElement = document.createElement('span')
+    pageBindingsLabelElement.className = 'label'
+    pageBindingsLabelElement.textContent = chrome.i18n.getMessage('pageRuleBindingsLabel')
+    pageBindingsElement.append(pageBindingsLabelElement)
+
+    pageBindings.forEach((keyBinding, keyBindingIndex) => {
+      const keyBindingElement = createKeyBindingElement(getKeyBindingKeys(keyBinding), () => {
+        updatePageRule(index, {
+          pageBindings: pageBindings.toSpliced(keyBindingIndex, 1)
+        })
+      })
+      keyBindingElement.title = keyBinding.command
+      keyBindingElement.firstElementChild.after(
+        ` → ${getCommandDescription(keyBinding.command)}`
+      )
+      pageBindingsElement.append(keyBindingElement)
+    })
+
+    const commandSelectElement = document.createElement('select')
+    commandSelectElement.ariaLabel = chrome.i18n.getMessage('pageRuleCommandLabel')
+    commandSelectElement.append(
+      ...keyBindingEditor.bindableCommands.pageBindings.map((commandName) =>
+        new Option(getCommandDescription(commandName), commandName)
+      )
+    )
+
+    const addBindingButtonElement = document.createElement('button')
+    addBindingButtonElement.textContent = chrome.i18n.getMessage('addKeyBindingButtonLabel')
+    addBindingButtonElement.addEventListener('click', () => {
+      const commandName = commandSelectElement.value
+      startKeyBindingRecording(addBindingButtonElement, (keypresses) => {
+        updatePageRule(index, {
+          pageBindings: pageBindings.concat([
+            createKeyBinding(commandName, keypresses)
+          ])
+        })
+      })
+    })
+    pageBindingsElement.append(commandSelectElement, addBindingButtonElement)
+
+    pageRuleElement.append(
+      patternInputElement,
+      removeRuleButtonElement,
+      disabledLabelElement,
+      passKeysElement,
+      pageBindingsElement
+    )
+    return pageRuleElement
+  })
+
+  pageRuleEditorElement.replaceChildren(...pageRuleElements)
+}
+
+/**
+ * Renders the tab grouping rule editor.
+ *
+ * Each rule is listed with what to match—URL pattern, hostname or title—,
+ * its pattern, and the title and color of the group to file tabs into.
+ *
+ * @returns {void}
+ */
+function renderTabGroupingRuleEditor() {
+  const tabGroupingRuleElements = tabGroupingRules.map((tabGroupingRule, index) => {
+    const tabGroupingRuleElement = document.createElement('fieldset')
+    tabGroupingRuleElement.className = 'tab-grouping-rule'
+
+    const matchSelectElement = document.createElement('select')
+    matchSelectElement.ariaLabel = chrome.i18n.getMessage('tabGroupingRuleMatchLabel')
+    matchSelectElement.append(
+      ...TAB_GROUPING_RULE_MATCHES.map((match) =>
+        new Option(chrome.i18n.getMessage(`${match}TabGroupingMatchLabel`), match)
+      )
+    )
+    matchSelectElement.value = tabGroupingRule.match
+    matchSelectElement.addEventListener('change', () => {
+      // A match the pattern is invalid for is not saved: the last one is restored.
+      if (isValidTabGroupingPattern(matchSelectElement.value, tabGroupingRule.pattern)) {
+        updateTabGroupingRule(index, {
+          match: matchSelectElement.value
+        })
+      } else {
+        matchSelectElement.value = tabGroupingRule.match
+      }
+    })
+
+    const patternInputElement = document.createElement('input')
+    patternInputElement.type = 'text'
+    patternInputElement.value = tabGroupingRule.pattern
+    patternInputElement.ariaLabel = chrome.i18n.getMessage('tabGroupingRulePatternLabel')
+    patternInputElement.classList.toggle('invalid', !isValidTabGroupingPattern(tabGroupingRule.match, tabGroupingRule.pattern))
+    patternInputElement.addEventListener('input', () => {
+      patternInputElement.classList.toggle('invalid', !isValidTabGroupingPattern(matchSelectElement.value, patternInputElement.value))
+    })
+    patternInputElement.addEventListener('change', () => {
+      // Invalid patterns are not saved: the last valid one is restored.
+      if (isValidTabGroupingPattern(tabGroupingRule.match, patternInputElement.value)) {
+        updateTabGroupingRule(index, {
+          pattern: patternInputElement.value
+        })
+      } else {
+        patternInputElement.value = tabGroupingRule.pattern
+        patternInputElement.classList.toggle('invalid', !isValidTabGroupingPattern(tabGroupingRule.match, tabGroupingRule.pattern))
+      }
+    })
+
+    const groupTitleInputElement = document.createElement('input')
+    groupTitleInputElement.type = 'text'
+    groupTitleInputElement.value = tabGroupingRule.groupTitle
+    groupTitleInputElement.ariaLabel = chrome.i18n.getMessage('tabGroupingRuleGroupTitleLabel')
+    groupTitleInputElement.placeholder = chrome.i18n.getMessage('tabGroupingRuleGroupTitleLabel')
+    groupTitleInputElement.addEventListener('change', () => {
+      if (groupTitleInputElement.value !== '') {
+        updateTabGroupingRule(index, {
+          groupTitle: groupTitleInputElement.value
+        })
+      }
+    })
+
+    const groupColorSelectElement = document.createElement('select')
+    groupColorSelectElement.ariaLabel = chrome.i18n.getMessage('tabGroupingRuleGroupColorLabel')
+    groupColorSelectElement.append(
+      ...TAB_GROUP_COLORS.map((color) =>
+        new Option(chrome.i18n.getMessage(`${color}TabGroupColorLabel`), color)
+      )
+    )
+    groupColorSelectElement.value = tabGroupingRule.groupColor
+    groupColorSelectElement.addEventListener('change', () => {
+      updateTabGroupingRule(index, {
+        groupColor: groupColorSelectElement.value
+      })
+    })
+
+    const removeRuleButtonElement = document.createElement('button')
+    removeRuleButtonElement.textContent = chrome.i18n.getMessage('removeTabGroupingRuleButtonLabel')
+    removeRuleButtonElement.addEventListener('click', () => {
+      removeTabGroupingRule(index)
+    })
+
+    tabGroupingRuleElement.append(
+      matchSelectElement,
+      patternInputElement,
+      groupTitleInputElement,
+      groupColorSelectElement,
+      removeRuleButtonElement
+    )
+    return tabGroupingRuleElement
+  })
+
+  tabGroupingRuleEditorElement.replaceChildren(...tabGroupingRuleElements)
+}
+
+/**
+ * Renders the command confirmation editor.
+ *
+ * Each destructive command is listed with when to confirm it:
+ * always, above a number of tabs, or never.
+ *
+ * @returns {void}
+ */
+function renderCommandConfirmationEditor() {
+  const rowElements = Object.entries(commandConfirmations).map(([commandName, confirmation]) => {
+    const rowElement = document.createElement('tr')
+    const descriptionElement = document.createElement('td')
+    const modeElement = document.createElement('td')
+    const tabCountElement = document.createElement('td')
+
+    descriptionElement.textContent = getCommandDescription(commandName)
+    descriptionElement.title = commandName
+
+    const modeSelectElement = document.createElement('select')
+    modeSelectElement.ariaLabel = chrome.i18n.getMessage('commandConfirmationModeLabel')
+    modeSelectElement.append(
+      new Option(chrome.i18n.getMessage('alwaysCommandConfirmationLabel'), 'always'),
+      new Option(chrome.i18n.getMessage('aboveTabCountCommandConfirmationLabel'), 'aboveTabCount'),
+      new Option(chrome.i18n.getMessage('neverCommandConfirmationLabel'), 'never')
+    )
+    modeSelectElement.value = confirmation.mode
+    modeSelectElement.addEventListener('change', () => {
+      updateCommandConfirmation(commandName, {
+        mode: modeSelectElement.value
+      })
+    })
+    modeElement.append(modeSelectElement)
+
+    const tabCountInputElement = document.createElement('input')
+    tabCountInputElement.type = 'number'
+    tabCountInputElement.min = 0
+    tabCountInputElement.step = 1
+    tabCountInputElement.value = confirmation.tabCount
+    tabCountInputElement.disabled = confirmation.mode !== 'aboveTabCount'
+    tabCountInputElement.ariaLabel = chrome.i18n.getMessage('commandConfirmationTabCountLabel')
+    tabCountInputElement.addEventListener('change', () => {
+      if (tabCountInputElement.checkValidity() && tabCountInputElement.value !== '') {
+        updateCommandConfirmation(commandName, {
+          tabCount: tabCountInputElement.valueAsNumber
+        })
+      }
+    })
+    tabCountElement.append(tabCountInputElement)
+
+    rowElement.append(descriptionElement, modeElement, tabCountElement)
+    return rowElement
+  })
+
+  commandConfirmationEditorElement.tBodies[0].replaceChildren(...rowElements)
+}
+
+/**
+ * Creates an element displaying a key sequence, with a button to remove it.
+ *
+ * @param {Keypress[]} keypresses
+ * @param {() => void} onRemove
+ * @returns {HTMLSpanElement}
+ */
+function createKeyBindingElement(keypresses, onRemove) {
+  const keyBindingElement = document.createElement('span')
+  keyBindingElement.className = 'key-binding'
+
+  const kbdElement = document.createElement('kbd')
+  kbdElement.textContent = formatKeySequence(keypresses)
+
+  const removeButtonElement = document.createElement('button')
+  removeButtonElement.textContent = '×'
+  removeButtonElement.ariaLabel = chrome.i18n.getMessage('removeKeyBindingButtonLabel')
+  removeButtonElement.addEventListener('click', onRemove)
+
+  keyBindingElement.append(kbdElement, removeButtonElement)
+  return keyBindingElement
+}
+
+/**
+ * Starts recording a key sequence with the given button.
+ *
+ * @param {HTMLButtonElement} buttonElement
+ * @param {(keypresses: Keypress[]) => void} onRecord
+ * @returns {void}
+ */
+function startKeyBindingRecording(buttonElement, onRecord) {
+  cancelKeyBindingRecording()
+  keyBindingRecording = {
+    keypresses: [],
+    buttonElement,
+    buttonLabel: buttonElement.textContent,
+    timeoutId: null,
+    onRecord,
+  }
+  buttonElement.textContent = chrome.i18n.getMessage('recordKeyBindingButtonLabel')
+  buttonElement.classList.add('recording')
+  buttonElement.addEventListener('blur', cancelKeyBindingRecording, {
+    once: true
+  })
+}
+
+/**
+ * Cancels the key sequence being recorded, if any.
+ *
+ * @returns {void}
+ */
+function cancelKeyBindingRecording() {
+  if (keyBindingRecording) {
+    const { buttonElement, buttonLabel, timeoutId } = keyBindingRecording
+    clearTimeout(timeoutId)
+    buttonElement.textContent = buttonLabel
+    buttonElement.classList.remove('recording')
+    keyBindingRecording = null
+  }
+}
+
+/**
+ * Handles key presses while recording a key sequence.
+ * The sequence is saved once no key has been pressed for a while.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function onKeyBindingRecordingKeyDown(keyboardEvent) {
+  if (
+    keyBindingRecording === null ||
+    MODIFIER_CODES.has(keyboardEvent.code)
+  ) {
+    return
+  }
+  keyboardEvent.preventDefault()
+  keyboardEvent.stopImmediatePropagation()
+
+  const { keypresses, buttonElement } = keyBindingRecording
+  keypresses.push({
+    ctrlKey: keyboardEvent.ctrlKey,
+    altKey: keyboardEvent.altKey,
+    shiftKey: keyboardEvent.shiftKey,
+    metaKey: keyboardEvent.metaKey,
+    code: keyboardEvent.code,
+  })
+  buttonElement.textContent = formatKeySequence(keypresses)
+
+  clearTimeout(keyBindingRecording.timeoutId)
+  keyBindingRecording.timeoutId = setTimeout(() => {
+    const { onRecord } = keyBindingRecording
+    cancelKeyBindingRecording()
+    onRecord(keypresses)
+  }, KEY_SEQUENCE_TIMEOUT)
+}
+
+/**
+ * Adds a key binding to the given keymap scope, then saves it.
+ *
+ * @param {KeymapScope} scope
+ * @param {string} commandName
+ * @param {Keypress[]} keypresses
+ * @returns {void}
+ */
+function addKeyBinding(scope, commandName, keypresses) {
+  saveOptions({
+    [scope]: keyBindingEditor.keyBindings[scope].concat([
+      createKeyBinding(commandName, keypresses)
+    ])
+  })
+}
+
+/**
+ * Removes a key binding from the given keymap scope, then saves it.
+ *
+ * @param {KeymapScope} scope
+ * @param {number} index
+ * @returns {void}
+ */
+function removeKeyBinding(scope, index) {
+  saveOptions({
+    [scope]: keyBindingEditor.keyBindings[scope].toSpliced(index, 1)
+  })
+}
+
+/**
+ * Adds an empty page rule, then saves it.
+ *
+ * @returns {void}
+ */
+function addPageRule() {
+  saveOptions({
+    pageRules: pageRules.concat([
+      { pattern: 'https://example.com/*', disabled: false, passKeys: [], pageBindings: [] }
+    ])
+  })
+}
+
+/**
+ * Updates a page rule, then saves it.
+ *
+ * @param {number} index
+ * @param {Partial<PageRule>} properties
+ * @returns {void}
+ */
+function updatePageRule(index, properties) {
+  saveOptions({
+    pageRules: pageRules.with(index, {
+      ...pageRules[index],
+      ...properties
+    })
+  })
+}
+
+/**
+ * Removes a page rule, then saves it.
+ *
+ * @param {number} index
+ * @returns {void}
+ */
+function removePageRule(index) {
+  saveOptions({
+    pageRules: pageRules.toSpliced(index, 1)
+  })
+}
+
+/**
+ * Adds a tab grouping rule, then saves it.
+ *
+ * @returns {void}
+ */
+function addTabGroupingRule() {
+  saveOptions({
+    tabGroupingRules: tabGroupingRules.concat([
+      { match: 'hostname', pattern: 'example.com', groupTitle: 'Example', groupColor: 'grey' }
+    ])
+  })
+}
+
+/**
+ * Updates a tab grouping rule, then saves it.
+ *
+ * @param {number} index
+ * @param {Partial<TabGroupingRule>} properties
+ * @returns {void}
+ */
+function updateTabGroupingRule(index, properties) {
+  saveOptions({
+    tabGroupingRules: tabGroupingRules.with(index, {
+      ...tabGroupingRules[index],
+      ...properties
+    })
+  })
+}
+
+/**
+ * Removes a tab grouping rule, then saves it.
+ *
+ * @param {number} index
+ * @returns {void}
+ */
+function removeTabGroupingRule(index) {
+  saveOptions({
+    tabGroupingRules: tabGroupingRules.toSpliced(index, 1)
+  })
+}
+
+/**
+ * Updates the inactive tab cleanup policy, then saves it.
+ *
+ * @param {Partial<InactiveTabCleanupPolicy>} properties
+ * @returns {void}
+ */
+function updateInactiveTabCleanup(properties) {
+  saveOptions({
+    inactiveTabCleanup: {
+      ...inactiveTabCleanup,
+      ...properties
+    }
+  })
+}
+
+/**
+ * Updates the confirmation setting of a command, then saves it.
+ *
+ * @param {string} commandName
+ * @param {Partial<CommandConfirmation>} properties
+ * @returns {void}
+ */
+function updateCommandConfirmation(commandName, properties) {
+  saveOptions({
+    commandConfirmations: {
+      ...commandConfirmations,
+      [commandName]: {
+        ...commandConfirmations[commandName],
+        ...properties
+      }
+    }
+  })
+}
+
+/**
+ * Parses a list of URL patterns, one per line. Blank lines are ignored.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parsePatternList(text) {
+  return text
+    .split('\n')
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern !== '')
+}
+
+/**
+ * Creates a key binding for the given command, as written in the config.
+ *
+ * @param {string} commandName
+ * @param {Keypress[]} keypresses
+ * @returns {KeyboardMapping}
+ */
+function createKeyBinding(commandName, keypresses) {
+  return keypresses.length === 1
+    ? { command: commandName, key: compactKeypress(keypresses[0]) }
+    : { command: commandName, keys: keypresses.map(compactKeypress) }
+}
+
+/**
+ * Returns the localized description of a command, or its name if there is none.
+ *
+ * @param {string} commandName
+ * @returns {string}
+ */
+function getCommandDescription(commandName) {
+  return chrome.i18n.getMessage(`${commandName}CommandDescription`) || commandName
+}
+
+/**
+ * Returns the key sequence of a key binding.
+ *
+ * @param {KeyboardMapping} keyBinding
+ * @returns {Keypress[]}
+ */
+function getKeyBindingKeys({ key, keys = [key] }) {
+  return keys
+}
+
+/**
+ * Determines whether a key sequence is equal to, or a prefix of, another one—in either direction.
+ *
+ * @param {Keypress[]} keypresses
+ * @param {Keypress[]} otherKeypresses
+ * @returns {boolean}
+ */
+function isKeySequencePrefix(keypresses, otherKeypresses) {
+  const length = Math.min(keypresses.length, otherKeypresses.length)
+  return keypresses
+    .slice(0, length)
+    .every((keypress, index) =>
+      keypressEquals(keypress, otherKeypresses[index])
+    )
+}
+
+/**
+ * Determines whether two key combinations are equal.
+ *
+ * @param {Keypress} keypress
+ * @param {Keypress} otherKeypress
+ * @returns {boolean}
+ */
+function keypressEquals(keypress, otherKeypress) {
+  return (
+    Boolean(keypress.ctrlKey) === Boolean(otherKeypress.ctrlKey) &&
+    Boolean(keypress.altKey) === Boolean(otherKeypress.altKey) &&
+    Boolean(keypress.shiftKey) === Boolean(otherKeypress.shiftKey) &&
+    Boolean(keypress.metaKey) === Boolean(otherKeypress.metaKey) &&
+    keypress.code === otherKeypress.code
+  )
+}
+
+/**
+ * Removes unset modifiers from a key combination, as written in the config.
+ *
+ * @param {Keypress} keypress
+ * @returns {Keypress}
+ */
+function compactKeypress(keypress) {
+  return Object.fromEntries(
+    Object.entries(keypress).filter(([name, value]) => value !== false)
+  )
+}
+
+/**
+ * Formats a key sequence for display.
+ *
+ * @param {Keypress[]} keypresses
+ * @returns {string}
+ */
+function formatKeySequence(keypresses) {
+  return keypresses
+    .map((keypress) =>
+      Object.keys(keyDisplay)
+        .filter((modifier) => keypress[modifier])
+        .map((modifier) => keyDisplay[modifier])
+        .concat(keypress.code)
+        .join('')
+    )
+    .join(' ')
 }
 
 /**
@@ -141,6 +1144,17 @@ function resetOptions() {
   })
 }
 
+/**
+ * Clears the history of commands used in the popup.
+ *
+ * @returns {void}
+ */
+function clearCommandHistory() {
+  sendMessage({
+    type: 'clearCommandHistory'
+  })
+}
+
 /**
  * Enables Vim mode.
  *
@@ -177,12 +1191,74 @@ function restoreDefaultTheme() {
 /**
  * Imports options.
  *
+ * Imported options are validated against the current schema, then migrated
+ * from their schema version—options exported before they were versioned
+ * are migrated from the first one. Nothing is saved if a problem is found.
+ *
  * @returns {Promise<void>}
  */
 async function importOptions() {
   const configFile = await selectFile('application/json')
-  const newOptions = await readFileAsJSON(configFile)
-  saveOptions(newOptions)
+  const newOptions = await readFileAsJSON(configFile).catch(() => null)
+  const problems = validateOptions(newOptions, getBindableCommands())
+  renderImportReport(problems)
+  if (problems.length === 0) {
+    const defaults = await getDefaults()
+    saveOptions(
+      migrateOptions(
+        newOptions,
+        newOptions.schemaVersion ?? UNVERSIONED_SCHEMA_VERSION,
+        defaults
+      )
+    )
+  }
+}
+
+/**
+ * Returns the command names that can be bound in each keymap scope,
+ * as sent by the “Options” service worker on the last state sync.
+ *
+ * @returns {BindableCommands}
+ */
+function getBindableCommands() {
+  return {
+    commandBindings: new Set(keyBindingEditor.bindableCommands.commandBindings),
+    paletteBindings: new Set(keyBindingEditor.bindableCommands.paletteBindings),
+    pageBindings: new Set(keyBindingEditor.bindableCommands.pageBindings),
+  }
+}
+
+/**
+ * Renders the problems found when importing options.
+ *
+ * @param {OptionsProblem[]} problems
+ * @returns {void}
+ */
+function renderImportReport(problems) {
+  const listItemElements = problems.map(({ type, path, value }) => {
+    const listItemElement = document.createElement('li')
+    listItemElement.textContent = chrome.i18n.getMessage(`${type}ProblemMessage`, [
+      path,
+      String(value)
+    ])
+    return listItemElement
+  })
+  importReportElement.querySelector('ul').replaceChildren(...listItemElements)
+  importReportElement.hidden = problems.length === 0
+}
+
+/**
+ * Retrieves the default config.
+ *
+ * @returns {Promise<object>}
+ */
+async function getDefaults() {
+  return (
+    fetch('../config.json')
+      .then((response) =>
+        response.json()
+      )
+  )
 }
 
 /**
@@ -0,0 +1,783 @@
+// This module contains the options schema, to validate and migrate settings.
+//
+// Options are versioned with the `schemaVersion` field. When the shape of
+// the options changes, bump `OPTIONS_SCHEMA_VERSION` and add a migration step
+// that upgrades options from the previous version.
+//
+// KeyboardEvent code values: https://w3c.github.io/uievents-code/
+
+/**
+ * @typedef {object} OptionsProblem
+ * @property {"invalidOptions" | "unsupportedSchemaVersion" | "unknownOption" | "invalidValue" | "unknownCommand" | "invalidKeyCode"} type
+ * @property {string} path
+ * @property {any} [value]
+ *
+ * @typedef {object} BindableCommands
+ * @property {Set<string>} commandBindings
+ * @property {Set<string>} paletteBindings
+ * @property {Set<string>} pageBindings
+ *
+ * @typedef {object} MigrationStep
+ * @property {number} version
+ * @property {(options: object, defaults: object) => object} migrate
+ */
+
+import {
+  range,
+} from '../utils.js'
+
+import {
+  isValidPagePattern,
+} from '../page_rules.js'
+
+import {
+  TAB_GROUPING_RULE_MATCHES,
+  TAB_GROUP_COLORS,
+  isValidTabGroupingPattern,
+} from '../tab_grouping_rules.js'
+
+const { compare: versionCompare } = new Intl.Collator('en-US', {
+  numeric: true
+})
+
+export const OPTIONS_SCHEMA_VERSION = 13
+
+// Options exported before they were versioned use the key bindings
+// redesigned in 0.21.0, hence the schema version that introduced them.
+export const UNVERSIONED_SCHEMA_VERSION = 1
+
+const KEY_BINDING_OPTIONS = [
+  'commandBindings',
+  'paletteBindings',
+  'pageBindings',
+]
+
+const STRING_LIST_OPTIONS = [
+  'popupStyleSheet',
+  'externallyConnectableMatches',
+]
+
+// Palette commands added in schema version 4.
+const BULK_ACTION_PALETTE_COMMANDS = new Set([
+  'toggleMarkSelectedItem',
+  'toggleMarkAllItems',
+  'closeMarkedTabs',
+  'moveMarkedTabsToNewWindow',
+  'groupMarkedTabs',
+  'bookmarkMarkedTabs',
+  'openMarkedItems',
+  'restoreMarkedItems',
+])
+
+// Popup commands added in schema version 5.
+const TAB_SWITCHER_COMMANDS = new Set([
+  'cycleRecentTabs',
+  'cycleRecentTabsInWindow',
+])
+
+// Commands added in schema version 6.
+const JUMP_LIST_COMMANDS = new Set([
+  'jumpBack',
+  'jumpForward',
+])
+
+// Popup commands added in schema version 7.
+const TAB_MARK_COMMANDS = new Set([
+  'setTabMark',
+  'jumpToTabMark',
+])
+
+// Popup commands added in schema version 8.
+const WORKSPACE_COMMANDS = new Set([
+  'saveWorkspace',
+  'updateWorkspace',
+  'restoreWorkspace',
+  'switchWorkspace',
+  'deleteWorkspace',
+])
+
+const PALETTE_MATCH_MODES = [
+  'fuzzy',
+  'prefix',
+]
+
+const INACTIVE_TAB_CLEANUP_ACTIONS = [
+  'close',
+  'discard',
+]
+
+// Destructive commands that can be previewed and confirmed.
+const CONFIRMABLE_COMMANDS = new Set([
+  'closeOtherTabs',
+  'closeRightTabs',
+  'closeWindow',
+  'closeInactiveTabsFor15MinutesOrMore',
+  'closeInactiveTabsFor1HourOrMore',
+  'closeInactiveTabsFor24HoursOrMore',
+  'closeInactiveTabsFor7DaysOrMore',
+  'closeInactiveTabsFor14DaysOrMore',
+])
+
+const COMMAND_CONFIRMATION_MODES = [
+  'always',
+  'aboveTabCount',
+  'never',
+]
+
+const DUPLICATE_TAB_NORMALIZATION_PROPERTIES = [
+  'ignoreHash',
+  'ignoreTrackingParams',
+  'ignoreTrailingSlash',
+]
+
+const MODIFIER_PROPERTIES = [
+  'ctrlKey',
+  'altKey',
+  'shiftKey',
+  'metaKey',
+]
+
+const KEYBOARD_EVENT_CODES = new Set([
+  // Writing system keys
+  'Backquote',
+  'Backslash',
+  'BracketLeft',
+  'BracketRight',
+  'Comma',
+  ...range(0, 9).map((digit) => `Digit${digit}`),
+  'Equal',
+  'IntlBackslash',
+  'IntlRo',
+  'IntlYen',
+  ...range(65, 90).map((charCode) => `Key${String.fromCharCode(charCode)}`),
+  'Minus',
+  'Period',
+  'Quote',
+  'Semicolon',
+  'Slash',
+  // Functional keys
+  'AltLeft',
+  'AltRight',
+  'Backspace',
+  'CapsLock',
+  'ContextMenu',
+  'ControlLeft',
+  'ControlRight',
+  'Enter',
+  'MetaLeft',
+  'MetaRight',
+  'ShiftLeft',
+  'ShiftRight',
+  'Space',
+  'Tab',
+  'Convert',
+  'KanaMode',
+  'Lang1',
+  'Lang2',
+  'Lang3',
+  'Lang4',
+  'Lang5',
+  'NonConvert',
+  // Control pad section
+  'Delete',
+  'End',
+  'Help',
+  'Home',
+  'Insert',
+  'PageDown',
+  'PageUp',
+  // Arrow pad section
+  'ArrowDown',
+  'ArrowLeft',
+  'ArrowRight',
+  'ArrowUp',
+  // Numpad section
+  'NumLock',
+  ...range(0, 9).map((digit) => `Numpad${digit}`),
+  'NumpadAdd',
+  'NumpadBackspace',
+  'NumpadClear',
+  'NumpadClearEntry',
+  'NumpadComma',
+  'NumpadDecimal',
+  'NumpadDivide',
+  'NumpadEnter',
+  'NumpadEqual',
+  'NumpadHash',
+  'NumpadMemoryAdd',
+  'NumpadMemoryClear',
+  'NumpadMemoryRecall',
+  'NumpadMemoryStore',
+  'NumpadMemorySubtract',
+  'NumpadMultiply',
+  'NumpadParenLeft',
+  'NumpadParenRight',
+  'NumpadStar',
+  'NumpadSubtract',
+  // Function section
+  'Escape',
+  ...range(1, 24).map((number) => `F${number}`),
+  'Fn',
+  'FnLock',
+  'PrintScreen',
+  'ScrollLock',
+  'Pause',
+  // Media keys
+  'BrowserBack',
+  'BrowserFavorites',
+  'BrowserForward',
+  'BrowserHome',
+  'BrowserRefresh',
+  'BrowserSearch',
+  'BrowserStop',
+  'Eject',
+  'LaunchApp1',
+  'LaunchApp2',
+  'LaunchMail',
+  'MediaPlayPause',
+  'MediaSelect',
+  'MediaStop',
+  'MediaTrackNext',
+  'MediaTrackPrevious',
+  'Power',
+  'Sleep',
+  'AudioVolumeDown',
+  'AudioVolumeMute',
+  'AudioVolumeUp',
+  'WakeUp',
+])
+
+/**
+ * Migration steps, in order.
+ * Each step upgrades options from `version - 1` to `version`.
+ *
+ * @type {MigrationStep[]}
+ */
+const MIGRATION_STEPS = [
+  {
+    // Key bindings were redesigned in 0.21.0;
+    // options from older versions are replaced with the defaults.
+    // Only stored options get there: imported options start from version 1.
+    version: 1,
+    migrate: (options, defaults) => defaults,
+  },
+  {
+    // Per-site page rules were added.
+    version: 2,
+    migrate: addDefaultOption('pageRules'),
+  },
+  {
+    // The command palette match mode was added.
+    version: 3,
+    migrate: addDefaultOption('paletteMatchMode'),
+  },
+  {
+    // Bulk actions were added to the command palette;
+    // their default bindings are added to the palette bindings.
+    version: 4,
+    migrate: addDefaultKeyBindings('paletteBindings', BULK_ACTION_PALETTE_COMMANDS),
+  },
+  {
+    // The tab switcher was added to the popup;
+    // its default bindings are added to the command bindings.
+    version: 5,
+    migrate: addDefaultKeyBindings('commandBindings', TAB_SWITCHER_COMMANDS),
+  },
+  {
+    // The jump list was added;
+    // its default bindings are added to the command bindings.
+    version: 6,
+    migrate: addDefaultKeyBindings('commandBindings', JUMP_LIST_COMMANDS),
+  },
+  {
+    // Tab marks were added;
+    // their default bindings are added to the command bindings.
+    version: 7,
+    migrate: addDefaultKeyBindings('commandBindings', TAB_MARK_COMMANDS),
+  },
+  {
+    // Workspaces were added;
+    // their default bindings are added to the command bindings.
+    version: 8,
+    migrate: addDefaultKeyBindings('commandBindings', WORKSPACE_COMMANDS),
+  },
+  {
+    // The inactive tab cleanup policy was added, disabled by default.
+    version: 9,
+    migrate: addDefaultOption('inactiveTabCleanup'),
+  },
+  {
+    // Confirmations of destructive commands were added, disabled by default.
+    version: 10,
+    migrate: addDefaultOption('commandConfirmations'),
+  },
+  {
+    // Tab grouping rules were added.
+    version: 11,
+    migrate: addDefaultOption('tabGroupingRules'),
+  },
+  {
+    // The URL normalization of duplicate tabs was added.
+    version: 12,
+    migrate: addDefaultOption('duplicateTabNormalization'),
+  },
+  {
+    // Sorting tab groups as whole units was added, disabled by default.
+    version: 13,
+    migrate: addDefaultOption('sortTabGroupsAsUnits'),
+  },
+]
+
+/**
+ * Returns the schema version of options stored before they were versioned,
+ * given the extension version that stored them.
+ *
+ * @param {string} extensionVersion
+ * @returns {number}
+ */
+export function getLegacySchemaVersion(extensionVersion) {
+  return versionCompare(extensionVersion, '0.21.0') < 0
+    ? 0
+    : UNVERSIONED_SCHEMA_VERSION
+}
+
+/**
+ * Creates a migration step function that adds the default value
+ * of a new option, unless the options already have one—
+ * e.g., unversioned options exported after the option was added.
+ *
+ * @param {string} optionName
+ * @returns {(options: object, defaults: object) => object}
+ */
+function addDefaultOption(optionName) {
+  return (options, defaults) => ({
+    ...options,
+    [optionName]: options[optionName] ?? defaults[optionName],
+  })
+}
+
+/**
+ * Creates a migration step function that adds the default bindings
+ * of new commands to a key binding option.
+ * Commands already bound keep their bindings.
+ *
+ * @param {string} optionName
+ * @param {Set<string>} commandNames
+ * @returns {(options: object, defaults: object) => object}
+ */
+function addDefaultKeyBindings(optionName, commandNames) {
+  return (options, defaults) => {
+    if (options[optionName] === undefined) {
+      return options
+    }
+
+    const boundCommandNames = new Set(
+      options[optionName].map((keyBinding) => keyBinding.command)
+    )
+
+    return {
+      ...options,
+      [optionName]: options[optionName].concat(
+        defaults[optionName].filter((keyBinding) =>
+          commandNames.has(keyBinding.command) &&
+          !boundCommandNames.has(keyBinding.command)
+        )
+      ),
+    }
+  }
+}
+
+/**
+ * Upgrades options to the current schema version
+ * by applying each migration step in turn.
+ *
+ * @param {object} options
+ * @param {number} schemaVersion
+ * @param {object} defaults
+ * @returns {object}
+ */
+export function migrateOptions(options, schemaVersion, defaults) {
+  const migratedOptions = MIGRATION_STEPS
+    .filter((migrationStep) => migrationStep.version > schemaVersion)
+    .reduce((options, migrationStep) =>
+      migrationStep.migrate(options, defaults), options
+    )
+
+  return {
+    ...migratedOptions,
+    schemaVersion: OPTIONS_SCHEMA_VERSION,
+  }
+}
+
+/**
+ * Validates options against the schema.
+ * Reports unknown options, unknown commands and invalid key codes.
+ *
+ * @param {any} options
+ * @param {BindableCommands} bindableCommands
+ * @returns {OptionsProblem[]}
+ */
+export function validateOptions(options, bindableCommands) {
+  if (!isPlainObject(options)) {
+    return [{ type: 'invalidOptions', path: '' }]
+  }
+
+  const problems = []
+
+  for (const [name, value] of Object.entries(options)) {
+    if (name === 'schemaVersion') {
+      // Schema version 0 predates the current key bindings:
+      // such options cannot be imported.
+      if (
+        !Number.isInteger(value) ||
+        value < UNVERSIONED_SCHEMA_VERSION ||
+        value > OPTIONS_SCHEMA_VERSION
+      ) {
+        problems.push({ type: 'unsupportedSchemaVersion', path: name, value })
+      }
+    } else if (KEY_BINDING_OPTIONS.includes(name)) {
+      problems.push(
+        ...validateKeyBindings(value, name, bindableCommands[name])
+      )
+    } else if (name === 'pageRules') {
+      problems.push(
+        ...validatePageRules(value, name, bindableCommands.pageBindings)
+      )
+    } else if (name === 'paletteMatchMode') {
+      if (!PALETTE_MATCH_MODES.includes(value)) {
+        problems.push({ type: 'invalidValue', path: name })
+      }
+    } else if (name === 'inactiveTabCleanup') {
+      problems.push(
+        ...validateInactiveTabCleanup(value, name)
+      )
+    } else if (name === 'tabGroupingRules') {
+      problems.push(
+        ...validateTabGroupingRules(value, name)
+      )
+    } else if (name === 'commandConfirmations') {
+      problems.push(
+        ...validateCommandConfirmations(value, name)
+      )
+    } else if (name === 'sortTabGroupsAsUnits') {
+      if (typeof value !== 'boolean') {
+        problems.push({ type: 'invalidValue', path: name })
+      }
+    } else if (name === 'duplicateTabNormalization') {
+      problems.push(
+        ...validateDuplicateTabNormalization(value, name)
+      )
+    } else if (STRING_LIST_OPTIONS.includes(name)) {
+      if (
+        !Array.isArray(value) ||
+        !value.every((line) => typeof line === 'string')
+      ) {
+        problems.push({ type: 'invalidValue', path: name })
+      }
+    } else {
+      problems.push({ type: 'unknownOption', path: name })
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Validates a list of key bindings.
+ *
+ * @param {any} keyBindings
+ * @param {string} path
+ * @param {Set<string>} commandNames
+ * @returns {OptionsProblem[]}
+ */
+function validateKeyBindings(keyBindings, path, commandNames) {
+  if (!Array.isArray(keyBindings)) {
+    return [{ type: 'invalidValue', path }]
+  }
+
+  return keyBindings.flatMap((keyBinding, index) => {
+    const keyBindingPath = `${path}[${index}]`
+
+    if (!isPlainObject(keyBinding)) {
+      return [{ type: 'invalidValue', path: keyBindingPath }]
+    }
+
+    const problems = []
+
+    if (!commandNames.has(keyBinding.command)) {
+      problems.push({ type: 'unknownCommand', path: `${keyBindingPath}.command`, value: keyBinding.command })
+    }
+
+    if ('keys' in keyBinding) {
+      if (
+        !Array.isArray(keyBinding.keys) ||
+        keyBinding.keys.length === 0
+      ) {
+        problems.push({ type: 'invalidValue', path: `${keyBindingPath}.keys` })
+      } else {
+        keyBinding.keys.forEach((keypress, keyIndex) => {
+          problems.push(
+            ...validateKeypress(keypress, `${keyBindingPath}.keys[${keyIndex}]`)
+          )
+        })
+      }
+    } else {
+      problems.push(
+        ...validateKeypress(keyBinding.key, `${keyBindingPath}.key`)
+      )
+    }
+
+    return problems
+  })
+}
+
+/**
+ * Validates a list of page rules.
+ *
+ * @param {any} pageRules
+ * @param {string} path
+ * @param {Set<string>} commandNames
+ * @returns {OptionsProblem[]}
+ */
+function validatePageRules(pageRules, path, commandNames) {
+  if (!Array.isArray(pageRules)) {
+    return [{ type: 'invalidValue', path }]
+  }
+
+  return pageRules.flatMap((pageRule, index) => {
+    const pageRulePath = `${path}[${index}]`
+
+    if (!isPlainObject(pageRule)) {
+      return [{ type: 'invalidValue', path: pageRulePath }]
+    }
+
+    const problems = []
+
+    if (
+      typeof pageRule.pattern !== 'string' ||
+      !isValidPagePattern(pageRule.pattern)
+    ) {
+      problems.push({ type: 'invalidValue', path: `${pageRulePath}.pattern` })
+    }
+
+    if (
+      'disabled' in pageRule &&
+      typeof pageRule.disabled !== 'boolean'
+    ) {
+      problems.push({ type: 'invalidValue', path: `${pageRulePath}.disabled` })
+    }
+
+    if ('pageBindings' in pageRule) {
+      problems.push(
+        ...validateKeyBindings(pageRule.pageBindings, `${pageRulePath}.pageBindings`, commandNames)
+      )
+    }
+
+    if ('passKeys' in pageRule) {
+      if (!Array.isArray(pageRule.passKeys)) {
+        problems.push({ type: 'invalidValue', path: `${pageRulePath}.passKeys` })
+      } else {
+        pageRule.passKeys.forEach((keypress, keyIndex) => {
+          problems.push(
+            ...validateKeypress(keypress, `${pageRulePath}.passKeys[${keyIndex}]`)
+          )
+        })
+      }
+    }
+
+    return problems
+  })
+}
+
+/**
+ * Validates the inactive tab cleanup policy.
+ *
+ * @param {any} inactiveTabCleanup
+ * @param {string} path
+ * @returns {OptionsProblem[]}
+ */
+function validateInactiveTabCleanup(inactiveTabCleanup, path) {
+  if (!isPlainObject(inactiveTabCleanup)) {
+    return [{ type: 'invalidValue', path }]
+  }
+
+  const problems = []
+
+  if (typeof inactiveTabCleanup.enabled !== 'boolean') {
+    problems.push({ type: 'invalidValue', path: `${path}.enabled` })
+  }
+
+  if (!INACTIVE_TAB_CLEANUP_ACTIONS.includes(inactiveTabCleanup.action)) {
+    problems.push({ type: 'invalidValue', path: `${path}.action` })
+  }
+
+  if (
+    !Number.isInteger(inactiveTabCleanup.thresholdInMinutes) ||
+    inactiveTabCleanup.thresholdInMinutes <= 0
+  ) {
+    problems.push({ type: 'invalidValue', path: `${path}.thresholdInMinutes` })
+  }
+
+  if (!Array.isArray(inactiveTabCleanup.allowlist)) {
+    problems.push({ type: 'invalidValue', path: `${path}.allowlist` })
+  } else {
+    inactiveTabCleanup.allowlist.forEach((pattern, index) => {
+      if (
+        typeof pattern !== 'string' ||
+        !isValidPagePattern(pattern)
+      ) {
+        problems.push({ type: 'invalidValue', path: `${path}.allowlist[${index}]` })
+      }
+    })
+  }
+
+  return problems
+}
+
+/**
+ * Validates a list of tab grouping rules.
+ *
+ * @param {any} tabGroupingRules
+ * @param {string} path
+ * @returns {OptionsProblem[]}
+ */
+function validateTabGroupingRules(tabGroupingRules, path) {
+  if (!Array.isArray(tabGroupingRules)) {
+    return [{ type: 'invalidValue', path }]
+  }
+
+  return tabGroupingRules.flatMap((tabGroupingRule, index) => {
+    const tabGroupingRulePath = `${path}[${index}]`
+
+    if (!isPlainObject(tabGroupingRule)) {
+      return [{ type: 'invalidValue', path: tabGroupingRulePath }]
+    }
+
+    const problems = []
+
+    if (!TAB_GROUPING_RULE_MATCHES.includes(tabGroupingRule.match)) {
+      problems.push({ type: 'invalidValue', path: `${tabGroupingRulePath}.match` })
+    }
+
+    if (
+      typeof tabGroupingRule.pattern !== 'string' ||
+      !isValidTabGroupingPattern(tabGroupingRule.match, tabGroupingRule.pattern)
+    ) {
+      problems.push({ type: 'invalidValue', path: `${tabGroupingRulePath}.pattern` })
+    }
+
+    if (
+      typeof tabGroupingRule.groupTitle !== 'string' ||
+      tabGroupingRule.groupTitle === ''
+    ) {
+      problems.push({ type: 'invalidValue', path: `${tabGroupingRulePath}.groupTitle` })
+    }
+
+    if (!TAB_GROUP_COLORS.includes(tabGroupingRule.groupColor)) {
+      problems.push({ type: 'invalidValue', path: `${tabGroupingRulePath}.groupColor` })
+    }
+
+    return problems
+  })
+}
+
+/**
+ * Validates the confirmation settings of destructive commands.
+ *
+ * @param {any} commandConfirmations
+ * @param {string} path
+ * @returns {OptionsProblem[]}
+ */
+function validateCommandConfirmations(commandConfirmations, path) {
+  if (!isPlainObject(commandConfirmations)) {
+    return [{ type: 'invalidValue', path }]
+  }
+
+  return Object.entries(commandConfirmations).flatMap(([commandName, confirmation]) => {
+    const confirmationPath = `${path}.${commandName}`
+
+    if (!CONFIRMABLE_COMMANDS.has(commandName)) {
+      return [{ type: 'unknownCommand', path: confirmationPath, value: commandName }]
+    }
+
+    if (!isPlainObject(confirmation)) {
+      return [{ type: 'invalidValue', path: confirmationPath }]
+    }
+
+    const problems = []
+
+    if (!COMMAND_CONFIRMATION_MODES.includes(confirmation.mode)) {
+      problems.push({ type: 'invalidValue', path: `${confirmationPath}.mode` })
+    }
+
+    if (
+      !Number.isInteger(confirmation.tabCount) ||
+      confirmation.tabCount < 0
+    ) {
+      problems.push({ type: 'invalidValue', path: `${confirmationPath}.tabCount` })
+    }
+
+    return problems
+  })
+}
+
+/**
+ * Validates the URL normalization of duplicate tabs.
+ *
+ * @param {any} duplicateTabNormalization
+ * @param {string} path
+ * @returns {OptionsProblem[]}
+ */
+function validateDuplicateTabNormalization(duplicateTabNormalization, path) {
+  if (!isPlainObject(duplicateTabNormalization)) {
+    return [{ type: 'invalidValue', path }]
+  }
+
+  return DUPLICATE_TAB_NORMALIZATION_PROPERTIES
+    .filter((property) => typeof duplicateTabNormalization[property] !== 'boolean')
+    .map((property) => ({ type: 'invalidValue', path: `${path}.${property}` }))
+}
+
+/**
+ * Validates a key combination.
+ *
+ * @param {any} keypress
+ * @param {string} path
+ * @returns {OptionsProblem[]}
+ */
+function validateKeypress(keypress, path) {
+  if (!isPlainObject(keypress)) {
+    return [{ type: 'invalidValue', path }]
+  }
+
+  const problems = []
+
+  for (const modifier of MODIFIER_PROPERTIES) {
+    if (
+      modifier in keypress &&
+      typeof keypress[modifier] !== 'boolean'
+    ) {
+      problems.push({ type: 'invalidValue', path: `${path}.${modifier}` })
+    }
+  }
+
+  if (!KEYBOARD_EVENT_CODES.has(keypress.code)) {
+    problems.push({ type: 'invalidKeyCode', path: `${path}.code`, value: keypress.code })
+  }
+
+  return problems
+}
+
+/**
+ * Determines whether the given value is a plain object.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value)
+  )
+}
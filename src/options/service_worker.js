@@ -4,6 +4,19 @@
 // Service workers: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers
 // Long-lived connections: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#connect
 
+import * as commands from '../commands.js'
+
+import {
+  OPTIONS_SCHEMA_VERSION,
+  getLegacySchemaVersion,
+  migrateOptions,
+} from './options_schema.js'
+
+import {
+  clearCommandHistory,
+  getRecentCommands,
+} from '../command_history.js'
+
 const KEEP_ALIVE_INTERVAL = 29000
 
 /**
@@ -34,6 +47,51 @@ async function getVimDefaults() {
   )
 }
 
+/**
+ * Retrieves the names of commands that can be bound in each keymap scope.
+ *
+ * Popup and page bindings accept every command,
+ * plus the popup-only or page-only ones found in their defaults.
+ * Palette bindings accept the actions found in their defaults.
+ *
+ * @returns {Promise<Object<string, string[]>>}
+ */
+async function getBindableCommands() {
+  const defaults = await getDefaults()
+  const vimDefaults = await getVimDefaults()
+  return {
+    commandBindings: uniqueCommandNames(
+      Object.keys(commands),
+      defaults.commandBindings
+    ),
+    paletteBindings: uniqueCommandNames(
+      [],
+      defaults.paletteBindings
+    ),
+    pageBindings: uniqueCommandNames(
+      Object.keys(commands),
+      vimDefaults.pageBindings
+    ),
+  }
+}
+
+/**
+ * Merges command names with the ones referenced by key bindings, without duplicates.
+ *
+ * @param {string[]} commandNames
+ * @param {KeyboardMapping[]} keyBindings
+ * @returns {string[]}
+ */
+function uniqueCommandNames(commandNames, keyBindings) {
+  return Array.from(
+    new Set(
+      commandNames.concat(
+        keyBindings.map((keyBinding) => keyBinding.command)
+      )
+    )
+  )
+}
+
 /**
  * List of active ports.
  *
@@ -81,7 +139,16 @@ function onDisconnect(port, keepAliveIntervalId) {
  */
 async function onOptionsScriptAdded(port) {
   const {
+    commandBindings,
+    paletteBindings,
     pageBindings,
+    pageRules,
+    tabGroupingRules,
+    paletteMatchMode,
+    inactiveTabCleanup,
+    commandConfirmations,
+    duplicateTabNormalization,
+    sortTabGroupsAsUnits,
     popupStyleSheet,
   } = await chrome.storage.sync.get()
 
@@ -89,6 +156,20 @@ async function onOptionsScriptAdded(port) {
     type: 'stateSync',
     vimModeEnabled: pageBindings.length > 0,
     popupStyleSheetChanged: popupStyleSheet.length > 0,
+    keyBindings: {
+      commandBindings,
+      paletteBindings,
+      pageBindings,
+    },
+    pageRules,
+    tabGroupingRules,
+    paletteMatchMode,
+    inactiveTabCleanup,
+    commandConfirmations,
+    duplicateTabNormalization,
+    sortTabGroupsAsUnits,
+    commandHistoryEmpty: await isCommandHistoryEmpty(),
+    bindableCommands: await getBindableCommands(),
   })
 }
 
@@ -129,6 +210,11 @@ async function onMessage(message, port) {
       await updateOptionsPagesAfterOptionsChange()
       break
 
+    case 'clearCommandHistory':
+      await clearCommandHistory()
+      await updateOptionsPagesAfterOptionsChange()
+      break
+
     default:
       port.postMessage({
         type: 'error',
@@ -147,6 +233,38 @@ async function saveOptions(partialOptions) {
   await chrome.storage.sync.set(partialOptions)
 }
 
+/**
+ * Migrates stored options to the current schema version.
+ *
+ * Options stored before they were versioned get their schema version
+ * from the extension version that stored them.
+ *
+ * The migrated options are saved before obsolete options are removed,
+ * so that a failed migration leaves the stored options as they were.
+ *
+ * @param {string} previousVersion
+ * @returns {Promise<void>}
+ */
+async function migrateStoredOptions(previousVersion) {
+  const options = await chrome.storage.sync.get()
+
+  if (options.schemaVersion !== OPTIONS_SCHEMA_VERSION) {
+    const schemaVersion = options.schemaVersion ?? getLegacySchemaVersion(previousVersion)
+    const defaults = await getDefaults()
+    const migratedOptions = migrateOptions(options, schemaVersion, defaults)
+
+    await chrome.storage.sync.set(migratedOptions)
+
+    const obsoleteOptionNames = Object.keys(options).filter((name) =>
+      !Object.hasOwn(migratedOptions, name)
+    )
+
+    if (obsoleteOptionNames.length > 0) {
+      await chrome.storage.sync.remove(obsoleteOptionNames)
+    }
+  }
+}
+
 /**
  * Resets options.
  *
@@ -190,6 +308,16 @@ async function restoreDefaultTheme() {
   })
 }
 
+/**
+ * Determines whether no command has been recorded.
+ *
+ * @returns {Promise<boolean>}
+ */
+async function isCommandHistoryEmpty() {
+  const recentCommands = await getRecentCommands(1)
+  return recentCommands.length === 0
+}
+
 /**
  * Updates Options pages after option changes.
  *
@@ -197,21 +325,48 @@ async function restoreDefaultTheme() {
  */
 async function updateOptionsPagesAfterOptionsChange() {
   const {
+    commandBindings,
+    paletteBindings,
     pageBindings,
+    pageRules,
+    tabGroupingRules,
+    paletteMatchMode,
+    inactiveTabCleanup,
+    commandConfirmations,
+    duplicateTabNormalization,
+    sortTabGroupsAsUnits,
     popupStyleSheet,
   } = await chrome.storage.sync.get()
 
+  const bindableCommands = await getBindableCommands()
+  const commandHistoryEmpty = await isCommandHistoryEmpty()
+
   for (const port of activePorts) {
     port.postMessage({
       type: 'stateSync',
       vimModeEnabled: pageBindings.length > 0,
       popupStyleSheetChanged: popupStyleSheet.length > 0,
+      keyBindings: {
+        commandBindings,
+        paletteBindings,
+        pageBindings,
+      },
+      pageRules,
+      tabGroupingRules,
+      paletteMatchMode,
+      inactiveTabCleanup,
+      commandConfirmations,
+      duplicateTabNormalization,
+      sortTabGroupsAsUnits,
+      commandHistoryEmpty,
+      bindableCommands,
     })
   }
 }
 
 export default {
   getDefaults,
+  migrateStoredOptions,
   onConnect,
   async saveOptions(partialOptions) {
     await saveOptions(partialOptions)
@@ -0,0 +1,108 @@
+// This module contains the code to resolve page bindings with per-site rules.
+//
+// A page rule applies to the pages whose URL matches its pattern.
+// It can disable page bindings, add extra bindings or pass keys through to the page.
+//
+// URL Pattern API: https://developer.mozilla.org/en-US/docs/Web/API/URL_Pattern_API
+
+/**
+ * @typedef {object} PageRule
+ * @property {string} pattern
+ * @property {boolean} [disabled]
+ * @property {KeyboardMapping[]} [pageBindings]
+ * @property {Keypress[]} [passKeys]
+ */
+
+/**
+ * Resolves the page bindings for the given URL.
+ *
+ * Matching rules are applied in order: extra bindings are appended to the
+ * page bindings, then bindings starting with a pass key are removed.
+ * A single matching rule that disables page bindings takes precedence.
+ *
+ * @param {KeyboardMapping[]} pageBindings
+ * @param {PageRule[]} pageRules
+ * @param {string} url
+ * @returns {KeyboardMapping[]}
+ */
+export function resolvePageBindings(pageBindings, pageRules, url) {
+  const matchingRules = pageRules.filter((pageRule) =>
+    testPagePattern(pageRule.pattern, url)
+  )
+
+  if (matchingRules.some((pageRule) => pageRule.disabled)) {
+    return []
+  }
+
+  const passKeys = matchingRules.flatMap((pageRule) =>
+    pageRule.passKeys ?? []
+  )
+
+  return pageBindings
+    .concat(
+      matchingRules.flatMap((pageRule) =>
+        pageRule.pageBindings ?? []
+      )
+    )
+    .filter(({ key, keys = [key] }) =>
+      !passKeys.some((passKey) =>
+        keypressEquals(passKey, keys[0])
+      )
+    )
+}
+
+/**
+ * Determines whether the given string is a valid URL pattern.
+ *
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isValidPagePattern(pattern) {
+  return parsePagePattern(pattern) !== null
+}
+
+/**
+ * Tests a URL against a pattern. An invalid pattern matches nothing.
+ *
+ * @param {string} pattern
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function testPagePattern(pattern, url) {
+  const urlPattern = parsePagePattern(pattern)
+  return (
+    urlPattern !== null &&
+    urlPattern.test(url)
+  )
+}
+
+/**
+ * Parses a URL pattern, or returns null if it is invalid.
+ *
+ * @param {string} pattern
+ * @returns {?URLPattern}
+ */
+function parsePagePattern(pattern) {
+  try {
+    return new URLPattern(pattern)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Determines whether two key combinations are equal.
+ *
+ * @param {Keypress} keypress
+ * @param {Keypress} otherKeypress
+ * @returns {boolean}
+ */
+function keypressEquals(keypress, otherKeypress) {
+  return (
+    Boolean(keypress.ctrlKey) === Boolean(otherKeypress.ctrlKey) &&
+    Boolean(keypress.altKey) === Boolean(otherKeypress.altKey) &&
+    Boolean(keypress.shiftKey) === Boolean(otherKeypress.shiftKey) &&
+    Boolean(keypress.metaKey) === Boolean(otherKeypress.metaKey) &&
+    keypress.code === otherKeypress.code
+  )
+}
@@ -2,6 +2,8 @@
 
 /**
  * @typedef {object} PaletteActionContext
+ * @property {chrome.runtime.Port} port
+ * @property {Map<string, Suggestion>} markedSuggestions
  * @property {HTMLElement} paletteInputElement
  * @property {HTMLElement} paletteMenuElement
  * @property {HTMLElement} menuElement
@@ -11,6 +13,7 @@
 import MenuItem from '../components/MenuItem.js'
 
 const ACTIVE_MENU_ITEM_SELECTOR = 'menu-item.active'
+const SUGGESTION_MENU_ITEM_SELECTOR = 'menu-item[data-suggestion]'
 
 const SHORT_THROW_FRAME_CALIBRATION = [0.2, 0.2, 0.2, 0.2, 0.2]
 
@@ -163,6 +166,111 @@ export function openSelectedItemInNewWindow(cx) {
   }
 }
 
+/**
+ * Marks or unmarks selected item, then selects the next item.
+ * Only suggestions can be marked.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function toggleMarkSelectedItem(cx) {
+  const activeElement = cx.paletteMenuElement.querySelector(
+    ACTIVE_MENU_ITEM_SELECTOR
+  )
+
+  if (
+    activeElement instanceof MenuItem &&
+    activeElement.matches(SUGGESTION_MENU_ITEM_SELECTOR)
+  ) {
+    setMarked(
+      activeElement,
+      !activeElement.classList.contains('marked'),
+      cx
+    )
+    selectNextItem(cx)
+  }
+}
+
+/**
+ * Marks all suggestions, or unmarks them if they are all marked.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function toggleMarkAllItems(cx) {
+  const menuItemElements = Array.from(
+    cx.paletteMenuElement.querySelectorAll(SUGGESTION_MENU_ITEM_SELECTOR)
+  )
+
+  const marked = !menuItemElements.every((menuItemElement) =>
+    menuItemElement.classList.contains('marked')
+  )
+
+  for (const menuItemElement of menuItemElements) {
+    setMarked(menuItemElement, marked, cx)
+  }
+}
+
+/**
+ * Closes marked open tabs.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function closeMarkedTabs(cx) {
+  performBulkAction('closeTabs', cx)
+}
+
+/**
+ * Moves marked open tabs to a new window.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function moveMarkedTabsToNewWindow(cx) {
+  performBulkAction('moveTabsToNewWindow', cx)
+}
+
+/**
+ * Groups marked open tabs in the current window.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function groupMarkedTabs(cx) {
+  performBulkAction('groupTabs', cx)
+}
+
+/**
+ * Bookmarks marked open tabs.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function bookmarkMarkedTabs(cx) {
+  performBulkAction('bookmarkTabs', cx)
+}
+
+/**
+ * Opens marked bookmarks, reading list items, history items and extensions in new tabs.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function openMarkedItems(cx) {
+  performBulkAction('openAll', cx)
+}
+
+/**
+ * Restores marked recently closed and synced tabs.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+export function restoreMarkedItems(cx) {
+  performBulkAction('restoreAll', cx)
+}
+
 /**
  * Moves page down.
  *
@@ -212,3 +320,71 @@ export function closeCommandPalette(cx) {
     preventScroll: true
   })
 }
+
+/**
+ * Marks or unmarks a suggestion menu item.
+ *
+ * @param {MenuItem} menuItemElement
+ * @param {boolean} marked
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+function setMarked(menuItemElement, marked, cx) {
+  const suggestionKey = menuItemElement.dataset.suggestion
+  menuItemElement.classList.toggle('marked', marked)
+  if (marked) {
+    cx.markedSuggestions.set(suggestionKey, JSON.parse(suggestionKey))
+  } else {
+    cx.markedSuggestions.delete(suggestionKey)
+  }
+}
+
+/**
+ * Performs an action on marked suggestions,
+ * or on the selected suggestion if none is marked,
+ * then closes the popup.
+ *
+ * @param {BulkAction} bulkAction
+ * @param {PaletteActionContext} cx
+ * @returns {void}
+ */
+function performBulkAction(bulkAction, cx) {
+  const suggestions = getTargetSuggestions(cx)
+
+  if (suggestions.length > 0) {
+    cx.port.postMessage({
+      type: 'bulkAction',
+      bulkAction,
+      suggestions
+    })
+    window.close()
+  }
+}
+
+/**
+ * Returns the marked suggestions,
+ * or the selected suggestion if none is marked.
+ *
+ * @param {PaletteActionContext} cx
+ * @returns {Suggestion[]}
+ */
+function getTargetSuggestions(cx) {
+  if (cx.markedSuggestions.size > 0) {
+    return Array.from(cx.markedSuggestions.values())
+  }
+
+  const activeElement = cx.paletteMenuElement.querySelector(
+    ACTIVE_MENU_ITEM_SELECTOR
+  )
+
+  if (
+    activeElement instanceof MenuItem &&
+    activeElement.matches(SUGGESTION_MENU_ITEM_SELECTOR)
+  ) {
+    return [
+      JSON.parse(activeElement.dataset.suggestion)
+    ]
+  }
+
+  return []
+}
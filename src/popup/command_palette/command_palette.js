@@ -4,26 +4,81 @@
  * @typedef {object} PaletteRenderContext
  * @property {chrome.runtime.Port} port
  * @property {KeyboardMapping[]} paletteBindings
+ * @property {MatchMode} paletteMatchMode
+ * @property {Object<string, number>} commandFrecencies
+ * @property {string[]} recentCommands
  * @property {HTMLElement} paletteInputElement
+ * @property {HTMLElement} paletteScopeElement
  * @property {HTMLElement} paletteMenuElement
  * @property {HTMLElement} menuElement
  * @property {HTMLElement} menuItemElements
  * @property {HTMLElement} mainElement
+ *
+ * @typedef {"openTab" | "duplicateTab" | "tabMark" | "workspace" | "bookmark" | "history" | "download" | "extension" | "commands" | "help"} PaletteScope
+ *
+ * @typedef {object} QueryPrefix
+ * @property {string} prefix
+ * @property {PaletteScope} scope
+ * @property {string} labelMessageName
  */
 
 import * as paletteActions from './actions.js'
-import Keymap from '../lib/keymap.js'
+import Keymap, { KeySequenceMatcher } from '../lib/keymap.js'
 import StringMatcher from './lib/string_matcher.js'
 import MenuItem from '../components/MenuItem.js'
 
 const INPUT_DEBOUNCE_DELAY = 50
-const MAX_CANDIDATE_RESULTS = 25
+const SUGGESTION_SEARCH_DEBOUNCE_DELAY = 150
+const MAX_COMMAND_RESULTS = 25
+
+// Combined results are capped per source by the suggestion engine;
+// a scoped search lists a single source, capped here.
+const MAX_SCOPED_SUGGESTION_RESULTS = 100
+
+// How much frecency weighs against the match score, on a logarithmic scale.
+const FRECENCY_WEIGHT = 4
+
+// Query prefixes, to scope the search to a single source.
+// Scopes other than commands and help are suggestion types.
+/** @type {QueryPrefix[]} */
+const QUERY_PREFIXES = [
+  { prefix: 't ', scope: 'openTab', labelMessageName: 'openTabSuggestionLabel' },
+  { prefix: 'c ', scope: 'duplicateTab', labelMessageName: 'duplicateTabsScopeLabel' },
+  { prefix: 'm ', scope: 'tabMark', labelMessageName: 'tabMarkSuggestionLabel' },
+  { prefix: 'w ', scope: 'workspace', labelMessageName: 'workspaceSuggestionLabel' },
+  { prefix: 'b ', scope: 'bookmark', labelMessageName: 'bookmarkSuggestionLabel' },
+  { prefix: 'h ', scope: 'history', labelMessageName: 'historySuggestionLabel' },
+  { prefix: 'd ', scope: 'download', labelMessageName: 'downloadSuggestionLabel' },
+  { prefix: 'e ', scope: 'extension', labelMessageName: 'extensionSuggestionLabel' },
+  { prefix: '>', scope: 'commands', labelMessageName: 'commandsScopeLabel' },
+  { prefix: '?', scope: 'help', labelMessageName: 'helpScopeLabel' },
+]
+
+/**
+ * Marked suggestions, for bulk actions.
+ * Keys are the serialized suggestions of menu items.
+ *
+ * @type {Map<string, Suggestion>}
+ */
+const markedSuggestions = new Map
+
+/**
+ * The scope of the search, or null to search everything.
+ *
+ * @type {?PaletteScope}
+ */
+let paletteScope = null
 
 /**
  * @type {Keymap<symbol, string>}
  */
 const inputKeymap = new Keymap
 
+/**
+ * @type {KeySequenceMatcher<string>}
+ */
+let inputKeySequenceMatcher
+
 /**
  * Handles the command palette rendering.
  *
@@ -31,10 +86,24 @@ const inputKeymap = new Keymap
  * @returns {void}
  */
 function render(cx) {
-  for (const { key, command } of cx.paletteBindings) {
-    inputKeymap.set(key, command)
+  for (const { key, keys = [key], command } of cx.paletteBindings) {
+    inputKeymap.setSequence(keys, command)
   }
 
+  inputKeySequenceMatcher = new KeySequenceMatcher(inputKeymap, {
+    onPendingKeysChange: (keypresses) => {
+      cx.paletteInputElement.dispatchEvent(
+        new CustomEvent('pendingkeyschange', {
+          bubbles: true,
+          detail: {
+            count: 0,
+            keypresses,
+          }
+        })
+      )
+    }
+  })
+
   cx.paletteInputElement.addEventListener('focus', (focusEvent) => {
     onFocus(focusEvent, cx)
   }, {
@@ -45,6 +114,10 @@ function render(cx) {
     onInput(inputEvent, cx)
   }, INPUT_DEBOUNCE_DELAY))
 
+  cx.menuElement.addEventListener('suggestionschange', () => {
+    onSuggestionsChange(cx)
+  })
+
   cx.paletteMenuElement.addEventListener('pointerover', (pointerEvent) => {
     onPointerOver(pointerEvent, cx)
   })
@@ -62,75 +135,297 @@ function render(cx) {
  * @returns {void}
  */
 function onFocus(focusEvent, cx) {
-  cx.port.postMessage({
-    type: 'suggestionSyncRequest'
-  })
+  search(focusEvent.target.value, cx)
 }
 
 /**
  * Handles input change.
+ * A query prefix typed at the start of the input sets the scope of the search.
  *
  * @param {InputEvent} inputEvent
  * @param {PaletteRenderContext} cx
  * @returns {void}
  */
 function onInput(inputEvent, cx) {
-  const candidates = Array.from(cx.menuItemElements, (menuItemElement, index) => ({
-    id: index,
-    string: menuItemElement.description
-  }))
-  updateMatches(inputEvent.target.value, candidates, cx)
+  const queryPrefix = QUERY_PREFIXES.find(({ prefix }) =>
+    inputEvent.target.value.startsWith(prefix)
+  )
+  if (
+    queryPrefix &&
+    (paletteScope === null || paletteScope === 'help')
+  ) {
+    inputEvent.target.value = inputEvent.target.value.slice(queryPrefix.prefix.length)
+    setScope(queryPrefix.scope, cx)
+  }
+  search(inputEvent.target.value, cx)
+}
+
+/**
+ * Requests suggestions from the service worker, once typing pauses.
+ *
+ * @type {(searchMode: string, query: string, cx: PaletteRenderContext) => void}
+ */
+const requestSuggestions = debounce((searchMode, query, cx) => {
+  cx.port.postMessage({
+    type: 'suggestionSyncRequest',
+    mode: searchMode,
+    query
+  })
+}, SUGGESTION_SEARCH_DEBOUNCE_DELAY)
+
+/**
+ * Searches for the given query, within the current scope.
+ * Suggestions are requested from the service worker,
+ * and matches are updated again when they arrive.
+ *
+ * @param {string} query
+ * @param {PaletteRenderContext} cx
+ * @returns {void}
+ */
+function search(query, cx) {
+  const searchMode = getSearchMode()
+  if (searchMode !== null) {
+    cx.paletteInputElement.dataset.searchMode = searchMode
+    requestSuggestions(searchMode, query, cx)
+  }
+  if (paletteScope === 'help') {
+    showHelp(cx)
+  } else {
+    updateMatches(query, getCandidates(cx), cx)
+  }
+}
+
+/**
+ * Sets the scope of the search, and shows it as a chip before the input.
+ * Specify null to search everything.
+ *
+ * @param {?PaletteScope} scope
+ * @param {PaletteRenderContext} cx
+ * @returns {void}
+ */
+function setScope(scope, cx) {
+  paletteScope = scope
+  if (scope === null) {
+    cx.paletteScopeElement.setAttribute('hidden', '')
+    cx.paletteScopeElement.textContent = ''
+  } else {
+    const queryPrefix = QUERY_PREFIXES.find((queryPrefix) => queryPrefix.scope === scope)
+    cx.paletteScopeElement.removeAttribute('hidden')
+    cx.paletteScopeElement.textContent = chrome.i18n.getMessage(queryPrefix.labelMessageName)
+  }
+}
+
+/**
+ * Returns the suggestion engine mode for the current scope,
+ * or null if the scope does not include suggestions.
+ *
+ * @returns {?string}
+ */
+function getSearchMode() {
+  switch (paletteScope) {
+    case null:
+      return 'combined'
+
+    case 'commands':
+    case 'help':
+      return null
+
+    default:
+      return paletteScope
+  }
+}
+
+/**
+ * Shows the query prefixes, to choose a scope from.
+ *
+ * @param {PaletteRenderContext} cx
+ * @returns {void}
+ */
+function showHelp(cx) {
+  const menuItemElements = QUERY_PREFIXES
+    .filter(({ scope }) => scope !== 'help')
+    .map(({ prefix, scope, labelMessageName }) => {
+      const menuItemElement = document.createElement('menu-item')
+      const prefixElement = document.createElement('kbd')
+      prefixElement.slot = 'shortcut'
+      prefixElement.textContent = prefix.trim()
+      menuItemElement.append(chrome.i18n.getMessage(labelMessageName), prefixElement)
+      menuItemElement.addEventListener('click', () => {
+        cx.paletteInputElement.value = ''
+        setScope(scope, cx)
+        search('', cx)
+        cx.paletteInputElement.focus()
+      })
+      return menuItemElement
+    })
+  menuItemElements[0].classList.add('active')
+  cx.paletteMenuElement.removeAttribute('hidden')
+  cx.paletteMenuElement.replaceMenuItems(menuItemElements)
+}
+
+/**
+ * Handles suggestion changes, when the results of a search have arrived.
+ *
+ * @param {PaletteRenderContext} cx
+ * @returns {void}
+ */
+function onSuggestionsChange(cx) {
+  if (paletteScope !== 'help') {
+    updateMatches(cx.paletteInputElement.value, getCandidates(cx), cx)
+  }
+}
+
+/**
+ * Returns the menu items as candidates, within the current scope.
+ *
+ * @param {PaletteRenderContext} cx
+ * @returns {{ id: number, string: string, command?: string, isSuggestion: boolean }[]}
+ */
+function getCandidates(cx) {
+  return Array
+    .from(cx.menuItemElements, (menuItemElement, index) => ({
+      id: index,
+      string: menuItemElement.description,
+      command: menuItemElement.dataset.command,
+      isSuggestion: 'suggestion' in menuItemElement.dataset,
+    }))
+    .filter((candidate) => {
+      switch (paletteScope) {
+        case null:
+          return true
+
+        case 'commands':
+          return !candidate.isSuggestion
+
+        default:
+          return candidate.isSuggestion
+      }
+    })
+}
+
+/**
+ * Returns the candidates matching the query:
+ * commands ranked by match score and frecency, then suggestions.
+ *
+ * Suggestions are already filtered and ranked by the suggestion engine,
+ * which also searches their URL; they keep its order,
+ * and are only matched here to highlight the matched characters.
+ *
+ * @param {string} query
+ * @param {{ id: number, string: string, command?: string, isSuggestion: boolean }[]} candidates
+ * @param {PaletteRenderContext} cx
+ * @returns {{ id: number, match: StringMatch }[]}
+ */
+function getMatchingCandidates(query, candidates, cx) {
+  const string_matcher = new StringMatcher(query, {
+    mode: cx.paletteMatchMode
+  })
+  const commandCandidates = candidates
+    .filter((candidate) =>
+      !candidate.isSuggestion
+    )
+    .map((candidate) => ({
+      id: candidate.id,
+      match: string_matcher.match(candidate.string),
+      frecency: cx.commandFrecencies[candidate.command] ?? 0,
+    }))
+    .filter((candidate) =>
+      candidate.match !== null
+    )
+    .map((candidate) => ({
+      ...candidate,
+      score: candidate.match.score + FRECENCY_WEIGHT * Math.log2(1 + candidate.frecency)
+    }))
+    .sort((candidate, otherCandidate) =>
+      otherCandidate.score - candidate.score
+    )
+    .slice(0, MAX_COMMAND_RESULTS)
+  const suggestionCandidates = candidates
+    .filter((candidate) =>
+      candidate.isSuggestion
+    )
+    .slice(0, paletteScope === null ? Infinity : MAX_SCOPED_SUGGESTION_RESULTS)
+    .map((candidate) => ({
+      id: candidate.id,
+      match: string_matcher.match(candidate.string) ?? { score: 0, ranges: [] },
+    }))
+  return commandCandidates.concat(suggestionCandidates)
+}
+
+/**
+ * Returns the most recently used commands as candidates.
+ *
+ * @param {{ id: number, string: string, command?: string, isSuggestion: boolean }[]} candidates
+ * @param {PaletteRenderContext} cx
+ * @returns {{ id: number, match: StringMatch }[]}
+ */
+function getRecentCandidates(candidates, cx) {
+  return cx.recentCommands
+    .map((commandName) =>
+      candidates.find((candidate) => candidate.command === commandName)
+    )
+    .filter((candidate) =>
+      candidate !== undefined
+    )
+    .map((candidate) => ({
+      id: candidate.id,
+      match: { score: 0, ranges: [] },
+    }))
 }
 
 /**
  * Updates matches.
+ * An empty query shows the most recently used commands,
+ * or every suggestion when the search is scoped to a suggestion type.
  *
  * @param {string} query
- * @param {{ id: number, string: string }[]} candidates
+ * @param {{ id: number, string: string, command?: string, isSuggestion: boolean }[]} candidates
  * @param {PaletteRenderContext} cx
  * @returns {void}
  */
 function updateMatches(query, candidates, cx) {
-  if (query === '') {
+  const showsRecentCommands = (
+    query === '' &&
+    (paletteScope === null || paletteScope === 'commands')
+  )
+  const filteredCandidates = showsRecentCommands
+    ? getRecentCandidates(candidates, cx)
+    : getMatchingCandidates(query, candidates, cx)
+  if (query === '' && filteredCandidates.length === 0) {
     cx.paletteMenuElement.setAttribute('hidden', '')
     cx.paletteMenuElement.clearMenuItems()
+  } else if (filteredCandidates.length > 0) {
+    const menuItemElements = filteredCandidates.map((candidate) => {
+      const commandElement = cx.menuItemElements[candidate.id]
+      const menuItemElement = commandElement.cloneNode(true)
+      menuItemElement.addEventListener('click', commandElement.onclick)
+      menuItemElement.addEventListener('auxclick', commandElement.onauxclick)
+      menuItemElement.classList.toggle('marked', markedSuggestions.has(menuItemElement.dataset.suggestion))
+      return menuItemElement
+    })
+    menuItemElements[0].classList.add('active')
+    cx.paletteMenuElement.removeAttribute('hidden')
+    cx.paletteMenuElement.replaceMenuItems(menuItemElements)
+    menuItemElements.forEach((menuItemElement, index) => {
+      menuItemElement.highlight(filteredCandidates[index].match.ranges)
+    })
+    cx.paletteMenuElement.scrollIntoView({
+      behavior: 'instant',
+      block: 'start',
+      inline: 'start'
+    })
   } else {
-    const string_matcher = new StringMatcher(query)
-    const filteredCandidates = Iterator.from(candidates)
-      .filter((candidate) =>
-        string_matcher.matches(candidate.string)
-      )
-      .take(MAX_CANDIDATE_RESULTS)
-      .toArray()
-    if (filteredCandidates.length > 0) {
-      const menuItemElements = filteredCandidates.map((candidate) => {
-        const commandElement = cx.menuItemElements[candidate.id]
-        const menuItemElement = commandElement.cloneNode(true)
-        menuItemElement.addEventListener('click', commandElement.onclick)
-        menuItemElement.addEventListener('auxclick', commandElement.onauxclick)
-        return menuItemElement
-      })
-      menuItemElements[0].classList.add('active')
-      cx.paletteMenuElement.removeAttribute('hidden')
-      cx.paletteMenuElement.replaceMenuItems(menuItemElements)
-      cx.paletteMenuElement.scrollIntoView({
-        behavior: 'instant',
-        block: 'start',
-        inline: 'start'
-      })
-    } else {
-      const menuItemElement = document.createElement('menu-item')
-      menuItemElement.setAttribute('disabled', '')
-      menuItemElement.textContent = chrome.i18n.getMessage('noResultsCommandPaletteLabel')
-
-      cx.paletteMenuElement.removeAttribute('hidden')
-      cx.paletteMenuElement.replaceMenuItems([menuItemElement])
-      cx.paletteMenuElement.scrollIntoView({
-        behavior: 'instant',
-        block: 'start',
-        inline: 'start'
-      })
-    }
+    const menuItemElement = document.createElement('menu-item')
+    menuItemElement.setAttribute('disabled', '')
+    menuItemElement.textContent = chrome.i18n.getMessage('noResultsCommandPaletteLabel')
+
+    cx.paletteMenuElement.removeAttribute('hidden')
+    cx.paletteMenuElement.replaceMenuItems([menuItemElement])
+    cx.paletteMenuElement.scrollIntoView({
+      behavior: 'instant',
+      block: 'start',
+      inline: 'start'
+    })
   }
 }
 
@@ -161,16 +456,37 @@ function onPointerOver(pointerEvent, cx) {
  * @returns {void}
  */
 function onKeyDown(keyboardEvent, cx) {
-  if (inputKeymap.has(keyboardEvent)) {
+  if (
+    keyboardEvent.code === 'Backspace' &&
+    cx.paletteInputElement.value === '' &&
+    paletteScope !== null
+  ) {
     suppressEvent(keyboardEvent)
-    const actionName = inputKeymap.get(keyboardEvent)
-    if (actionName in paletteActions) {
-      paletteActions[actionName]({
-        paletteInputElement: cx.paletteInputElement,
-        paletteMenuElement: cx.paletteMenuElement,
-        menuElement: cx.menuElement,
-        mainElement: cx.mainElement,
-      })
+    setScope(null, cx)
+    search('', cx)
+    return
+  }
+
+  const keySequenceMatch = inputKeySequenceMatcher.feed(keyboardEvent)
+  switch (keySequenceMatch.type) {
+    case 'pending':
+      suppressEvent(keyboardEvent)
+      break
+
+    case 'match': {
+      suppressEvent(keyboardEvent)
+      const actionName = keySequenceMatch.value
+      if (actionName in paletteActions) {
+        paletteActions[actionName]({
+          port: cx.port,
+          markedSuggestions,
+          paletteInputElement: cx.paletteInputElement,
+          paletteMenuElement: cx.paletteMenuElement,
+          menuElement: cx.menuElement,
+          mainElement: cx.mainElement,
+        })
+      }
+      break
     }
   }
 }
@@ -4,6 +4,20 @@ const segmenter = new Intl.Segmenter([], {
   granularity: 'word'
 })
 
+/**
+ * @typedef {"fuzzy" | "prefix"} MatchMode
+ *
+ * @typedef {object} StringMatch
+ * @property {number} score
+ * @property {[number, number][]} ranges
+ *
+ * @typedef {object} NormalizedString
+ * @property {string[]} chars
+ * @property {number[]} starts
+ * @property {number[]} ends
+ * @property {boolean[]} boundaries
+ */
+
 /**
  * Regular expression to match Unicode characters that should be normalized.
  *
@@ -23,9 +37,21 @@ const UNICODE_MAP = {
   '’': "'",
 }
 
+// Scoring of fuzzy matches, similar to fzf.
+// https://github.com/junegunn/fzf/blob/master/src/algo/algo.go
+const MATCH_SCORE = 16
+const BOUNDARY_BONUS = 8
+const CONSECUTIVE_BONUS = 4
+const GAP_PENALTY = 1
+
 /**
- * This class provides the functionality to match strings,
- * similarly to macOS menu search.
+ * This class provides the functionality to match strings.
+ *
+ * - In fuzzy mode, each query term matches a subsequence of the string.
+ *   Matches are scored, with bonuses for word boundaries—which makes acronyms match—
+ *   and for consecutive characters.
+ * - In prefix mode, each query word matches the start of a word,
+ *   similarly to macOS menu search.
  *
  * App menus: https://support.apple.com/en-gb/guide/mac-help/mchlp1446/mac#apdee3084317a564
  */
@@ -34,9 +60,16 @@ class StringMatcher {
    * Creates a new string matcher with the given query.
    *
    * @param {string} query
+   * @param {object} [options]
+   * @param {MatchMode} [options.mode]
    */
-  constructor(query) {
-    this.queryList = tokenize(query)
+  constructor(query, {
+    mode = 'fuzzy',
+  } = {}) {
+    this.mode = mode
+    this.queryList = mode === 'prefix'
+      ? tokenize(query)
+      : normalize(query).toLowerCase().split(/\s+/).filter(Boolean)
   }
 
   /**
@@ -46,13 +79,170 @@ class StringMatcher {
    * @returns {boolean}
    */
   matches(string) {
-    const stringList = tokenize(string)
-    return this.queryList.every((query) =>
-      stringList.some((string) =>
-        string.startsWith(query)
-      )
+    return this.match(string) !== null
+  }
+
+  /**
+   * Matches a string against the query.
+   * Returns its score and the matched character ranges, or null if there is no match.
+   *
+   * @param {string} string
+   * @returns {?StringMatch}
+   */
+  match(string) {
+    const normalizedString = normalizeWithOffsets(string)
+    const positionLists = this.queryList.map((query) =>
+      this.mode === 'prefix'
+        ? matchPrefix(query, normalizedString)
+        : matchFuzzy(query, normalizedString)
+    )
+
+    if (positionLists.includes(null)) {
+      return null
+    }
+
+    const positions = new Set(
+      positionLists.flatMap((positionList) => positionList.positions)
+    )
+
+    return {
+      score: positionLists.reduce((score, positionList) =>
+        score + positionList.score, 0
+      ),
+      ranges: getRanges(
+        Array.from(positions).sort((position, otherPosition) => position - otherPosition),
+        normalizedString
+      ),
+    }
+  }
+}
+
+/**
+ * Matches a query as the start of a word.
+ *
+ * @param {string} query
+ * @param {NormalizedString} normalizedString
+ * @returns {?{ score: number, positions: number[] }}
+ */
+function matchPrefix(query, normalizedString) {
+  const segment = Iterator.from(
+    segmenter.segment(
+      normalizedString.chars.join('')
     )
+  )
+    .find((segment) =>
+      segment.isWordLike &&
+      segment.segment.startsWith(query)
+    )
+
+  return segment
+    ? {
+      score: 0,
+      positions: query.split('').map((char, index) => segment.index + index),
+    }
+    : null
+}
+
+/**
+ * Matches a query as a subsequence, keeping the alignment with the best score.
+ *
+ * @param {string} query
+ * @param {NormalizedString} normalizedString
+ * @returns {?{ score: number, positions: number[] }}
+ */
+function matchFuzzy(query, normalizedString) {
+  const { chars, boundaries } = normalizedString
+  const queryChars = query.split('')
+
+  // scoreRows[i][j] is the best score of the query up to i, with i matched at j.
+  const scoreRows = []
+  const backRows = []
+
+  for (const [queryIndex, queryChar] of queryChars.entries()) {
+    const previousScores = scoreRows[queryIndex - 1]
+    const scores = Array(chars.length).fill(-Infinity)
+    const backs = Array(chars.length).fill(-1)
+
+    // The best gapped predecessor so far, as `score + GAP_PENALTY * index`.
+    let bestGapped = -Infinity
+    let bestGappedIndex = -1
+
+    for (let index = queryIndex; index < chars.length; index++) {
+      if (
+        previousScores &&
+        index >= 2 &&
+        previousScores[index - 2] + GAP_PENALTY * (index - 2) > bestGapped
+      ) {
+        bestGapped = previousScores[index - 2] + GAP_PENALTY * (index - 2)
+        bestGappedIndex = index - 2
+      }
+
+      if (chars[index] !== queryChar) {
+        continue
+      }
+
+      const charScore = MATCH_SCORE + (boundaries[index] ? BOUNDARY_BONUS : 0)
+
+      if (!previousScores) {
+        scores[index] = charScore
+        continue
+      }
+
+      const consecutiveScore = previousScores[index - 1] + CONSECUTIVE_BONUS
+      const gappedScore = bestGapped - GAP_PENALTY * (index - 1)
+
+      if (consecutiveScore >= gappedScore) {
+        scores[index] = consecutiveScore + charScore
+        backs[index] = index - 1
+      } else {
+        scores[index] = gappedScore + charScore
+        backs[index] = bestGappedIndex
+      }
+    }
+
+    scoreRows.push(scores)
+    backRows.push(backs)
+  }
+
+  const lastScores = scoreRows.at(-1)
+  const score = Math.max(...lastScores)
+
+  if (score === -Infinity) {
+    return null
+  }
+
+  const positions = []
+  let position = lastScores.indexOf(score)
+
+  for (let queryIndex = queryChars.length - 1; queryIndex >= 0; queryIndex--) {
+    positions.unshift(position)
+    position = backRows[queryIndex][position]
+  }
+
+  return { score, positions }
+}
+
+/**
+ * Merges sorted character positions into ranges of the original string.
+ *
+ * @param {number[]} positions
+ * @param {NormalizedString} normalizedString
+ * @returns {[number, number][]}
+ */
+function getRanges(positions, { starts, ends }) {
+  const ranges = []
+
+  for (const position of positions) {
+    const lastRange = ranges.at(-1)
+
+    if (lastRange && lastRange[1] >= starts[position]) {
+      lastRange[1] = Math.max(lastRange[1], ends[position])
+    } else {
+      ranges.push([starts[position], ends[position]])
+    }
   }
+
+  return ranges
 }
 
 /**
@@ -68,6 +258,45 @@ function normalize(string) {
     .replace(UNICODE_CHARS, char => UNICODE_MAP[char])
 }
 
+/**
+ * Normalizes and lowercases a string character by character,
+ * keeping track of where each character comes from in the original string,
+ * and whether it starts a word.
+ *
+ * @param {string} string
+ * @returns {NormalizedString}
+ */
+function normalizeWithOffsets(string) {
+  const normalizedString = {
+    chars: [],
+    starts: [],
+    ends: [],
+    boundaries: [],
+  }
+
+  let offset = 0
+  let previousChar = ''
+
+  for (const char of string) {
+    const isBoundary = (
+      !/[\p{L}\p{N}]/u.test(previousChar) ||
+      /\p{Ll}/u.test(previousChar) && /\p{Lu}/u.test(char)
+    )
+
+    for (const [index, normalizedChar] of normalize(char).toLowerCase().split('').entries()) {
+      normalizedString.chars.push(normalizedChar)
+      normalizedString.starts.push(offset)
+      normalizedString.ends.push(offset + char.length)
+      normalizedString.boundaries.push(isBoundary && index === 0)
+    }
+
+    offset += char.length
+    previousChar = char
+  }
+
+  return normalizedString
+}
+
 /**
  * Returns a list of tokens.
  *
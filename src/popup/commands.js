@@ -5,6 +5,10 @@
  * @property {chrome.runtime.Port} port
  * @property {Window} popupWindow
  * @property {HTMLElement} paletteInputElement
+ * @property {TabSwitcher} tabSwitcherElement
+ * @property {TabMarkPrompt} tabMarkPromptElement
+ * @property {WorkspacePrompt} workspacePromptElement
+ * @property {number} count
  */
 
 /**
@@ -17,7 +21,8 @@ function message(commandName) {
   return (cx) => {
     cx.port.postMessage({
       type: 'command',
-      commandName
+      commandName,
+      count: cx.count,
     })
   }
 }
@@ -127,6 +132,7 @@ export const closeTab = message('closeTab')
 export const closeOtherTabs = message('closeOtherTabs')
 export const closeRightTabs = message('closeRightTabs')
 export const closeWindow = message('closeWindow')
+export const closeDuplicateTabs = message('closeDuplicateTabs')
 export const restoreTab = message('restoreTab')
 
 // Close all inactive tabs -----------------------------------------------------
@@ -151,8 +157,14 @@ export const discardTab = message('discardTab')
 export const sortTabsByName = message('sortTabsByName')
 export const sortTabsByURL = message('sortTabsByURL')
 export const sortTabsByRecency = message('sortTabsByRecency')
+export const sortTabsByHostname = message('sortTabsByHostname')
+export const sortTabsByOpener = message('sortTabsByOpener')
+export const sortTabsByState = message('sortTabsByState')
 export const reverseTabOrder = message('reverseTabOrder')
 export const groupTabsByDomain = message('groupTabsByDomain')
+export const groupTabsByRegistrableDomain = message('groupTabsByRegistrableDomain')
+export const groupTabsByOpener = message('groupTabsByOpener')
+export const groupTabsByPathSegment = message('groupTabsByPathSegment')
 
 // Manage tab groups -----------------------------------------------------------
 
@@ -161,6 +173,11 @@ export const renameTabGroup = message('renameTabGroup')
 export const cycleTabGroupColorForward = message('cycleTabGroupColorForward')
 export const cycleTabGroupColorBackward = message('cycleTabGroupColorBackward')
 
+// Split view ------------------------------------------------------------------
+
+export const focusOtherSplitViewPane = message('focusOtherSplitViewPane')
+export const swapSplitViewPanes = message('swapSplitViewPanes')
+
 // Switch tabs -----------------------------------------------------------------
 
 export const activateAudibleTab = message('activateAudibleTab')
@@ -186,6 +203,93 @@ export const activateEighthLastActiveTab = message('activateEighthLastActiveTab'
 export const activateNinthLastActiveTab = message('activateNinthLastActiveTab')
 export const activateNextWindow = message('activateNextWindow')
 export const activatePreviousWindow = message('activatePreviousWindow')
+export const jumpBack = message('jumpBack')
+export const jumpForward = message('jumpForward')
+
+/**
+ * Assigns a mark to the current tab.
+ * Prompts for the mark name: a-z for a local mark, A-Z for a global mark.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function setTabMark(cx) {
+  openTabMarkPrompt(cx, 'set')
+}
+
+/**
+ * Jumps to a marked tab, reopening it if it was closed.
+ * Prompts for the mark name.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function jumpToTabMark(cx) {
+  openTabMarkPrompt(cx, 'jump')
+}
+
+/**
+ * Opens the tab mark prompt for the given action,
+ * and requests the marks to list.
+ *
+ * @param {PopupCommandContext} cx
+ * @param {"set" | "jump"} action
+ * @returns {void}
+ */
+function openTabMarkPrompt(cx, action) {
+  cx.tabMarkPromptElement.open(action)
+  cx.port.postMessage({
+    type: 'tabMarksRequest'
+  })
+}
+
+/**
+ * Cycles through the most recently used tabs, in all windows.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function cycleRecentTabs(cx) {
+  cycleRecentTabsWithScope(cx, 'global')
+}
+
+/**
+ * Cycles through the most recently used tabs, in the current window.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function cycleRecentTabsInWindow(cx) {
+  cycleRecentTabsWithScope(cx, 'window')
+}
+
+/**
+ * Opens the tab switcher with the given scope,
+ * or selects the next tab if it is already open.
+ *
+ * @param {PopupCommandContext} cx
+ * @param {"global" | "window"} scope
+ * @returns {void}
+ */
+function cycleRecentTabsWithScope(cx, scope) {
+  if (
+    cx.tabSwitcherElement.isOpen &&
+    cx.tabSwitcherElement.dataset.scope === scope
+  ) {
+    cx.tabSwitcherElement.selectNext()
+    return
+  }
+
+  if (cx.tabSwitcherElement.isOpen) {
+    cx.tabSwitcherElement.close()
+  }
+
+  cx.tabSwitcherElement.open(scope)
+  cx.port.postMessage({
+    type: 'recentTabsRequest',
+    scope,
+  })
+}
 
 // Move tabs -------------------------------------------------------------------
 
@@ -214,6 +318,80 @@ export const moveTabSelectionFaceForward = message('moveTabSelectionFaceForward'
 export const bookmarkTab = message('bookmarkTab')
 export const bookmarkSession = message('bookmarkSession')
 
+// Workspaces ------------------------------------------------------------------
+
+/**
+ * Saves the open windows as a new workspace.
+ * Prompts for the workspace name.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function saveWorkspace(cx) {
+  openWorkspacePrompt(cx, 'save')
+}
+
+/**
+ * Replaces a workspace with the open windows.
+ * Prompts for the workspace name.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function updateWorkspace(cx) {
+  openWorkspacePrompt(cx, 'update')
+}
+
+/**
+ * Restores a workspace, alongside the open windows.
+ * Prompts for the workspace name.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function restoreWorkspace(cx) {
+  openWorkspacePrompt(cx, 'restore')
+}
+
+/**
+ * Restores a workspace, replacing the open windows.
+ * Prompts for the workspace name.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function switchWorkspace(cx) {
+  openWorkspacePrompt(cx, 'switch')
+}
+
+/**
+ * Deletes a workspace.
+ * Prompts for the workspace name.
+ *
+ * @param {PopupCommandContext} cx
+ * @returns {void}
+ */
+export function deleteWorkspace(cx) {
+  openWorkspacePrompt(cx, 'delete')
+}
+
+/**
+ * Opens the workspace prompt for the given action,
+ * and requests the workspaces to list—unless saving a new one.
+ *
+ * @param {PopupCommandContext} cx
+ * @param {"save" | "update" | "restore" | "switch" | "delete"} action
+ * @returns {void}
+ */
+function openWorkspacePrompt(cx, action) {
+  cx.workspacePromptElement.open(action)
+  if (action !== 'save') {
+    cx.port.postMessage({
+      type: 'workspacesRequest'
+    })
+  }
+}
+
 // Reading list ----------------------------------------------------------------
 
 export const addTabToReadingList = message('addTabToReadingList')
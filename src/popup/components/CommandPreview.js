@@ -0,0 +1,143 @@
+// This module defines a custom command preview element.
+//
+// Lists the tabs a destructive command would close, and waits for confirmation:
+// Enter runs the command; Escape cancels it.
+//
+// The name and the keyboard hint are slotted.
+
+const templateElement = document.createElement('template')
+
+templateElement.innerHTML = `
+  <h6 part="name">
+    <slot name="name"></slot>
+  </h6>
+  <p part="summary"></p>
+  <ul part="tabs">
+    <slot></slot>
+  </ul>
+  <p part="hint">
+    <slot name="hint"></slot>
+  </p>
+`
+
+/**
+ * @extends {HTMLElement}
+ */
+class CommandPreview extends HTMLElement {
+  constructor() {
+    super()
+
+    this.attachShadow({
+      mode: 'open'
+    })
+
+    this.shadowRoot.append(
+      templateElement.content.cloneNode(true)
+    )
+
+    this.slotElement = this.shadowRoot.querySelector('slot:not([name])')
+    this.summaryElement = this.shadowRoot.querySelector('[part="summary"]')
+
+    this.onKeyDown = this.onKeyDown.bind(this)
+  }
+
+  /**
+   * Determines whether the preview is open.
+   *
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.matches(':popover-open')
+  }
+
+  /**
+   * Opens the preview of a command, with the given count.
+   *
+   * @param {string} commandName
+   * @param {number} count
+   * @param {string} summary
+   * @param {HTMLElement[]} tabElements
+   * @returns {void}
+   */
+  open(commandName, count, summary, tabElements) {
+    this.dataset.commandName = commandName
+    this.dataset.count = count
+    this.summaryElement.textContent = summary
+
+    for (const slottedElement of this.slotElement.assignedElements()) {
+      slottedElement.remove()
+    }
+    this.append(...tabElements)
+
+    this.showPopover()
+    window.addEventListener('keydown', this.onKeyDown, true)
+  }
+
+  /**
+   * Closes the preview.
+   *
+   * @returns {void}
+   */
+  close() {
+    window.removeEventListener('keydown', this.onKeyDown, true)
+    this.hidePopover()
+  }
+
+  /**
+   * Confirms the command, by dispatching a “commandconfirm” event
+   * with the command name and count, then closes the preview.
+   *
+   * @returns {void}
+   */
+  confirm() {
+    this.close()
+    this.dispatchEvent(
+      new CustomEvent('commandconfirm', {
+        bubbles: true,
+        detail: {
+          commandName: this.dataset.commandName,
+          count: Number(this.dataset.count)
+        }
+      })
+    )
+  }
+
+  /**
+   * Handles the keys typed while the preview is open.
+   * Enter confirms; Escape cancels; other keys are ignored.
+   *
+   * @param {KeyboardEvent} keyboardEvent
+   * @returns {void}
+   */
+  onKeyDown(keyboardEvent) {
+    switch (keyboardEvent.code) {
+      case 'Enter':
+        suppressEvent(keyboardEvent)
+        this.confirm()
+        break
+
+      case 'Escape':
+        suppressEvent(keyboardEvent)
+        this.close()
+        break
+
+      default:
+        suppressEvent(keyboardEvent)
+    }
+  }
+}
+
+/**
+ * Prevents the browser’s default handling of the event and stops propagation.
+ *
+ * @param {Event} event
+ * @returns {void}
+ */
+function suppressEvent(event) {
+  event.preventDefault()
+  event.stopImmediatePropagation()
+}
+
+customElements.define('command-preview', CommandPreview)
+
+export default CommandPreview
@@ -1,7 +1,17 @@
 // This module defines a custom menu element.
 // Defining a Menu in XML: https://developer.android.com/guide/topics/ui/menus#xml
 
-import Keymap from '../lib/keymap.js'
+import Keymap, { KeySequenceMatcher } from '../lib/keymap.js'
+
+const COUNT_DIGIT_PATTERN = /^(?:Digit|Numpad)(\d)$/
+const MAX_COUNT = 999
+
+const MODIFIER_KEYS = new Set([
+  'Control',
+  'Alt',
+  'Shift',
+  'Meta',
+])
 
 const templateElement = document.createElement('template')
 
@@ -36,6 +46,22 @@ class CustomMenu extends HTMLElement {
      */
     this.keymap = new Keymap
 
+    /**
+     * @type {KeySequenceMatcher<MenuItem>}
+     */
+    this.keySequenceMatcher = new KeySequenceMatcher(this.keymap, {
+      onPendingKeysChange: () => {
+        this.dispatchPendingKeysChange()
+      }
+    })
+
+    /**
+     * The count typed before a command, e.g. “5” in “5 j”, or 0 when none.
+     *
+     * @type {number}
+     */
+    this.count = 0
+
     // Handle keyboard shortcuts.
     this.addEventListener('keydown', this.onKeyDown)
   }
@@ -74,12 +100,12 @@ class CustomMenu extends HTMLElement {
   /**
    * Adds keyboard shortcut.
    *
-   * @param {Keypress} keypress
+   * @param {Keypress[]} keypresses
    * @param {MenuItem} menuItem
    * @returns {void}
    */
-  addKeyboardShortcut(keypress, menuItem) {
-    this.keymap.set(keypress, menuItem)
+  addKeyboardShortcut(keypresses, menuItem) {
+    this.keymap.setSequence(keypresses, menuItem)
   }
 
   /**
@@ -89,13 +115,107 @@ class CustomMenu extends HTMLElement {
    * @returns {void}
    */
   onKeyDown(keyboardEvent) {
-    if (this.keymap.has(keyboardEvent)) {
+    const digit = getCountDigit(keyboardEvent)
+
+    // Digits start a count, unless they are bound to a command;
+    // once a count is started, they always extend it.
+    if (
+      digit !== null &&
+      !this.keySequenceMatcher.isPending && (
+        this.count > 0 ||
+        digit > 0 && !this.keymap.has(keyboardEvent)
+      )
+    ) {
       suppressEvent(keyboardEvent)
-      const menuItem = this.keymap.get(keyboardEvent)
-      menuItem.focus()
-      menuItem.click()
+      this.count = Math.min(this.count * 10 + digit, MAX_COUNT)
+      this.dispatchPendingKeysChange()
+      return
+    }
+
+    const keySequenceMatch = this.keySequenceMatcher.feed(keyboardEvent)
+    switch (keySequenceMatch.type) {
+      case 'pending':
+        suppressEvent(keyboardEvent)
+        break
+
+      case 'match': {
+        suppressEvent(keyboardEvent)
+        const menuItem = keySequenceMatch.value
+        menuItem.focus()
+        menuItem.click()
+        this.takeCount()
+        break
+      }
+
+      case 'none':
+        if (!isModifierKey(keyboardEvent.key)) {
+          this.takeCount()
+        }
+        break
+    }
+  }
+
+  /**
+   * Returns the pending count and clears it.
+   * Commands run without a count are performed once.
+   *
+   * @returns {number}
+   */
+  takeCount() {
+    const count = Math.max(this.count, 1)
+    if (this.count > 0) {
+      this.count = 0
+      this.dispatchPendingKeysChange()
     }
+    return count
   }
+
+  /**
+   * Notifies listeners that the pending count or keys have changed.
+   *
+   * @returns {void}
+   */
+  dispatchPendingKeysChange() {
+    this.dispatchEvent(
+      new CustomEvent('pendingkeyschange', {
+        bubbles: true,
+        detail: {
+          count: this.count,
+          keypresses: this.keySequenceMatcher.pendingKeypresses,
+        }
+      })
+    )
+  }
+}
+
+/**
+ * Returns the digit typed for a count, if any.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {?number}
+ */
+function getCountDigit(keyboardEvent) {
+  const match = COUNT_DIGIT_PATTERN.exec(keyboardEvent.code)
+  if (
+    match === null ||
+    keyboardEvent.ctrlKey ||
+    keyboardEvent.altKey ||
+    keyboardEvent.shiftKey ||
+    keyboardEvent.metaKey
+  ) {
+    return null
+  }
+  return Number(match[1])
+}
+
+/**
+ * Determines whether the given key is a modifier key.
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isModifierKey(key) {
+  return MODIFIER_KEYS.has(key)
 }
 
 /**
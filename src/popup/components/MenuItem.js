@@ -58,19 +58,88 @@ class MenuItem extends HTMLElement {
       )
   }
 
+  /**
+   * Highlights the given character ranges of the description,
+   * by wrapping them in `<mark>` elements.
+   *
+   * @param {[number, number][]} ranges
+   * @returns {void}
+   */
+  highlight(ranges) {
+    const textNodes = this.slotElements[0]
+      .assignedNodes()
+      .flatMap((node) =>
+        node instanceof Text
+          ? [node]
+          : getTextNodes(node)
+      )
+
+    let offset = 0
+
+    for (const textNode of textNodes) {
+      const start = offset
+      const end = offset + textNode.length
+      offset = end
+
+      // Wrap from the end, so that splitting keeps earlier offsets valid.
+      for (const [rangeStart, rangeEnd] of ranges.toReversed()) {
+        const markStart = Math.max(rangeStart, start) - start
+        const markEnd = Math.min(rangeEnd, end) - start
+
+        if (markStart < markEnd) {
+          const markedTextNode = textNode.splitText(markStart)
+          markedTextNode.splitText(markEnd - markStart)
+          const markElement = document.createElement('mark')
+          markedTextNode.replaceWith(markElement)
+          markElement.append(markedTextNode)
+        }
+      }
+    }
+  }
+
   /**
    * Adds keyboard shortcut.
    *
-   * @param {Keypress} keypress
+   * A sequence of several keys is displayed as a group of keyboard shortcuts.
+   *
+   * @param {Keypress[]} keypresses
    * @returns {void}
    */
-  addKeyboardShortcut(keypress) {
-    const keyboardShortcutElement = document.createElement('keyboard-shortcut')
-    keyboardShortcutElement.slot = 'shortcut'
-    Object.assign(keyboardShortcutElement.dataset, keypress)
-    this.append(keyboardShortcutElement)
-    this.parentElement.addKeyboardShortcut(keypress, this)
+  addKeyboardShortcut(keypresses) {
+    const keyboardShortcutElements = keypresses.map((keypress) => {
+      const keyboardShortcutElement = document.createElement('keyboard-shortcut')
+      Object.assign(keyboardShortcutElement.dataset, keypress)
+      return keyboardShortcutElement
+    })
+    if (keyboardShortcutElements.length === 1) {
+      keyboardShortcutElements[0].slot = 'shortcut'
+      this.append(keyboardShortcutElements[0])
+    } else {
+      const keySequenceElement = document.createElement('span')
+      keySequenceElement.slot = 'shortcut'
+      keySequenceElement.className = 'key-sequence'
+      keySequenceElement.append(...keyboardShortcutElements)
+      this.append(keySequenceElement)
+    }
+    this.parentElement.addKeyboardShortcut(keypresses, this)
+  }
+}
+
+/**
+ * Returns the text nodes within the given node, in document order.
+ *
+ * @param {Node} node
+ * @returns {Text[]}
+ */
+function getTextNodes(node) {
+  const treeWalker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT)
+  const textNodes = []
+
+  while (treeWalker.nextNode()) {
+    textNodes.push(treeWalker.currentNode)
   }
+
+  return textNodes
 }
 
 customElements.define('menu-item', MenuItem)
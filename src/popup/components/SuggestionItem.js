@@ -1,8 +1,12 @@
 // This module defines a custom suggestion element.
+//
+// The label, title and domain are slotted, so that they can be searched and highlighted.
+// Other details—favicon, window, tab group, badges and time—are rendered in the shadow tree.
 
 const templateElement = document.createElement('template')
 
 templateElement.innerHTML = `
+  <img part="favicon" alt="" loading="lazy" decoding="async" hidden>
   <span part="label">
     <slot name="label"></slot>
   </span>
@@ -11,9 +15,31 @@ templateElement.innerHTML = `
   </span>
   <span part="domain">
     <slot name="domain"></slot>
+    <span part="details"></span>
   </span>
 `
 
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+const RELATIVE_TIME_UNITS = [
+  { unit: 'year', duration: 365 * DAY },
+  { unit: 'month', duration: 30 * DAY },
+  { unit: 'week', duration: 7 * DAY },
+  { unit: 'day', duration: DAY },
+  { unit: 'hour', duration: HOUR },
+  { unit: 'minute', duration: MINUTE },
+]
+
+// Favicons from other schemes (e.g. chrome://) cannot be loaded by extension pages.
+const FAVICON_URL_PATTERN = /^(https?|data):/
+
+const relativeTimeFormat = new Intl.RelativeTimeFormat(chrome.i18n.getUILanguage(), {
+  numeric: 'auto',
+  style: 'short'
+})
+
 /**
  * @extends {HTMLElement}
  */
@@ -30,15 +56,11 @@ class SuggestionItem extends HTMLElement {
     )
 
     this.slotElements = this.shadowRoot.querySelectorAll('slot')
+    this.faviconElement = this.shadowRoot.querySelector('[part="favicon"]')
+    this.detailsElement = this.shadowRoot.querySelector('[part="details"]')
   }
 
   connectedCallback() {
-    for (const slotElement of this.slotElements) {
-      for (const slottedElement of slotElement.assignedElements()) {
-        slottedElement.remove()
-      }
-    }
-
     const labelElement = document.createElement('span')
     labelElement.slot = 'label'
     labelElement.textContent = this.dataset.label
@@ -51,10 +73,92 @@ class SuggestionItem extends HTMLElement {
     domainElement.slot = 'domain'
     domainElement.textContent = this.dataset.domain
 
-    this.append(labelElement, ' ', titleElement, ' ', domainElement)
+    this.replaceChildren(labelElement, ' ', titleElement, ' ', domainElement)
+
+    this.renderFavicon()
+    this.renderDetails()
+  }
+
+  /**
+   * Renders the favicon, if any.
+   *
+   * @returns {void}
+   */
+  renderFavicon() {
+    if (FAVICON_URL_PATTERN.test(this.dataset.favicon)) {
+      this.faviconElement.src = this.dataset.favicon
+      this.faviconElement.hidden = false
+    }
+  }
+
+  /**
+   * Renders the window number, tab group, badges and time.
+   *
+   * @returns {void}
+   */
+  renderDetails() {
+    const detailElements = []
+
+    if (this.dataset.window) {
+      detailElements.push(
+        createDetailElement('window', chrome.i18n.getMessage('windowNumberLabel', this.dataset.window))
+      )
+    }
+
+    if (this.dataset.group !== undefined) {
+      detailElements.push(
+        createDetailElement('group', this.dataset.group || chrome.i18n.getMessage('unnamedTabGroupLabel'))
+      )
+    }
+
+    for (const badge of (this.dataset.badges ?? '').split(' ').filter(Boolean)) {
+      detailElements.push(
+        createDetailElement('badge', chrome.i18n.getMessage(`${badge}TabBadgeLabel`))
+      )
+    }
+
+    if (this.dataset.time) {
+      detailElements.push(
+        createDetailElement('time', chrome.i18n.getMessage(
+          this.dataset.timeMessageName,
+          formatRelativeTime(Number(this.dataset.time))
+        ))
+      )
+    }
+
+    this.detailsElement.replaceChildren(...detailElements)
   }
 }
 
+/**
+ * Creates a detail element, exposed as the given part.
+ *
+ * @param {string} part
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createDetailElement(part, text) {
+  const detailElement = document.createElement('span')
+  detailElement.setAttribute('part', part)
+  detailElement.textContent = text
+  return detailElement
+}
+
+/**
+ * Formats a time relative to now (e.g. “3 hr. ago”).
+ *
+ * @param {number} time
+ * @returns {string}
+ */
+function formatRelativeTime(time) {
+  const age = Date.now() - time
+  const relativeTimeUnit = RELATIVE_TIME_UNITS.find(({ duration }) => age >= duration)
+
+  return relativeTimeUnit
+    ? relativeTimeFormat.format(-Math.floor(age / relativeTimeUnit.duration), relativeTimeUnit.unit)
+    : relativeTimeFormat.format(0, 'minute')
+}
+
 customElements.define('suggestion-item', SuggestionItem)
 
 export default SuggestionItem
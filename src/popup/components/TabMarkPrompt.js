@@ -0,0 +1,156 @@
+// This module defines a custom tab mark prompt element.
+//
+// Waits for a letter, to assign a mark to the current tab or to jump to a marked tab,
+// similarly to Vim’s `m{a-zA-Z}` and `'{a-zA-Z}`.
+// The existing marks are listed while waiting.
+//
+// The name of each action is slotted, with a matching `data-action` attribute.
+
+const MARK_NAME_PATTERN = /^[a-zA-Z]$/
+
+const templateElement = document.createElement('template')
+
+templateElement.innerHTML = `
+  <h6 part="name">
+    <slot name="name"></slot>
+  </h6>
+  <ul part="marks">
+    <slot></slot>
+  </ul>
+`
+
+/**
+ * @extends {HTMLElement}
+ */
+class TabMarkPrompt extends HTMLElement {
+  constructor() {
+    super()
+
+    this.attachShadow({
+      mode: 'open'
+    })
+
+    this.shadowRoot.append(
+      templateElement.content.cloneNode(true)
+    )
+
+    this.slotElement = this.shadowRoot.querySelector('slot:not([name])')
+    this.nameSlotElement = this.shadowRoot.querySelector('slot[name="name"]')
+
+    this.onKeyDown = this.onKeyDown.bind(this)
+  }
+
+  /**
+   * Determines whether the prompt is open.
+   *
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.matches(':popover-open')
+  }
+
+  /**
+   * Opens the prompt for the given action.
+   * Marks are set when received with `setMarks`.
+   *
+   * @param {"set" | "jump"} action
+   * @returns {void}
+   */
+  open(action) {
+    this.dataset.action = action
+
+    for (const nameElement of this.nameSlotElement.assignedElements()) {
+      nameElement.hidden = nameElement.dataset.action !== action
+    }
+
+    this.setMarks([])
+    this.showPopover()
+    window.addEventListener('keydown', this.onKeyDown, true)
+  }
+
+  /**
+   * Closes the prompt.
+   *
+   * @returns {void}
+   */
+  close() {
+    window.removeEventListener('keydown', this.onKeyDown, true)
+    this.hidePopover()
+  }
+
+  /**
+   * Replaces the listed marks.
+   * Each element holds its mark name in `data-mark-name`.
+   *
+   * @param {HTMLElement[]} markElements
+   * @returns {void}
+   */
+  setMarks(markElements) {
+    for (const slottedElement of this.slotElement.assignedElements()) {
+      slottedElement.remove()
+    }
+    this.append(...markElements)
+  }
+
+  /**
+   * Selects a mark, by dispatching a “tabmarkselect” event
+   * with the action and the mark name, then closes the prompt.
+   *
+   * @param {string} name
+   * @returns {void}
+   */
+  select(name) {
+    this.close()
+    this.dispatchEvent(
+      new CustomEvent('tabmarkselect', {
+        bubbles: true,
+        detail: {
+          action: this.dataset.action,
+          name
+        }
+      })
+    )
+  }
+
+  /**
+   * Handles the mark name typed while the prompt is open.
+   * Escape cancels; other keys are ignored.
+   *
+   * @param {KeyboardEvent} keyboardEvent
+   * @returns {void}
+   */
+  onKeyDown(keyboardEvent) {
+    if (
+      keyboardEvent.ctrlKey ||
+      keyboardEvent.altKey ||
+      keyboardEvent.metaKey
+    ) {
+      return
+    }
+
+    if (keyboardEvent.code === 'Escape') {
+      suppressEvent(keyboardEvent)
+      this.close()
+    } else if (MARK_NAME_PATTERN.test(keyboardEvent.key)) {
+      suppressEvent(keyboardEvent)
+      this.select(keyboardEvent.key)
+    } else if (keyboardEvent.key !== 'Shift') {
+      suppressEvent(keyboardEvent)
+    }
+  }
+}
+
+/**
+ * Prevents the browser’s default handling of the event and stops propagation.
+ *
+ * @param {Event} event
+ * @returns {void}
+ */
+function suppressEvent(event) {
+  event.preventDefault()
+  event.stopImmediatePropagation()
+}
+
+customElements.define('tab-mark-prompt', TabMarkPrompt)
+
+export default TabMarkPrompt
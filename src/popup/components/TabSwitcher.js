@@ -0,0 +1,315 @@
+// This module defines a custom tab switcher element.
+//
+// Cycles through the most recently used tabs, like an OS window switcher:
+// repeated presses of the cycle command move the selection without reordering the tabs,
+// and the selection is committed when the modifier keys are released.
+//
+// Keyboard shortcuts are handled in the capture phase while the switcher is open:
+// Shift reverses the direction, Enter commits and Escape cancels.
+// Other keys fall through to the menu keymap, which runs the cycle command again.
+
+const MODIFIER_KEYS = new Set([
+  'Control',
+  'Alt',
+  'Shift',
+  'Meta',
+])
+
+const templateElement = document.createElement('template')
+
+templateElement.innerHTML = `
+  <h6 part="name">
+    <slot name="name">Recent Tabs</slot>
+  </h6>
+  <ol part="tabs">
+    <slot></slot>
+  </ol>
+`
+
+/**
+ * @extends {HTMLElement}
+ */
+class TabSwitcher extends HTMLElement {
+  constructor() {
+    super()
+
+    this.attachShadow({
+      mode: 'open'
+    })
+
+    this.shadowRoot.append(
+      templateElement.content.cloneNode(true)
+    )
+
+    this.slotElement = this.shadowRoot.querySelector('slot:not([name])')
+
+    /**
+     * The index of the selected tab.
+     * Set before tabs are received when cycling quickly, and wrapped when they are.
+     *
+     * @type {number}
+     */
+    this.selectedIndex = 0
+
+    /**
+     * Whether tabs have been received since the switcher was opened.
+     *
+     * @type {boolean}
+     */
+    this.isLoaded = false
+
+    /**
+     * Whether the selection was committed before tabs were received.
+     *
+     * @type {boolean}
+     */
+    this.isCommitPending = false
+
+    this.onKeyDown = this.onKeyDown.bind(this)
+    this.onKeyUp = this.onKeyUp.bind(this)
+  }
+
+  /**
+   * Determines whether the switcher is open.
+   *
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.matches(':popover-open')
+  }
+
+  /**
+   * Opens the switcher, with the given tab scope.
+   * Tabs are set when received with `setTabs`.
+   *
+   * @param {"global" | "window"} scope
+   * @returns {void}
+   */
+  open(scope) {
+    this.dataset.scope = scope
+    this.selectedIndex = 0
+    this.isLoaded = false
+    this.isCommitPending = false
+    this.replaceTabs([])
+    this.showPopover()
+    window.addEventListener('keydown', this.onKeyDown, true)
+    window.addEventListener('keyup', this.onKeyUp, true)
+  }
+
+  /**
+   * Closes the switcher, without switching tabs.
+   *
+   * @returns {void}
+   */
+  close() {
+    window.removeEventListener('keydown', this.onKeyDown, true)
+    window.removeEventListener('keyup', this.onKeyUp, true)
+    this.hidePopover()
+  }
+
+  /**
+   * Sets the tabs, in the order of most recently used.
+   * Each element holds its suggestion in `data-suggestion`.
+   *
+   * @param {HTMLElement[]} tabElements
+   * @returns {void}
+   */
+  setTabs(tabElements) {
+    this.replaceTabs(tabElements)
+    this.isLoaded = true
+    this.select(this.selectedIndex)
+
+    if (this.isCommitPending) {
+      this.commit()
+    }
+  }
+
+  /**
+   * Replaces the tab elements, keeping the slotted name.
+   *
+   * @param {HTMLElement[]} tabElements
+   * @returns {void}
+   */
+  replaceTabs(tabElements) {
+    for (const slottedElement of this.slotElement.assignedElements()) {
+      slottedElement.remove()
+    }
+    this.append(...tabElements)
+  }
+
+  /**
+   * Selects the next tab, i.e. a less recently used one.
+   *
+   * @returns {void}
+   */
+  selectNext() {
+    this.select(this.selectedIndex + 1)
+  }
+
+  /**
+   * Selects the previous tab, i.e. a more recently used one.
+   *
+   * @returns {void}
+   */
+  selectPrevious() {
+    this.select(this.selectedIndex - 1)
+  }
+
+  /**
+   * Selects the tab at the given index, wrapping around.
+   *
+   * @param {number} index
+   * @returns {void}
+   */
+  select(index) {
+    const tabElements = this.slotElement.assignedElements()
+
+    if (!this.isLoaded) {
+      this.selectedIndex = Math.max(index, 0)
+      return
+    }
+
+    if (tabElements.length === 0) {
+      this.selectedIndex = 0
+      return
+    }
+
+    this.selectedIndex = (index % tabElements.length + tabElements.length) % tabElements.length
+
+    for (const [tabIndex, tabElement] of tabElements.entries()) {
+      tabElement.classList.toggle('active', tabIndex === this.selectedIndex)
+    }
+
+    tabElements[this.selectedIndex].scrollIntoView({
+      block: 'nearest'
+    })
+  }
+
+  /**
+   * Commits the selection, by dispatching a “tabswitch” event
+   * with the suggestion of the selected tab, then closes the switcher.
+   *
+   * @returns {void}
+   */
+  commit() {
+    if (!this.isLoaded) {
+      this.isCommitPending = true
+      return
+    }
+
+    const selectedElement = this.slotElement.assignedElements()[this.selectedIndex]
+
+    this.close()
+
+    if (selectedElement) {
+      this.dispatchEvent(
+        new CustomEvent('tabswitch', {
+          bubbles: true,
+          detail: {
+            suggestion: JSON.parse(selectedElement.dataset.suggestion)
+          }
+        })
+      )
+    }
+  }
+
+  /**
+   * Handles keyboard shortcuts while the switcher is open.
+   *
+   * @param {KeyboardEvent} keyboardEvent
+   * @returns {void}
+   */
+  onKeyDown(keyboardEvent) {
+    if (isModifierKey(keyboardEvent.key)) {
+      return
+    }
+
+    switch (keyboardEvent.code) {
+      case 'Escape':
+        suppressEvent(keyboardEvent)
+        this.close()
+        return
+
+      case 'Enter':
+        suppressEvent(keyboardEvent)
+        this.commit()
+        return
+
+      case 'ArrowDown':
+        suppressEvent(keyboardEvent)
+        this.selectNext()
+        return
+
+      case 'ArrowUp':
+        suppressEvent(keyboardEvent)
+        this.selectPrevious()
+        return
+    }
+
+    // Shift reverses the cycle command, e.g. Alt + Shift + `.
+    if (
+      keyboardEvent.shiftKey &&
+      isModifierPressed(keyboardEvent)
+    ) {
+      suppressEvent(keyboardEvent)
+      this.selectPrevious()
+    }
+  }
+
+  /**
+   * Commits the selection when the modifier keys are released.
+   * Releasing Shift alone does not commit, since it only reverses the direction.
+   *
+   * @param {KeyboardEvent} keyboardEvent
+   * @returns {void}
+   */
+  onKeyUp(keyboardEvent) {
+    if (
+      keyboardEvent.key !== 'Shift' &&
+      isModifierKey(keyboardEvent.key) &&
+      !isModifierPressed(keyboardEvent)
+    ) {
+      suppressEvent(keyboardEvent)
+      this.commit()
+    }
+  }
+}
+
+/**
+ * Determines whether the given key is a modifier key.
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isModifierKey(key) {
+  return MODIFIER_KEYS.has(key)
+}
+
+/**
+ * Determines whether a modifier key other than Shift is pressed.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {boolean}
+ */
+function isModifierPressed(keyboardEvent) {
+  return (
+    keyboardEvent.ctrlKey ||
+    keyboardEvent.altKey ||
+    keyboardEvent.metaKey
+  )
+}
+
+/**
+ * Prevents the browser’s default handling of the event and stops propagation.
+ *
+ * @param {Event} event
+ * @returns {void}
+ */
+function suppressEvent(event) {
+  event.preventDefault()
+  event.stopImmediatePropagation()
+}
+
+customElements.define('tab-switcher', TabSwitcher)
+
+export default TabSwitcher
@@ -0,0 +1,220 @@
+// This module defines a custom workspace prompt element.
+//
+// Waits for a workspace name, to save, update, restore or delete a workspace.
+// The existing workspaces are listed while waiting, and filtered as the name is typed.
+//
+// The name of each action is slotted, with a matching `data-action` attribute,
+// as is the input for the workspace name.
+
+const templateElement = document.createElement('template')
+
+templateElement.innerHTML = `
+  <h6 part="name">
+    <slot name="name"></slot>
+  </h6>
+  <slot name="input"></slot>
+  <ul part="workspaces">
+    <slot></slot>
+  </ul>
+`
+
+/**
+ * @extends {HTMLElement}
+ */
+class WorkspacePrompt extends HTMLElement {
+  constructor() {
+    super()
+
+    this.attachShadow({
+      mode: 'open'
+    })
+
+    this.shadowRoot.append(
+      templateElement.content.cloneNode(true)
+    )
+
+    this.slotElement = this.shadowRoot.querySelector('slot:not([name])')
+    this.nameSlotElement = this.shadowRoot.querySelector('slot[name="name"]')
+    this.inputSlotElement = this.shadowRoot.querySelector('slot[name="input"]')
+
+    this.onKeyDown = this.onKeyDown.bind(this)
+    this.onInput = this.onInput.bind(this)
+  }
+
+  /**
+   * Returns the input for the workspace name.
+   *
+   * @returns {HTMLInputElement}
+   */
+  get inputElement() {
+    return this.inputSlotElement.assignedElements()[0]
+  }
+
+  /**
+   * Determines whether the prompt is open.
+   *
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return this.matches(':popover-open')
+  }
+
+  /**
+   * Opens the prompt for the given action.
+   * Workspaces are set when received with `setWorkspaces`.
+   *
+   * @param {"save" | "update" | "restore" | "switch" | "delete"} action
+   * @returns {void}
+   */
+  open(action) {
+    this.dataset.action = action
+
+    for (const nameElement of this.nameSlotElement.assignedElements()) {
+      nameElement.hidden = nameElement.dataset.action !== action
+    }
+
+    this.setWorkspaces([])
+    this.showPopover()
+    this.inputElement.value = ''
+    this.inputElement.focus()
+    this.inputElement.addEventListener('input', this.onInput)
+    window.addEventListener('keydown', this.onKeyDown, true)
+  }
+
+  /**
+   * Closes the prompt.
+   *
+   * @returns {void}
+   */
+  close() {
+    window.removeEventListener('keydown', this.onKeyDown, true)
+    this.inputElement.removeEventListener('input', this.onInput)
+    this.hidePopover()
+  }
+
+  /**
+   * Replaces the listed workspaces.
+   * Each element holds its workspace name in `data-workspace-name`.
+   *
+   * @param {HTMLElement[]} workspaceElements
+   * @returns {void}
+   */
+  setWorkspaces(workspaceElements) {
+    for (const slottedElement of this.slotElement.assignedElements()) {
+      slottedElement.remove()
+    }
+    this.append(...workspaceElements)
+    this.filterWorkspaces()
+  }
+
+  /**
+   * Selects a workspace, by dispatching a “workspaceselect” event
+   * with the action and the workspace name, then closes the prompt.
+   *
+   * @param {string} name
+   * @returns {void}
+   */
+  select(name) {
+    this.close()
+    this.dispatchEvent(
+      new CustomEvent('workspaceselect', {
+        bubbles: true,
+        detail: {
+          action: this.dataset.action,
+          name
+        }
+      })
+    )
+  }
+
+  /**
+   * Shows the listed workspaces whose name contains the typed text.
+   *
+   * @returns {void}
+   */
+  filterWorkspaces() {
+    const searchText = this.inputElement.value.trim().toLowerCase()
+
+    for (const workspaceElement of this.slotElement.assignedElements()) {
+      workspaceElement.hidden = !workspaceElement.dataset.workspaceName.toLowerCase().includes(searchText)
+    }
+  }
+
+  /**
+   * Returns the name of the workspace to select:
+   * the typed name when saving, otherwise the listed workspace with that name,
+   * or the first one matching it.
+   *
+   * @returns {?string}
+   */
+  getSelectedName() {
+    const name = this.inputElement.value.trim()
+
+    if (this.dataset.action === 'save') {
+      return name === '' ? null : name
+    }
+
+    const workspaceElements = this.slotElement.assignedElements()
+
+    const workspaceElement = (
+      workspaceElements.find((workspaceElement) => workspaceElement.dataset.workspaceName === name) ??
+      workspaceElements.find((workspaceElement) => !workspaceElement.hidden)
+    )
+
+    return workspaceElement?.dataset.workspaceName ?? null
+  }
+
+  /**
+   * Handles input change, to filter the listed workspaces.
+   *
+   * @param {InputEvent} inputEvent
+   * @returns {void}
+   */
+  onInput(inputEvent) {
+    this.filterWorkspaces()
+  }
+
+  /**
+   * Handles the keys typed while the prompt is open.
+   * Enter selects the workspace; Escape cancels.
+   * Other keys are left to the input.
+   *
+   * @param {KeyboardEvent} keyboardEvent
+   * @returns {void}
+   */
+  onKeyDown(keyboardEvent) {
+    switch (keyboardEvent.code) {
+      case 'Escape':
+        suppressEvent(keyboardEvent)
+        this.close()
+        break
+
+      case 'Enter': {
+        suppressEvent(keyboardEvent)
+        const name = this.getSelectedName()
+        if (name !== null) {
+          this.select(name)
+        }
+        break
+      }
+
+      default:
+        keyboardEvent.stopImmediatePropagation()
+    }
+  }
+}
+
+/**
+ * Prevents the browser’s default handling of the event and stops propagation.
+ *
+ * @param {Event} event
+ * @returns {void}
+ */
+function suppressEvent(event) {
+  event.preventDefault()
+  event.stopImmediatePropagation()
+}
+
+customElements.define('workspace-prompt', WorkspacePrompt)
+
+export default WorkspacePrompt
@@ -2,7 +2,8 @@
 
 /**
  * @typedef {object} KeyboardMapping
- * @property {Keypress} key
+ * @property {Keypress} [key]
+ * @property {Keypress[]} [keys]
  * @property {string} command
  *
  * @typedef {object} Keypress
@@ -19,6 +20,10 @@ import commandPalette from './command_palette/command_palette.js'
 import CustomMenu from './components/CustomMenu.js'
 import MenuItem from './components/MenuItem.js'
 import SuggestionItem from './components/SuggestionItem.js'
+import TabSwitcher from './components/TabSwitcher.js'
+import TabMarkPrompt from './components/TabMarkPrompt.js'
+import WorkspacePrompt from './components/WorkspacePrompt.js'
+import CommandPreview from './components/CommandPreview.js'
 
 const MIDDLE_MOUSE_BUTTON = 1
 
@@ -34,6 +39,20 @@ const MODIFIER_KEYS = new Set([
   'Meta',
 ])
 
+// The time to show for each suggestion type,
+// with the name of the message describing it.
+const SUGGESTION_TIMES = {
+  openTab: { property: 'lastAccessed', messageName: 'lastAccessedTimeLabel' },
+  closedTab: { property: 'lastModified', messageName: 'closedTimeLabel' },
+  syncedTab: { property: 'lastModified', messageName: 'syncedTimeLabel' },
+  tabMark: { property: 'timestamp', messageName: 'markedTimeLabel' },
+  workspace: { property: 'timestamp', messageName: 'savedTimeLabel' },
+  bookmark: { property: 'dateAdded', messageName: 'addedTimeLabel' },
+  readingList: { property: 'creationTime', messageName: 'addedTimeLabel' },
+  history: { property: 'lastVisitTime', messageName: 'visitedTimeLabel' },
+  download: { property: 'endTime', messageName: 'downloadedTimeLabel' },
+}
+
 const Modifier = {
   None: 0,
   Control: 1 << 0,
@@ -44,7 +63,13 @@ const Modifier = {
 
 const mainElement = document.querySelector('main')
 const paletteInputElement = document.getElementById('palette-input')
+const paletteScopeElement = document.getElementById('palette-scope')
 const paletteMenuElement = document.getElementById('palette-menu')
+const pendingKeysElement = document.getElementById('pending-keys')
+const tabSwitcherElement = document.getElementById('tab-switcher')
+const tabMarkPromptElement = document.getElementById('tab-mark-prompt')
+const workspacePromptElement = document.getElementById('workspace-prompt')
+const commandPreviewElement = document.getElementById('command-preview')
 const menuElement = document.getElementById('menu-commands')
 const menuItemElements = menuElement.getElementsByTagName('menu-item')
 const browserExtensionsNotAllowedPopoverElement = document.getElementById('browser-extensions-not-allowed-popover')
@@ -73,7 +98,11 @@ port.onMessage.addListener((message) => {
       commandPalette.render({
         port,
         paletteBindings: message.paletteBindings,
+        paletteMatchMode: message.paletteMatchMode,
+        commandFrecencies: message.commandFrecencies,
+        recentCommands: message.recentCommands,
         paletteInputElement,
+        paletteScopeElement,
         paletteMenuElement,
         menuElement,
         menuItemElements,
@@ -90,7 +119,23 @@ port.onMessage.addListener((message) => {
       break
 
     case 'suggestionSync':
-      onSuggestionSync(message.suggestions, message.suggestionLabels)
+      onSuggestionSync(message.mode, message.query, message.suggestions, message.suggestionLabels)
+      break
+
+    case 'recentTabs':
+      onRecentTabs(message.scope, message.tabs, message.suggestionLabels)
+      break
+
+    case 'tabMarks':
+      onTabMarks(message.tabMarks, message.suggestionLabels)
+      break
+
+    case 'workspaces':
+      onWorkspaces(message.workspaces, message.suggestionLabels)
+      break
+
+    case 'commandPreview':
+      onCommandPreview(message.commandName, message.count, message.tabs, message.tabGroupCount, message.suggestionLabels)
       break
 
     case 'command':
@@ -133,10 +178,10 @@ function render({
   stylesheet.replaceSync(popupStyleSheet)
   document.adoptedStyleSheets = [stylesheet]
 
-  for (const { key, command } of commandBindings) {
+  for (const { key, keys = [key], command } of commandBindings) {
     if (menuCommands.has(command)) {
       const menuItemElement = menuCommands.get(command)
-      menuItemElement.addKeyboardShortcut(key)
+      menuItemElement.addKeyboardShortcut(keys)
     }
   }
 
@@ -182,6 +227,42 @@ function render({
     }
   })
 
+  document.addEventListener('pendingkeyschange', (customEvent) => {
+    onPendingKeysChange(customEvent.detail.count, customEvent.detail.keypresses)
+  })
+
+  tabSwitcherElement.addEventListener('tabswitch', (customEvent) => {
+    onSuggestionActivated(customEvent.detail.suggestion)
+    window.close()
+  })
+
+  tabMarkPromptElement.addEventListener('tabmarkselect', (customEvent) => {
+    port.postMessage({
+      type: 'tabMark',
+      action: customEvent.detail.action,
+      name: customEvent.detail.name,
+    })
+    window.close()
+  })
+
+  workspacePromptElement.addEventListener('workspaceselect', (customEvent) => {
+    port.postMessage({
+      type: 'workspace',
+      action: customEvent.detail.action,
+      name: customEvent.detail.name,
+    })
+    window.close()
+  })
+
+  commandPreviewElement.addEventListener('commandconfirm', (customEvent) => {
+    port.postMessage({
+      type: 'command',
+      commandName: customEvent.detail.commandName,
+      count: customEvent.detail.count,
+      confirmed: true,
+    })
+  })
+
   menuElement.addEventListener('keyup', (keyboardEvent) => {
     if (!isModifierKey(keyboardEvent.key)) {
       port.postMessage({
@@ -203,6 +284,29 @@ function onStateSync(commandName) {
   }
 }
 
+/**
+ * Displays the count and keys typed so far in a key sequence.
+ *
+ * @param {number} count
+ * @param {Keypress[]} keypresses
+ * @returns {void}
+ */
+function onPendingKeysChange(count, keypresses) {
+  const keyboardShortcutElements = keypresses.map((keypress) => {
+    const keyboardShortcutElement = document.createElement('keyboard-shortcut')
+    Object.assign(keyboardShortcutElement.dataset, keypress)
+    return keyboardShortcutElement
+  })
+  pendingKeysElement.replaceChildren(...keyboardShortcutElements)
+  if (count > 0) {
+    const countElement = document.createElement('span')
+    countElement.className = 'count'
+    countElement.textContent = count
+    pendingKeysElement.prepend(countElement)
+  }
+  pendingKeysElement.hidden = count === 0 && keypresses.length === 0
+}
+
 /**
  * Handles theme syncing.
  *
@@ -222,18 +326,29 @@ function onThemeSync(popupStyleSheet, messageSenderHostname) {
 
 /**
  * Handles suggestion syncing.
+ * Replaces the suggestions of a previous search,
+ * unless the results are for an outdated query or scope.
  *
+ * @param {SuggestionType} mode
+ * @param {string} query
  * @param {Suggestion[]} suggestions
  * @param {Object<string, string>} suggestionLabels
  * @returns {void}
  */
-function onSuggestionSync(suggestions, suggestionLabels) {
+function onSuggestionSync(mode, query, suggestions, suggestionLabels) {
+  if (
+    mode !== paletteInputElement.dataset.searchMode ||
+    query !== paletteInputElement.value
+  ) {
+    return
+  }
+  for (const menuItemElement of menuElement.querySelectorAll('menu-item:has(suggestion-item)')) {
+    menuItemElement.remove()
+  }
   const menuItemElements = suggestions.map((suggestion) => {
     const menuItemElement = document.createElement('menu-item')
-    const suggestionElement = document.createElement('suggestion-item')
-    suggestionElement.dataset.label = suggestionLabels[suggestion.type]
-    suggestionElement.dataset.title = suggestion.title
-    suggestionElement.dataset.domain = new URL(suggestion.url).hostname
+    const suggestionElement = createSuggestionElement(suggestion, suggestionLabels)
+    menuItemElement.dataset.suggestion = JSON.stringify(suggestion)
     menuItemElement.onclick = (pointerEvent) => {
       const pointerEventModifiers = (
         (pointerEvent.ctrlKey ? Modifier.Control : Modifier.None) |
@@ -242,6 +357,17 @@ function onSuggestionSync(suggestions, suggestionLabels) {
         (pointerEvent.metaKey ? Modifier.Meta : Modifier.None)
       )
       if (
+        suggestion.type === 'workspace' &&
+        pointerEventModifiers === Modifier.Shift
+      ) {
+        suppressEvent(pointerEvent)
+        port.postMessage({
+          type: 'workspace',
+          action: 'switch',
+          name: suggestion.workspaceName,
+        })
+        window.close()
+      } else if (
         pointerEventModifiers === Modifier.Alt
       ) {
         suppressEvent(pointerEvent)
@@ -282,6 +408,185 @@ function onSuggestionSync(suggestions, suggestionLabels) {
     return menuItemElement
   })
   menuElement.append(...menuItemElements)
+  menuElement.dispatchEvent(
+    new CustomEvent('suggestionschange', {
+      bubbles: true
+    })
+  )
+}
+
+/**
+ * Handles the recent tabs to cycle through in the tab switcher,
+ * unless the switcher was closed or opened with another scope in the meantime.
+ *
+ * @param {"global" | "window"} scope
+ * @param {OpenTabSuggestion[]} tabs
+ * @param {Object<string, string>} suggestionLabels
+ * @returns {void}
+ */
+function onRecentTabs(scope, tabs, suggestionLabels) {
+  if (
+    !tabSwitcherElement.isOpen ||
+    scope !== tabSwitcherElement.dataset.scope
+  ) {
+    return
+  }
+  const tabElements = tabs.map((tab) => {
+    const suggestionElement = createSuggestionElement(tab, suggestionLabels)
+    suggestionElement.dataset.suggestion = JSON.stringify(tab)
+    suggestionElement.onclick = () => {
+      tabSwitcherElement.select(tabElements.indexOf(suggestionElement))
+      tabSwitcherElement.commit()
+    }
+    return suggestionElement
+  })
+  tabSwitcherElement.setTabs(tabElements)
+}
+
+/**
+ * Handles the tab marks to list in the tab mark prompt.
+ *
+ * @param {TabMarkSuggestion[]} tabMarks
+ * @param {Object<string, string>} suggestionLabels
+ * @returns {void}
+ */
+function onTabMarks(tabMarks, suggestionLabels) {
+  if (!tabMarkPromptElement.isOpen) {
+    return
+  }
+  const markElements = tabMarks.map((tabMark) => {
+    const suggestionElement = createSuggestionElement(tabMark, suggestionLabels)
+    suggestionElement.dataset.markName = tabMark.markName
+    suggestionElement.onclick = () => {
+      tabMarkPromptElement.select(tabMark.markName)
+    }
+    return suggestionElement
+  })
+  tabMarkPromptElement.setMarks(markElements)
+}
+
+/**
+ * Handles the workspaces to list in the workspace prompt.
+ *
+ * @param {WorkspaceSuggestion[]} workspaces
+ * @param {Object<string, string>} suggestionLabels
+ * @returns {void}
+ */
+function onWorkspaces(workspaces, suggestionLabels) {
+  if (!workspacePromptElement.isOpen) {
+    return
+  }
+  const workspaceElements = workspaces.map((workspace) => {
+    const suggestionElement = createSuggestionElement(workspace, suggestionLabels)
+    suggestionElement.dataset.workspaceName = workspace.workspaceName
+    suggestionElement.onclick = () => {
+      workspacePromptElement.select(workspace.workspaceName)
+    }
+    return suggestionElement
+  })
+  workspacePromptElement.setWorkspaces(workspaceElements)
+}
+
+/**
+ * Handles the preview of a command to confirm,
+ * with the tabs it would close.
+ *
+ * @param {string} commandName
+ * @param {number} count
+ * @param {OpenTabSuggestion[]} tabs
+ * @param {number} tabGroupCount
+ * @param {Object<string, string>} suggestionLabels
+ * @returns {void}
+ */
+function onCommandPreview(commandName, count, tabs, tabGroupCount, suggestionLabels) {
+  const tabElements = tabs.map((tab) =>
+    createSuggestionElement(tab, suggestionLabels)
+  )
+  const summary = tabGroupCount > 0
+    ? chrome.i18n.getMessage('commandPreviewTabsAndGroupsSummary', [String(tabs.length), String(tabGroupCount)])
+    : chrome.i18n.getMessage('commandPreviewTabsSummary', [String(tabs.length)])
+  commandPreviewElement.open(commandName, count, summary, tabElements)
+}
+
+/**
+ * Creates a suggestion element.
+ *
+ * @param {Suggestion} suggestion
+ * @param {Object<string, string>} suggestionLabels
+ * @returns {SuggestionItem}
+ */
+function createSuggestionElement(suggestion, suggestionLabels) {
+  const suggestionElement = document.createElement('suggestion-item')
+  suggestionElement.dataset.label = getSuggestionLabel(suggestion, suggestionLabels)
+  suggestionElement.dataset.title = suggestion.title
+  suggestionElement.dataset.domain = new URL(suggestion.url).hostname
+  setSuggestionDetails(suggestionElement, suggestion)
+  return suggestionElement
+}
+
+/**
+ * Returns the label of a suggestion element.
+ * The label of tab marks includes the mark name;
+ * the label of duplicate tabs tells which copies are kept.
+ *
+ * @param {Suggestion} suggestion
+ * @param {Object<string, string>} suggestionLabels
+ * @returns {string}
+ */
+function getSuggestionLabel(suggestion, suggestionLabels) {
+  if (suggestion.markName) {
+    return `${suggestionLabels[suggestion.type]} ${suggestion.markName}`
+  }
+
+  if (suggestion.duplicateCount) {
+    if (suggestion.duplicateIndex === 0) {
+      return chrome.i18n.getMessage('keptDuplicateTabLabel', [String(suggestion.duplicateCount)])
+    }
+
+    return suggestion.duplicateKept
+      ? chrome.i18n.getMessage('pinnedDuplicateTabLabel', [String(suggestion.duplicateIndex + 1), String(suggestion.duplicateCount)])
+      : chrome.i18n.getMessage('duplicateTabLabel', [String(suggestion.duplicateIndex + 1), String(suggestion.duplicateCount)])
+  }
+
+  return suggestionLabels[suggestion.type]
+}
+
+/**
+ * Sets the details of a suggestion element:
+ * favicon, window number, tab group, badges and time.
+ *
+ * @param {SuggestionItem} suggestionElement
+ * @param {Suggestion} suggestion
+ * @returns {void}
+ */
+function setSuggestionDetails(suggestionElement, suggestion) {
+  if (suggestion.favIconUrl) {
+    suggestionElement.dataset.favicon = suggestion.favIconUrl
+  }
+
+  if (suggestion.windowNumber) {
+    suggestionElement.dataset.window = suggestion.windowNumber
+  }
+
+  if (suggestion.groupColor) {
+    suggestionElement.dataset.group = suggestion.groupTitle
+    suggestionElement.dataset.groupColor = suggestion.groupColor
+  }
+
+  const badges = [
+    suggestion.pinned && 'pinned',
+    suggestion.muted
+      ? 'muted'
+      : suggestion.audible && 'audible',
+    suggestion.discarded && 'discarded',
+  ]
+  suggestionElement.dataset.badges = badges.filter(Boolean).join(' ')
+
+  const suggestionTime = SUGGESTION_TIMES[suggestion.type]
+  if (suggestionTime && suggestion[suggestionTime.property]) {
+    suggestionElement.dataset.time = suggestion[suggestionTime.property]
+    suggestionElement.dataset.timeMessageName = suggestionTime.messageName
+  }
 }
 
 /**
@@ -347,6 +652,10 @@ function onCommand(commandName) {
     port,
     popupWindow: window,
     paletteInputElement,
+    tabSwitcherElement,
+    tabMarkPromptElement,
+    workspacePromptElement,
+    count: menuElement.takeCount(),
   })
 }
 
@@ -10,10 +10,15 @@
 /**
  * @typedef {object} PopupContext
  * @property {RecentTabsManager} recentTabsManager
+ * @property {JumpListManager} jumpListManager
  * @property {SuggestionEngine} suggestionEngine
  * @property {Map<string, string>} suggestionLabels
  * @property {KeyboardMapping[]} commandBindings
  * @property {KeyboardMapping[]} paletteBindings
+ * @property {MatchMode} paletteMatchMode
+ * @property {Object<string, CommandConfirmation>} commandConfirmations
+ * @property {DuplicateTabNormalization} duplicateTabNormalization
+ * @property {boolean} sortTabGroupsAsUnits
  * @property {string} popupStyleSheet
  * @property {string} manualPage
  * @property {string} shortcutsPage
@@ -23,18 +28,47 @@
  */
 
 /**
- * @typedef {CommandMessage | SuggestionMessage | SuggestionSyncRequestMessage | CancelAnimationFrameRequestMessage} Message
+ * @typedef {CommandMessage | SuggestionMessage | BulkActionMessage | SuggestionSyncRequestMessage | RecentTabsRequestMessage | TabMarksRequestMessage | TabMarkMessage | WorkspacesRequestMessage | WorkspaceMessage | CancelAnimationFrameRequestMessage} Message
  *
  * @typedef {object} CommandMessage
  * @property {"command"} type
  * @property {string} commandName
+ * @property {number} count
+ * @property {boolean} [confirmed]
  *
  * @typedef {object} SuggestionMessage
  * @property {"suggestion"} type
  * @property {Suggestion} suggestion
  *
+ * @typedef {object} BulkActionMessage
+ * @property {"bulkAction"} type
+ * @property {BulkAction} bulkAction
+ * @property {Suggestion[]} suggestions
+ *
  * @typedef {object} SuggestionSyncRequestMessage
  * @property {"suggestionSyncRequest"} type
+ * @property {SuggestionType} mode
+ * @property {string} query
+ *
+ * @typedef {object} RecentTabsRequestMessage
+ * @property {"recentTabsRequest"} type
+ * @property {"global" | "window"} scope
+ *
+ * @typedef {object} TabMarksRequestMessage
+ * @property {"tabMarksRequest"} type
+ *
+ * @typedef {object} TabMarkMessage
+ * @property {"tabMark"} type
+ * @property {"set" | "jump"} action
+ * @property {string} name
+ *
+ * @typedef {object} WorkspacesRequestMessage
+ * @property {"workspacesRequest"} type
+ *
+ * @typedef {object} WorkspaceMessage
+ * @property {"workspace"} type
+ * @property {"save" | "update" | "restore" | "switch" | "delete"} action
+ * @property {string} name
  *
  * @typedef {object} CancelAnimationFrameRequestMessage
  * @property {"cancelAnimationFrameRequest"} type
@@ -42,11 +76,35 @@
 
 import * as commands from './service_worker_commands.js'
 
+import {
+  getCommandFrecencies,
+  getRecentCommands,
+  recordCommand,
+} from '../command_history.js'
+
+import {
+  previewCommand,
+  requiresConfirmation,
+} from '../command_previews.js'
+
 import {
   cancelAnimationFrames,
 } from '../injectable_scripts.js'
 
+import {
+  jumpToTabMark,
+  setTabMark,
+} from '../tab_marks.js'
+
+import {
+  deleteWorkspace,
+  restoreWorkspace,
+  saveWorkspace,
+  updateWorkspace,
+} from '../workspaces.js'
+
 const KEEP_ALIVE_INTERVAL = 29000
+const MAX_RECENT_COMMANDS = 10
 
 const { TAB_GROUP_ID_NONE } = chrome.tabGroups
 
@@ -139,6 +197,9 @@ async function onPopupScriptAdded(port, cx) {
       type: 'init',
       commandBindings: cx.commandBindings,
       paletteBindings: cx.paletteBindings,
+      paletteMatchMode: cx.paletteMatchMode,
+      commandFrecencies: await getCommandFrecencies(),
+      recentCommands: await getRecentCommands(MAX_RECENT_COMMANDS),
       popupStyleSheet: cx.popupStyleSheet,
       isEnabled: !isChromeDomain(tabs[0].url)
     })
@@ -166,10 +227,34 @@ async function onMessage(message, port, cx) {
       onSuggestionMessage(message, port, cx)
       break
 
+    case 'bulkAction':
+      onBulkActionMessage(message, port, cx)
+      break
+
     case 'suggestionSyncRequest':
       onSuggestionSyncRequestMessage(message, port, cx)
       break
 
+    case 'recentTabsRequest':
+      onRecentTabsRequestMessage(message, port, cx)
+      break
+
+    case 'tabMarksRequest':
+      onTabMarksRequestMessage(message, port, cx)
+      break
+
+    case 'tabMark':
+      onTabMarkMessage(message, port, cx)
+      break
+
+    case 'workspacesRequest':
+      onWorkspacesRequestMessage(message, port, cx)
+      break
+
+    case 'workspace':
+      onWorkspaceMessage(message, port, cx)
+      break
+
     case 'cancelAnimationFrameRequest':
       onCancelAnimationFrameRequestMessage(message, port, cx)
       break
@@ -276,13 +361,17 @@ async function openNewTab({
 /**
  * Handles a command message.
  *
+ * Commands with a confirmation setting are previewed first;
+ * if the preview must be confirmed, it is sent to the popup instead,
+ * which sends the command again once confirmed.
+ *
  * @param {CommandMessage} message
  * @param {chrome.runtime.Port} port
  * @param {PopupContext} cx
  * @returns {Promise<void>}
  */
 async function onCommandMessage(message, port, cx) {
-  const { commandName } = message
+  const { commandName, count } = message
 
   const tabs = await chrome.tabs.query({
     active: true,
@@ -290,14 +379,43 @@ async function onCommandMessage(message, port, cx) {
   })
 
   if (tabs.length > 0) {
+    if (
+      !message.confirmed &&
+      Object.hasOwn(cx.commandConfirmations, commandName)
+    ) {
+      const preview = await previewCommand(commandName, tabs[0])
+
+      if (
+        preview !== null &&
+        requiresConfirmation(cx.commandConfirmations[commandName], preview)
+      ) {
+        port.postMessage({
+          type: 'commandPreview',
+          commandName,
+          count,
+          tabs: await cx.suggestionEngine.getTabs(preview.tabs),
+          tabGroupCount: preview.groupIds.length,
+          suggestionLabels: Object.fromEntries(
+            cx.suggestionLabels
+          )
+        })
+        return
+      }
+    }
+
+    await recordCommand(commandName)
     await commands[commandName](port, activePorts, {
       tab: tabs[0],
       recentTabsManager: cx.recentTabsManager,
+      jumpListManager: cx.jumpListManager,
       manualPage: cx.manualPage,
       shortcutsPage: cx.shortcutsPage,
       themeStorePage: cx.themeStorePage,
       sponsorshipPage: cx.sponsorshipPage,
       pageCapturePage: cx.pageCapturePage,
+      duplicateTabNormalization: cx.duplicateTabNormalization,
+      sortTabGroupsAsUnits: cx.sortTabGroupsAsUnits,
+      count,
     })
   }
 }
@@ -317,6 +435,10 @@ async function onSuggestionMessage(message, port, cx) {
   })
 
   if (tabs.length > 0) {
+    if (message.suggestion.type === 'openTab') {
+      await cx.jumpListManager.recordJump(tabs[0].id, message.suggestion.tabId)
+    }
+
     cx.suggestionEngine.activate(
       message.suggestion,
       tabs[0]
@@ -324,6 +446,29 @@ async function onSuggestionMessage(message, port, cx) {
   }
 }
 
+/**
+ * Handles a bulk action message.
+ *
+ * @param {BulkActionMessage} message
+ * @param {chrome.runtime.Port} port
+ * @param {PopupContext} cx
+ * @returns {Promise<void>}
+ */
+async function onBulkActionMessage(message, port, cx) {
+  const tabs = await chrome.tabs.query({
+    active: true,
+    lastFocusedWindow: true
+  })
+
+  if (tabs.length > 0) {
+    cx.suggestionEngine.performBulkAction(
+      message.bulkAction,
+      message.suggestions,
+      tabs[0]
+    )
+  }
+}
+
 /**
  * Handles a suggestion syncing request message.
  *
@@ -340,12 +485,15 @@ async function onSuggestionSyncRequestMessage(message, port, cx) {
 
   if (tabs.length > 0) {
     const suggestions = await cx.suggestionEngine.search({
-      mode: 'combined',
-      query: ''
+      mode: message.mode,
+      query: message.query,
+      duplicateTabNormalization: cx.duplicateTabNormalization
     })
 
     port.postMessage({
       type: 'suggestionSync',
+      mode: message.mode,
+      query: message.query,
       suggestions,
       suggestionLabels: Object.fromEntries(
         cx.suggestionLabels
@@ -354,6 +502,154 @@ async function onSuggestionSyncRequestMessage(message, port, cx) {
   }
 }
 
+/**
+ * Handles a recent tabs request message.
+ * Replies with the most recently used tabs—in all windows,
+ * or in the window of the current tab.
+ *
+ * @param {RecentTabsRequestMessage} message
+ * @param {chrome.runtime.Port} port
+ * @param {PopupContext} cx
+ * @returns {Promise<void>}
+ */
+async function onRecentTabsRequestMessage(message, port, cx) {
+  const tabs = await chrome.tabs.query({
+    active: true,
+    lastFocusedWindow: true
+  })
+
+  if (tabs.length > 0) {
+    const recentTabs = await cx.suggestionEngine.getRecentTabs(
+      message.scope === 'window'
+        ? tabs[0].windowId
+        : undefined
+    )
+
+    port.postMessage({
+      type: 'recentTabs',
+      scope: message.scope,
+      tabs: recentTabs,
+      suggestionLabels: Object.fromEntries(
+        cx.suggestionLabels
+      )
+    })
+  }
+}
+
+/**
+ * Handles a tab marks request message.
+ *
+ * @param {TabMarksRequestMessage} message
+ * @param {chrome.runtime.Port} port
+ * @param {PopupContext} cx
+ * @returns {Promise<void>}
+ */
+async function onTabMarksRequestMessage(message, port, cx) {
+  const tabMarks = await cx.suggestionEngine.search({
+    mode: 'tabMark',
+    query: ''
+  })
+
+  port.postMessage({
+    type: 'tabMarks',
+    tabMarks,
+    suggestionLabels: Object.fromEntries(
+      cx.suggestionLabels
+    )
+  })
+}
+
+/**
+ * Handles a tab mark message.
+ * Assigns the mark to the current tab, or jumps to the marked tab.
+ *
+ * @param {TabMarkMessage} message
+ * @param {chrome.runtime.Port} port
+ * @param {PopupContext} cx
+ * @returns {Promise<void>}
+ */
+async function onTabMarkMessage(message, port, cx) {
+  const tabs = await chrome.tabs.query({
+    active: true,
+    lastFocusedWindow: true
+  })
+
+  if (tabs.length === 0) {
+    return
+  }
+
+  switch (message.action) {
+    case 'set':
+      await setTabMark(message.name, tabs[0])
+      break
+
+    case 'jump': {
+      const markedTab = await jumpToTabMark(message.name)
+      if (markedTab) {
+        await cx.jumpListManager.recordJump(tabs[0].id, markedTab.id)
+      }
+      break
+    }
+  }
+}
+
+/**
+ * Handles a workspaces request message.
+ *
+ * @param {WorkspacesRequestMessage} message
+ * @param {chrome.runtime.Port} port
+ * @param {PopupContext} cx
+ * @returns {Promise<void>}
+ */
+async function onWorkspacesRequestMessage(message, port, cx) {
+  const workspaces = await cx.suggestionEngine.search({
+    mode: 'workspace',
+    query: ''
+  })
+
+  port.postMessage({
+    type: 'workspaces',
+    workspaces,
+    suggestionLabels: Object.fromEntries(
+      cx.suggestionLabels
+    )
+  })
+}
+
+/**
+ * Handles a workspace message.
+ * Saves the open windows as a workspace, updates, restores or deletes a workspace.
+ * Switching to a workspace restores it, replacing the open windows.
+ *
+ * @param {WorkspaceMessage} message
+ * @param {chrome.runtime.Port} port
+ * @param {PopupContext} cx
+ * @returns {Promise<void>}
+ */
+async function onWorkspaceMessage(message, port, cx) {
+  switch (message.action) {
+    case 'save':
+      await saveWorkspace(message.name)
+      break
+
+    case 'update':
+      await updateWorkspace(message.name)
+      break
+
+    case 'restore':
+      await restoreWorkspace(message.name, 'merge')
+      break
+
+    case 'switch':
+      await restoreWorkspace(message.name, 'replace')
+      break
+
+    case 'delete':
+      await deleteWorkspace(message.name)
+      break
+  }
+}
+
 /**
  * Handles a cancel animation frame request message.
  *
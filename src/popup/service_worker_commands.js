@@ -175,7 +175,7 @@ export async function scrollDown(port, activePorts, cx) {
     func: scrollBy,
     args: [{
       deltaX: 0,
-      deltaY: 70,
+      deltaY: 70 * cx.count,
       frameCalibration: CONTINUOUS_SCROLL_FRAME_CALIBRATION,
       cancelable: true,
     }]
@@ -198,7 +198,7 @@ export async function scrollUp(port, activePorts, cx) {
     func: scrollBy,
     args: [{
       deltaX: 0,
-      deltaY: -70,
+      deltaY: -70 * cx.count,
       frameCalibration: CONTINUOUS_SCROLL_FRAME_CALIBRATION,
       cancelable: true,
     }]
@@ -220,7 +220,7 @@ export async function scrollLeft(port, activePorts, cx) {
     },
     func: scrollBy,
     args: [{
-      deltaX: -70,
+      deltaX: -70 * cx.count,
       deltaY: 0,
       frameCalibration: CONTINUOUS_SCROLL_FRAME_CALIBRATION,
       cancelable: true,
@@ -243,7 +243,7 @@ export async function scrollRight(port, activePorts, cx) {
     },
     func: scrollBy,
     args: [{
-      deltaX: 70,
+      deltaX: 70 * cx.count,
       deltaY: 0,
       frameCalibration: CONTINUOUS_SCROLL_FRAME_CALIBRATION,
       cancelable: true,
@@ -284,6 +284,7 @@ export const closeTab = execCommand('closeTab')
 export const closeOtherTabs = execCommand('closeOtherTabs')
 export const closeRightTabs = execCommand('closeRightTabs')
 export const closeWindow = execCommand('closeWindow')
+export const closeDuplicateTabs = execCommand('closeDuplicateTabs')
 export const restoreTab = execCommand('restoreTab')
 
 // Close all inactive tabs -----------------------------------------------------
@@ -308,8 +309,14 @@ export const discardTab = execCommandAndClosePopup('discardTab')
 export const sortTabsByName = execCommand('sortTabsByName')
 export const sortTabsByURL = execCommand('sortTabsByURL')
 export const sortTabsByRecency = execCommand('sortTabsByRecency')
+export const sortTabsByHostname = execCommand('sortTabsByHostname')
+export const sortTabsByOpener = execCommand('sortTabsByOpener')
+export const sortTabsByState = execCommand('sortTabsByState')
 export const reverseTabOrder = execCommand('reverseTabOrder')
 export const groupTabsByDomain = execCommand('groupTabsByDomain')
+export const groupTabsByRegistrableDomain = execCommand('groupTabsByRegistrableDomain')
+export const groupTabsByOpener = execCommand('groupTabsByOpener')
+export const groupTabsByPathSegment = execCommand('groupTabsByPathSegment')
 
 // Manage tab groups -----------------------------------------------------------
 
@@ -318,6 +325,11 @@ export const renameTabGroup = execCommandAndClosePopup('renameTabGroup')
 export const cycleTabGroupColorForward = execCommand('cycleTabGroupColorForward')
 export const cycleTabGroupColorBackward = execCommand('cycleTabGroupColorBackward')
 
+// Split view ------------------------------------------------------------------
+
+export const focusOtherSplitViewPane = execCommand('focusOtherSplitViewPane')
+export const swapSplitViewPanes = execCommand('swapSplitViewPanes')
+
 // Switch tabs -----------------------------------------------------------------
 
 export const activateAudibleTab = execCommand('activateAudibleTab')
@@ -343,6 +355,8 @@ export const activateEighthLastActiveTab = execCommand('activateEighthLastActive
 export const activateNinthLastActiveTab = execCommand('activateNinthLastActiveTab')
 export const activateNextWindow = execCommand('activateNextWindow')
 export const activatePreviousWindow = execCommand('activatePreviousWindow')
+export const jumpBack = execCommand('jumpBack')
+export const jumpForward = execCommand('jumpForward')
 
 // Move tabs -------------------------------------------------------------------
 
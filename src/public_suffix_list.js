@@ -0,0 +1,143 @@
+// This module contains the code to find the registrable domain of a hostname—
+// e.g., “github.com” for “docs.github.com”, or “bbc.co.uk” for “www.bbc.co.uk”.
+//
+// The registrable domain is the public suffix plus one label.
+// Public suffixes are read from the Public Suffix List, bundled with the extension
+// (see the Makefile), and loaded once on first use.
+//
+// Public Suffix List: https://publicsuffix.org
+// Formal algorithm: https://github.com/publicsuffix/list/wiki/Format#formal-algorithm
+
+/**
+ * @typedef {object} PublicSuffixList
+ * @property {Set<string>} rules
+ * @property {Set<string>} wildcardRules The rules without their leading “*.”.
+ * @property {Set<string>} exceptionRules The rules without their leading “!”.
+ */
+
+const PUBLIC_SUFFIX_LIST_PATH = 'assets/public_suffix_list.dat'
+
+/**
+ * @type {?Promise<PublicSuffixList>}
+ */
+let publicSuffixListPromise = null
+
+/**
+ * Returns the bundled Public Suffix List, loading it on first use.
+ * An empty list is returned if it cannot be loaded,
+ * in which case the registrable domain of a hostname is its last two labels.
+ *
+ * @returns {Promise<PublicSuffixList>}
+ */
+export async function getPublicSuffixList() {
+  publicSuffixListPromise ??= fetch(chrome.runtime.getURL(PUBLIC_SUFFIX_LIST_PATH))
+    .then((response) => response.text())
+    .then(parsePublicSuffixList)
+    .catch((error) => {
+      console.error(error)
+      return parsePublicSuffixList('')
+    })
+
+  return publicSuffixListPromise
+}
+
+/**
+ * Parses the text of the Public Suffix List.
+ *
+ * Rules are converted to their ASCII form, as the hostnames of URLs are.
+ *
+ * @param {string} text
+ * @returns {PublicSuffixList}
+ */
+export function parsePublicSuffixList(text) {
+  const publicSuffixList = {
+    rules: new Set,
+    wildcardRules: new Set,
+    exceptionRules: new Set,
+  }
+
+  for (const line of text.split('\n')) {
+    const [rule] = line.trim().split(/\s/)
+
+    if (rule === '' || rule.startsWith('//')) {
+      continue
+    }
+
+    if (rule.startsWith('!')) {
+      publicSuffixList.exceptionRules.add(toASCII(rule.slice(1)))
+    } else if (rule.startsWith('*.')) {
+      publicSuffixList.wildcardRules.add(toASCII(rule.slice(2)))
+    } else {
+      publicSuffixList.rules.add(toASCII(rule))
+    }
+  }
+
+  return publicSuffixList
+}
+
+/**
+ * Returns the registrable domain of a hostname,
+ * or the hostname itself if it is a public suffix or an IP address.
+ *
+ * @param {string} hostname
+ * @param {PublicSuffixList} publicSuffixList
+ * @returns {string}
+ */
+export function getRegistrableDomain(hostname, publicSuffixList) {
+  if (isIPAddress(hostname)) {
+    return hostname
+  }
+
+  const labels = hostname.split('.')
+
+  // The prevailing rule is the one with the most labels,
+  // so suffixes are tried from the longest to the shortest.
+  // When no rule matches, the implicit “*” rule applies.
+  let publicSuffixLength = 1
+
+  for (let index = 0; index < labels.length; index++) {
+    const suffix = labels.slice(index).join('.')
+    const parentSuffix = labels.slice(index + 1).join('.')
+
+    if (publicSuffixList.exceptionRules.has(suffix)) {
+      publicSuffixLength = labels.length - index - 1
+      break
+    }
+
+    if (
+      publicSuffixList.rules.has(suffix) ||
+      publicSuffixList.wildcardRules.has(parentSuffix)
+    ) {
+      publicSuffixLength = labels.length - index
+      break
+    }
+  }
+
+  if (publicSuffixLength >= labels.length) {
+    return hostname
+  }
+
+  return labels.slice(-publicSuffixLength - 1).join('.')
+}
+
+/**
+ * Converts a domain name to its ASCII form, e.g., “xn--p1ai” for “рф”.
+ *
+ * @param {string} domain
+ * @returns {string}
+ */
+function toASCII(domain) {
+  return URL.canParse(`http://${domain}`)
+    ? new URL(`http://${domain}`).hostname
+    : domain
+}
+
+/**
+ * Determines whether a hostname is an IP address.
+ *
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isIPAddress(hostname) {
+  return hostname.startsWith('[') || /^[\d.]+$/.test(hostname)
+}
@@ -1,11 +1,25 @@
 import MRU from './lib/mru.js'
 
+/**
+ * @typedef {object} TabIdentity
+ * @property {string} url
+ * @property {number} windowIndex
+ */
+
 const { WINDOW_ID_NONE } = chrome.windows
 
+// Delay before persisting the list, once tab switches pause.
+const PERSISTENT_STATE_SAVE_DELAY = 2000
+
 /**
  * This class provides the functionality to manage a cache of the most recently used tabs.
  * It keeps track of and maintains a list of recently used tabs within the extension.
  *
+ * Tab IDs do not persist across browser sessions, so the list is also persisted
+ * with a stable identity for each tab—its URL and the position of its window—
+ * to be re-associated with the restored tabs on startup.
+ * Tabs of incognito windows are never persisted.
+ *
  * Cache replacement policies: https://en.wikipedia.org/wiki/Cache_replacement_policies
  */
 class RecentTabsManager {
@@ -19,6 +33,13 @@ class RecentTabsManager {
      * @type {MRU}
      */
     this.cache = new MRU
+
+    /**
+     * The ID of the pending persistent save, if any.
+     *
+     * @type {number | undefined}
+     */
+    this.persistentSaveTimeoutId = undefined
   }
 
   /**
@@ -63,16 +84,93 @@ class RecentTabsManager {
   }
 
   /**
-   * Saves state into the session storage area.
+   * Retrieves the list of tabs in the specified window,
+   * in the order of most recently used.
+   *
+   * The per-window list is derived from the global one,
+   * so that both stay in sync.
+   *
+   * @param {number} windowId
+   * @returns {Promise<number[]>}
+   */
+  async getRecentTabsInWindow(windowId) {
+    const tabs = await chrome.tabs.query({
+      windowId
+    })
+
+    const tabIds = new Set(
+      tabs.map((tab) => tab.id)
+    )
+
+    return this.getRecentTabs().filter((tabId) =>
+      tabIds.has(tabId)
+    )
+  }
+
+  /**
+   * Saves state into the session storage area,
+   * and into the local storage area once tab switches pause.
    *
    * @returns {Promise<void>}
    */
   async saveState() {
+    this.schedulePersistentSave()
+    await this.saveSessionState()
+  }
+
+  /**
+   * Schedules a save into the local storage area,
+   * replacing the pending one, if any.
+   *
+   * @returns {void}
+   */
+  schedulePersistentSave() {
+    this.cancelPersistentSave()
+    this.persistentSaveTimeoutId = setTimeout(() => {
+      this.persistentSaveTimeoutId = undefined
+      this.savePersistentState().catch((error) => {
+        console.error(error)
+      })
+    }, PERSISTENT_STATE_SAVE_DELAY)
+  }
+
+  /**
+   * Cancels the pending save into the local storage area, if any.
+   *
+   * @returns {void}
+   */
+  cancelPersistentSave() {
+    clearTimeout(this.persistentSaveTimeoutId)
+    this.persistentSaveTimeoutId = undefined
+  }
+
+  /**
+   * Saves state into the session storage area.
+   *
+   * @returns {Promise<void>}
+   */
+  async saveSessionState() {
     await chrome.storage.session.set({
       recentTabs: this.getRecentTabs()
     })
   }
 
+  /**
+   * Saves state into the local storage area,
+   * with the identity of each tab instead of its ID.
+   *
+   * @returns {Promise<void>}
+   */
+  async savePersistentState() {
+    const tabIdentities = await getTabIdentities()
+
+    await chrome.storage.local.set({
+      recentTabIdentities: this.getRecentTabs()
+        .filter((tabId) => tabIdentities.has(tabId))
+        .map((tabId) => tabIdentities.get(tabId))
+    })
+  }
+
   /**
    * Restores state from the session storage area.
    *
@@ -88,6 +186,37 @@ class RecentTabsManager {
     }
   }
 
+  /**
+   * Restores state from the local storage area,
+   * by re-associating tab identities with the open tabs.
+   * Tabs with the same identity are matched in order.
+   *
+   * @returns {Promise<void>}
+   */
+  async restorePersistentState() {
+    const [localStorage, tabIdentities] = await Promise.all([
+      chrome.storage.local.get({
+        recentTabIdentities: []
+      }),
+      getTabIdentities(),
+    ])
+
+    const tabIdsByIdentity = Map.groupBy(tabIdentities.keys(), (tabId) =>
+      getIdentityKey(tabIdentities.get(tabId))
+    )
+
+    const recentTabs = localStorage.recentTabIdentities.flatMap((tabIdentity) => {
+      const tabIds = tabIdsByIdentity.get(getIdentityKey(tabIdentity)) ?? []
+      return tabIds.length > 0
+        ? [tabIds.shift()]
+        : []
+    })
+
+    for (const tabId of recentTabs.toReversed()) {
+      this.setMostRecentTab(tabId)
+    }
+  }
+
   /**
    * Populates the cache from currently open tabs.
    *
@@ -129,6 +258,8 @@ class RecentTabsManager {
    */
   async onStartup() {
     await this.populateCacheFromOpenTabs()
+    await this.restorePersistentState()
+    await this.saveSessionState()
   }
 
   /**
@@ -156,7 +287,15 @@ class RecentTabsManager {
    */
   async onTabRemoved(tabId, removeInfo) {
     this.removeTabFromCache(tabId)
-    await this.saveState()
+
+    // Keep the persisted state when windows are closing,
+    // which includes quitting the browser.
+    if (removeInfo.isWindowClosing) {
+      this.cancelPersistentSave()
+      await this.saveSessionState()
+    } else {
+      await this.saveState()
+    }
   }
 
   /**
@@ -204,4 +343,40 @@ class RecentTabsManager {
   }
 }
 
+/**
+ * Returns the identity of each open tab: its URL and the position of its window.
+ * Incognito windows are skipped, and not counted in window positions,
+ * so that their URLs are never written to disk.
+ *
+ * @returns {Promise<Map<number, TabIdentity>>}
+ */
+async function getTabIdentities() {
+  const windows = await chrome.windows.getAll({
+    populate: true
+  })
+
+  const tabIdentities = new Map
+
+  windows.filter((window) => !window.incognito).forEach((window, windowIndex) => {
+    for (const tab of window.tabs) {
+      tabIdentities.set(tab.id, {
+        url: tab.url,
+        windowIndex
+      })
+    }
+  })
+
+  return tabIdentities
+}
+
+/**
+ * Returns a key to compare tab identities.
+ *
+ * @param {TabIdentity} tabIdentity
+ * @returns {string}
+ */
+function getIdentityKey({ url, windowIndex }) {
+  return `${windowIndex} ${url}`
+}
+
 export default RecentTabsManager
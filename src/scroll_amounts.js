@@ -0,0 +1,15 @@
+// This module contains the scroll amounts shared by the scroll commands
+// and their page-binding mirrors in the content script.
+//
+// The content script is not a module, so the service worker sends these values
+// along with page bindings.
+
+// Distance in pixels scrolled by a line.
+export const SCROLL_LINE_DELTA = 70
+
+// Fractions of the viewport scrolled by a page and a half page.
+export const SCROLL_PAGE_FACTOR = 0.9
+export const SCROLL_HALF_PAGE_FACTOR = 0.5
+
+export const SHORT_THROW_FRAME_CALIBRATION = [0.2, 0.2, 0.2, 0.2, 0.2]
+export const LONG_THROW_FRAME_CALIBRATION = [0.001, 0.002, 0.003, 0.004, 0.99]
@@ -1,18 +1,32 @@
 // This module contains the suggestion engine.
 
 import {
+  createOpenTabSuggestions,
   getOpenTabSuggestions,
+  getDuplicateTabSuggestions,
   getRecentlyClosedTabSuggestions,
   getSyncedTabSuggestions,
+  getTabMarkSuggestions,
+  getWorkspaceSuggestions,
   getBookmarkSuggestions,
   getReadingListSuggestions,
   getRecentlyVisitedPageSuggestions,
   getDownloadSuggestions,
   getInstalledExtensionSuggestions,
+  getSearchTerms,
+  scoreSuggestion,
 } from './suggestion_providers.js'
 
+import {
+  jumpToTabMark,
+} from '../tab_marks.js'
+
+import {
+  restoreWorkspace,
+} from '../workspaces.js'
+
 /**
- * @typedef {OpenTabSuggestion | ClosedTabSuggestion | BookmarkSuggestion | ReadingListSuggestion | HistorySuggestion | DownloadSuggestion | ExtensionSuggestion} Suggestion
+ * @typedef {OpenTabSuggestion | ClosedTabSuggestion | TabMarkSuggestion | WorkspaceSuggestion | BookmarkSuggestion | ReadingListSuggestion | HistorySuggestion | DownloadSuggestion | ExtensionSuggestion} Suggestion
  */
 
 const { TAB_GROUP_ID_NONE } = chrome.tabGroups
@@ -20,8 +34,11 @@ const { TAB_GROUP_ID_NONE } = chrome.tabGroups
 // Enum representing a suggestion type.
 export const SuggestionType = {
   OpenTab: 'openTab',
+  DuplicateTab: 'duplicateTab',
   ClosedTab: 'closedTab',
   SyncedTab: 'syncedTab',
+  TabMark: 'tabMark',
+  Workspace: 'workspace',
   Bookmark: 'bookmark',
   ReadingList: 'readingList',
   History: 'history',
@@ -30,6 +47,47 @@ export const SuggestionType = {
   Combined: 'combined',
 }
 
+// Enum representing an action on several suggestions.
+export const BulkAction = {
+  CloseTabs: 'closeTabs',
+  MoveTabsToNewWindow: 'moveTabsToNewWindow',
+  GroupTabs: 'groupTabs',
+  BookmarkTabs: 'bookmarkTabs',
+  OpenAll: 'openAll',
+  RestoreAll: 'restoreAll',
+}
+
+// Suggestion types that can be opened in new tabs.
+const OPENABLE_SUGGESTION_TYPES = new Set([
+  SuggestionType.Bookmark,
+  SuggestionType.ReadingList,
+  SuggestionType.History,
+  SuggestionType.Extension,
+])
+
+// Suggestion types that can be restored from a session.
+const RESTORABLE_SUGGESTION_TYPES = new Set([
+  SuggestionType.ClosedTab,
+  SuggestionType.SyncedTab,
+])
+
+// Suggestion types included in combined results, by priority.
+// When suggestions have the same URL, only the one with the highest priority is kept.
+// Workspaces are left out, as restoring one opens windows.
+const COMBINED_SUGGESTION_TYPES = [
+  SuggestionType.OpenTab,
+  SuggestionType.ClosedTab,
+  SuggestionType.SyncedTab,
+  SuggestionType.TabMark,
+  SuggestionType.Bookmark,
+  SuggestionType.ReadingList,
+  SuggestionType.History,
+  SuggestionType.Download,
+  SuggestionType.Extension,
+]
+
+const MAX_SUGGESTIONS_PER_TYPE = 10
+
 /**
  * This class provides the functionality to search and activate suggestions.
  */
@@ -39,9 +97,11 @@ class SuggestionEngine {
    *
    * @param {object} options
    * @param {RecentTabsManager} options.recentTabsManager
+   * @param {Map<SuggestionType, string>} options.suggestionLabels
    */
   constructor({
-    recentTabsManager
+    recentTabsManager,
+    suggestionLabels
   }) {
     /**
      * A recent tabs manager instance.
@@ -49,31 +109,48 @@ class SuggestionEngine {
      * @type {RecentTabsManager}
      */
     this.recentTabsManager = recentTabsManager
+
+    /**
+     * Labels of suggestion types, used as keywords in combined searches.
+     *
+     * @type {Map<SuggestionType, string>}
+     */
+    this.suggestionLabels = suggestionLabels
   }
 
   /**
    * Searches for suggestions matching the given search text.
    * Specify an empty search text (`""`) to retrieve all suggestions.
    *
-   * NOTE: Search text is ignored for some suggestion types.
+   * Duplicate tabs are found with the given URL normalization.
    *
-   * @param {{ mode: SuggestionType, query: string }} queryInfo
+   * @param {{ mode: SuggestionType, query: string, duplicateTabNormalization?: DuplicateTabNormalization }} queryInfo
    * @returns {Promise<Suggestion[]>}
    */
   async search({
     mode: suggestionType,
-    query: searchText
+    query: searchText,
+    duplicateTabNormalization
   }) {
     switch (suggestionType) {
       case SuggestionType.OpenTab:
         return getOpenTabSuggestions(searchText, this.recentTabsManager)
 
+      case SuggestionType.DuplicateTab:
+        return getDuplicateTabSuggestions(searchText, this.recentTabsManager, duplicateTabNormalization)
+
       case SuggestionType.ClosedTab:
         return getRecentlyClosedTabSuggestions(searchText)
 
       case SuggestionType.SyncedTab:
         return getSyncedTabSuggestions(searchText)
 
+      case SuggestionType.TabMark:
+        return getTabMarkSuggestions(searchText)
+
+      case SuggestionType.Workspace:
+        return getWorkspaceSuggestions(searchText)
+
       case SuggestionType.Bookmark:
         return getBookmarkSuggestions(searchText)
 
@@ -89,19 +166,8 @@ class SuggestionEngine {
       case SuggestionType.Extension:
         return getInstalledExtensionSuggestions(searchText)
 
-      case SuggestionType.Combined: {
-        const suggestionResults = await Promise.all([
-          getOpenTabSuggestions(searchText, this.recentTabsManager),
-          getRecentlyClosedTabSuggestions(searchText),
-          getSyncedTabSuggestions(searchText),
-          getBookmarkSuggestions(searchText),
-          getReadingListSuggestions(searchText),
-          getRecentlyVisitedPageSuggestions(searchText),
-          getDownloadSuggestions(searchText),
-          getInstalledExtensionSuggestions(searchText),
-        ])
-        return suggestionResults.flat()
-      }
+      case SuggestionType.Combined:
+        return this.searchCombined(searchText)
 
       default:
         throw new TypeError(
@@ -110,6 +176,86 @@ class SuggestionEngine {
     }
   }
 
+  /**
+   * Searches for suggestions of all types, as a single ranked list.
+   *
+   * Search terms matching the label of a suggestion type are used as keywords
+   * to select that type—e.g. “shortcuts tab” searches open tabs for “shortcuts”.
+   * Suggestions are deduplicated by URL, capped per type
+   * and ranked by score, then by type priority.
+   *
+   * @param {string} searchText
+   * @returns {Promise<Suggestion[]>}
+   */
+  async searchCombined(searchText) {
+    const searchTerms = getSearchTerms(searchText)
+
+    const suggestionResults = await Promise.all(
+      COMBINED_SUGGESTION_TYPES.map(async (suggestionType) => {
+        const keywords = getSearchTerms(
+          this.suggestionLabels.get(suggestionType)
+        )
+        const typeSearchTerms = searchTerms.filter((searchTerm) =>
+          !keywords.includes(searchTerm)
+        )
+        const suggestions = await this.search({
+          mode: suggestionType,
+          query: typeSearchTerms.join(' ')
+        })
+        return {
+          searchTerms: typeSearchTerms,
+          suggestions
+        }
+      })
+    )
+
+    const seenURLs = new Set
+
+    return suggestionResults
+      .flatMap(({ searchTerms, suggestions }) => {
+        const uniqueSuggestions = suggestions
+          .filter((suggestion) => !seenURLs.has(suggestion.url))
+          .slice(0, MAX_SUGGESTIONS_PER_TYPE)
+
+        for (const suggestion of uniqueSuggestions) {
+          seenURLs.add(suggestion.url)
+        }
+
+        return uniqueSuggestions.map((suggestion) => ({
+          suggestion,
+          score: scoreSuggestion(suggestion, searchTerms) ?? 0
+        }))
+      })
+      .sort((rankedSuggestion, otherRankedSuggestion) =>
+        otherRankedSuggestion.score - rankedSuggestion.score
+      )
+      .map(({ suggestion }) => suggestion)
+  }
+
+  /**
+   * Retrieves open tab suggestions, in the order of most recently used,
+   * to cycle through them. The current tab is not included.
+   *
+   * Specify a window ID to only retrieve tabs in that window.
+   *
+   * @param {number} [windowId]
+   * @returns {Promise<OpenTabSuggestion[]>}
+   */
+  async getRecentTabs(windowId) {
+    return getOpenTabSuggestions('', this.recentTabsManager, windowId)
+  }
+
+  /**
+   * Retrieves open tab suggestions for the given tabs, in the same order—
+   * e.g., to list the tabs a command would close.
+   *
+   * @param {chrome.tabs.Tab[]} tabs
+   * @returns {Promise<OpenTabSuggestion[]>}
+   */
+  async getTabs(tabs) {
+    return createOpenTabSuggestions(tabs)
+  }
+
   /**
    * Activates a given suggestion.
    *
@@ -136,6 +282,14 @@ class SuggestionEngine {
         await chrome.sessions.restore(suggestion.sessionId)
         break
 
+      case SuggestionType.TabMark:
+        await jumpToTabMark(suggestion.markName)
+        break
+
+      case SuggestionType.Workspace:
+        await restoreWorkspace(suggestion.workspaceName, 'merge')
+        break
+
       case SuggestionType.Bookmark:
         await openNewTab({
           active: true,
@@ -191,6 +345,128 @@ class SuggestionEngine {
         )
     }
   }
+
+  /**
+   * Performs an action on several suggestions.
+   * Suggestions of other types than the action applies to are ignored.
+   *
+   * - Tab actions apply to open tabs.
+   * - Opening all applies to bookmarks, reading list, history and extensions.
+   * - Restoring all applies to recently closed and synced tabs.
+   *
+   * Resulting tabs are highlighted.
+   *
+   * @param {BulkAction} bulkAction
+   * @param {Suggestion[]} suggestions
+   * @param {chrome.tabs.Tab} tab
+   * @returns {Promise<void>}
+   */
+  async performBulkAction(bulkAction, suggestions, tab) {
+    const tabIds = suggestions
+      .filter((suggestion) => suggestion.type === SuggestionType.OpenTab)
+      .map((suggestion) => suggestion.tabId)
+
+    const openableSuggestions = suggestions.filter((suggestion) =>
+      OPENABLE_SUGGESTION_TYPES.has(suggestion.type)
+    )
+
+    const restorableSuggestions = suggestions.filter((suggestion) =>
+      RESTORABLE_SUGGESTION_TYPES.has(suggestion.type)
+    )
+
+    switch (bulkAction) {
+      case BulkAction.CloseTabs:
+        if (tabIds.length > 0) {
+          await chrome.tabs.remove(tabIds)
+        }
+        break
+
+      case BulkAction.MoveTabsToNewWindow: {
+        if (tabIds.length === 0) {
+          break
+        }
+        const [firstTabId, ...otherTabIds] = tabIds
+        const createdWindow = await chrome.windows.create({
+          tabId: firstTabId
+        })
+        if (otherTabIds.length > 0) {
+          await chrome.tabs.move(otherTabIds, {
+            windowId: createdWindow.id,
+            index: -1
+          })
+        }
+        await highlightTabs(createdWindow.id, tabIds)
+        break
+      }
+
+      case BulkAction.GroupTabs:
+        if (tabIds.length > 0) {
+          await chrome.tabs.group({
+            tabIds,
+            createProperties: {
+              windowId: tab.windowId
+            }
+          })
+          await highlightTabs(tab.windowId, tabIds)
+        }
+        break
+
+      case BulkAction.BookmarkTabs: {
+        const bookmarks = await chrome.bookmarks.search({})
+        const bookmarkedURLs = new Set(
+          bookmarks.map((bookmark) => bookmark.url)
+        )
+        const tabSuggestionsByURL = Map.groupBy(
+          suggestions.filter((suggestion) => suggestion.type === SuggestionType.OpenTab),
+          (suggestion) => suggestion.url
+        )
+        await Promise.all(
+          Array.from(tabSuggestionsByURL)
+            .filter(([url]) => !bookmarkedURLs.has(url))
+            .map(([url, tabSuggestions]) =>
+              chrome.bookmarks.create({
+                title: tabSuggestions[0].title,
+                url
+              })
+            )
+        )
+        break
+      }
+
+      case BulkAction.OpenAll: {
+        // Open in reverse order, as each tab is opened to the right of the current tab.
+        const createdTabs = []
+        for (const suggestion of openableSuggestions.toReversed()) {
+          createdTabs.push(
+            await openNewTab({
+              active: false,
+              url: suggestion.url,
+              openerTabId: tab.id,
+            })
+          )
+        }
+        await highlightTabs(tab.windowId, createdTabs.map((createdTab) => createdTab.id))
+        break
+      }
+
+      case BulkAction.RestoreAll: {
+        const restoredTabIds = []
+        for (const suggestion of restorableSuggestions) {
+          const session = await chrome.sessions.restore(suggestion.sessionId)
+          if (session.tab) {
+            restoredTabIds.push(session.tab.id)
+          }
+        }
+        await highlightTabs(tab.windowId, restoredTabIds)
+        break
+      }
+
+      default:
+        throw new TypeError(
+          `Invalid bulk action: "${bulkAction}"`
+        )
+    }
+  }
 }
 
 /**
@@ -200,7 +476,7 @@ class SuggestionEngine {
  * @param {boolean} createProperties.active
  * @param {string} createProperties.url
  * @param {number} createProperties.openerTabId
- * @returns {Promise<void>}
+ * @returns {Promise<chrome.tabs.Tab>}
  */
 async function openNewTab({
   active,
@@ -224,6 +500,41 @@ async function openNewTab({
       ]
     })
   }
+
+  return createdTab
+}
+
+/**
+ * Highlights the given tabs in a window.
+ * The active tab of the window stays active.
+ *
+ * @param {number} windowId
+ * @param {number[]} tabIds
+ * @returns {Promise<void>}
+ */
+async function highlightTabs(windowId, tabIds) {
+  const tabs = await chrome.tabs.query({
+    windowId
+  })
+
+  const activeTab = tabs.find((tab) => tab.active)
+
+  const highlightInfo = new Map
+
+  highlightInfo.set(activeTab.id, activeTab.index)
+
+  for (const tab of tabs) {
+    if (tabIds.includes(tab.id)) {
+      highlightInfo.set(tab.id, tab.index)
+    }
+  }
+
+  await chrome.tabs.highlight({
+    windowId,
+    tabs: Array.from(
+      highlightInfo.values()
+    )
+  })
 }
 
 export default SuggestionEngine
@@ -1,4 +1,106 @@
 // This module contains suggestion providers.
+//
+// Providers filter their suggestions with the search text:
+// each search term must be found in the title, URL or hostname of a suggestion.
+
+import {
+  getTabMarks,
+  isGlobalMarkName,
+} from '../tab_marks.js'
+
+import {
+  getWorkspaces,
+} from '../workspaces.js'
+
+import {
+  findDuplicateTabs,
+} from '../duplicate_tabs.js'
+
+// Search text -----------------------------------------------------------------
+
+// Scores of a search term, by where it is found.
+const TITLE_WORD_SCORE = 4
+const HOSTNAME_SCORE = 3
+const TITLE_SCORE = 2
+const URL_SCORE = 1
+
+/**
+ * Splits search text into lowercase search terms.
+ *
+ * @param {string} searchText
+ * @returns {string[]}
+ */
+export function getSearchTerms(searchText) {
+  return searchText
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+}
+
+/**
+ * Scores a suggestion against search terms.
+ * Returns null if a search term is not found in its title, URL or hostname.
+ *
+ * Terms found at the start of a title word score the highest,
+ * then terms found in the hostname, in the title and in the rest of the URL.
+ *
+ * @param {Suggestion} suggestion
+ * @param {string[]} searchTerms
+ * @returns {?number}
+ */
+export function scoreSuggestion({ title = '', url = '' }, searchTerms) {
+  const lowerCaseTitle = title.toLowerCase()
+  const lowerCaseURL = url.toLowerCase()
+  const hostname = getHostname(lowerCaseURL)
+  const titleWords = lowerCaseTitle.split(/[^\p{L}\p{N}]+/u)
+
+  let score = 0
+
+  for (const searchTerm of searchTerms) {
+    if (titleWords.some((word) => word.startsWith(searchTerm))) {
+      score += TITLE_WORD_SCORE
+    } else if (hostname.includes(searchTerm)) {
+      score += HOSTNAME_SCORE
+    } else if (lowerCaseTitle.includes(searchTerm)) {
+      score += TITLE_SCORE
+    } else if (lowerCaseURL.includes(searchTerm)) {
+      score += URL_SCORE
+    } else {
+      return null
+    }
+  }
+
+  return score
+}
+
+/**
+ * Filters suggestions matching the given search text.
+ *
+ * @template {Suggestion} T
+ * @param {T[]} suggestions
+ * @param {string} searchText
+ * @returns {T[]}
+ */
+function filterSuggestions(suggestions, searchText) {
+  const searchTerms = getSearchTerms(searchText)
+  return suggestions.filter((suggestion) =>
+    scoreSuggestion(suggestion, searchTerms) !== null
+  )
+}
+
+/**
+ * Returns the hostname of a URL, or an empty string if it is invalid.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname
+  } catch {
+    return ''
+  }
+}
 
 // Open tab suggestions --------------------------------------------------------
 
@@ -9,20 +111,40 @@
  * @property {number} windowId
  * @property {string} title
  * @property {string} url
+ * @property {string} [favIconUrl]
+ * @property {number} [windowNumber]
+ * @property {string} [groupTitle]
+ * @property {chrome.tabGroups.ColorEnum} [groupColor]
+ * @property {boolean} pinned
+ * @property {boolean} audible
+ * @property {boolean} muted
+ * @property {boolean} discarded
+ * @property {number} [lastAccessed]
  */
 
 /**
  * Creates a new open tab suggestion.
  *
  * @param {chrome.tabs.Tab} tab
+ * @param {Map<number, number>} windowNumbers
+ * @param {Map<number, chrome.tabGroups.TabGroup>} tabGroups
  * @returns {OpenTabSuggestion}
  */
-const newOpenTabSuggestion = tab => ({
+const newOpenTabSuggestion = (tab, windowNumbers, tabGroups) => ({
   type: 'openTab',
   tabId: tab.id,
   windowId: tab.windowId,
   title: tab.title,
-  url: tab.url
+  url: tab.url,
+  favIconUrl: tab.favIconUrl,
+  windowNumber: windowNumbers.get(tab.windowId),
+  groupTitle: tabGroups.get(tab.groupId)?.title,
+  groupColor: tabGroups.get(tab.groupId)?.color,
+  pinned: tab.pinned,
+  audible: Boolean(tab.audible),
+  muted: Boolean(tab.mutedInfo?.muted),
+  discarded: tab.discarded,
+  lastAccessed: tab.lastAccessed
 })
 
 /**
@@ -30,16 +152,23 @@ const newOpenTabSuggestion = tab => ({
  * Results are ordered by recency and
  * the current tab is not included.
  *
- * NOTE: Search text is ignored for this suggestion type.
+ * Specify a window ID to only retrieve tabs in that window.
  *
  * @param {string} searchText
  * @param {RecentTabsManager} recentTabsManager
+ * @param {number} [windowId]
  * @returns {Promise<OpenTabSuggestion[]>}
  */
-export async function getOpenTabSuggestions(searchText, recentTabsManager) {
-  const tabs = await chrome.tabs.query({})
+export async function getOpenTabSuggestions(searchText, recentTabsManager, windowId) {
+  const tabs = await chrome.tabs.query(
+    windowId === undefined
+      ? {}
+      : { windowId }
+  )
 
-  const recentTabs = recentTabsManager.getRecentTabs()
+  const recentTabs = windowId === undefined
+    ? recentTabsManager.getRecentTabs()
+    : await recentTabsManager.getRecentTabsInWindow(windowId)
 
   const tabMap = new Map
 
@@ -59,12 +188,90 @@ export async function getOpenTabSuggestions(searchText, recentTabsManager) {
 
   tabMap.delete(recentTabs[0])
 
-  return Array.from(
-    tabMap.values(),
-    newOpenTabSuggestion
+  return filterSuggestions(
+    await createOpenTabSuggestions(
+      Array.from(tabMap.values())
+    ),
+    searchText
+  )
+}
+
+/**
+ * Creates open tab suggestions for the given tabs, in the same order.
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<OpenTabSuggestion[]>}
+ */
+export async function createOpenTabSuggestions(tabs) {
+  const [windows, tabGroups] = await Promise.all([
+    chrome.windows.getAll({
+      windowTypes: ['normal']
+    }),
+    chrome.tabGroups.query({}),
+  ])
+
+  // Windows are numbered from 1, in creation order.
+  const windowNumbers = new Map(
+    windows.map((window, index) => [window.id, index + 1])
+  )
+
+  const tabGroupMap = new Map(
+    tabGroups.map((tabGroup) => [tabGroup.id, tabGroup])
+  )
+
+  return tabs.map((tab) =>
+    newOpenTabSuggestion(tab, windowNumbers, tabGroupMap)
   )
 }
 
+// Duplicate tab suggestions ---------------------------------------------------
+
+/**
+ * @typedef {OpenTabSuggestion & { duplicateIndex: number, duplicateCount: number, duplicateKept: boolean }} DuplicateTabSuggestion
+ */
+
+/**
+ * Retrieves duplicate tab suggestions—the copies of each cluster
+ * of duplicate tabs, next to each other, with the copy to keep first.
+ * Pinned copies are kept too, as they are never closed.
+ * A cluster is included when any of its copies matches the search text.
+ *
+ * @param {string} searchText
+ * @param {RecentTabsManager} recentTabsManager
+ * @param {DuplicateTabNormalization} duplicateTabNormalization
+ * @returns {Promise<DuplicateTabSuggestion[]>}
+ */
+export async function getDuplicateTabSuggestions(searchText, recentTabsManager, duplicateTabNormalization) {
+  const tabs = await chrome.tabs.query({})
+
+  const duplicateTabClusters = findDuplicateTabs(
+    tabs,
+    recentTabsManager.getRecentTabs(),
+    duplicateTabNormalization
+  )
+
+  const suggestions = await createOpenTabSuggestions(
+    duplicateTabClusters.flatMap(({ tabs }) => tabs)
+  )
+
+  let offset = 0
+
+  return duplicateTabClusters.flatMap(({ tabs }) => {
+    const clusterSuggestions = suggestions
+      .slice(offset, offset += tabs.length)
+      .map((suggestion, index) => ({
+        ...suggestion,
+        duplicateIndex: index,
+        duplicateCount: tabs.length,
+        duplicateKept: index === 0 || tabs[index].pinned
+      }))
+
+    return filterSuggestions(clusterSuggestions, searchText).length > 0
+      ? clusterSuggestions
+      : []
+  })
+}
+
 // Closed tab suggestions ------------------------------------------------------
 
 /**
@@ -73,6 +280,8 @@ export async function getOpenTabSuggestions(searchText, recentTabsManager) {
  * @property {number} sessionId
  * @property {string} title
  * @property {string} url
+ * @property {string} [favIconUrl]
+ * @property {number} lastModified
  */
 
 /**
@@ -85,14 +294,14 @@ const newClosedTabSuggestion = tabSession => ({
   type: 'closedTab',
   sessionId: tabSession.tab.sessionId,
   title: tabSession.tab.title,
-  url: tabSession.tab.url
+  url: tabSession.tab.url,
+  favIconUrl: tabSession.tab.favIconUrl,
+  lastModified: tabSession.lastModified * 1000
 })
 
 /**
  * Retrieves recently closed tab suggestions.
  *
- * NOTE: Search text is ignored for this suggestion type.
- *
  * @param {string} searchText
  * @returns {Promise<ClosedTabSuggestion[]>}
  */
@@ -120,7 +329,7 @@ export async function getRecentlyClosedTabSuggestions(searchText) {
         break
     }
   }
-  return suggestions
+  return filterSuggestions(suggestions, searchText)
 }
 
 // Synced tab suggestions ------------------------------------------------------
@@ -132,6 +341,8 @@ export async function getRecentlyClosedTabSuggestions(searchText) {
  * @property {number} sessionId
  * @property {string} title
  * @property {string} url
+ * @property {string} [favIconUrl]
+ * @property {number} lastModified
  */
 
 /**
@@ -146,21 +357,21 @@ const newSyncedTabSuggestion = (deviceName, tabSession) => ({
   deviceName,
   sessionId: tabSession.tab.sessionId,
   title: tabSession.tab.title,
-  url: tabSession.tab.url
+  url: tabSession.tab.url,
+  favIconUrl: tabSession.tab.favIconUrl,
+  lastModified: tabSession.lastModified * 1000
 })
 
 /**
  * Retrieves synced tab suggestions.
  *
- * NOTE: Search text is ignored for this suggestion type.
- *
  * @param {string} searchText
  * @returns {Promise<SyncedTabSuggestion[]>}
  */
 export async function getSyncedTabSuggestions(searchText) {
   const devices = await chrome.sessions.getDevices()
 
-  return devices.flatMap((device) =>
+  const suggestions = devices.flatMap((device) =>
     device.sessions.flatMap((session) =>
       session.window.tabs.map((tab) =>
         newSyncedTabSuggestion(device.deviceName, {
@@ -170,6 +381,107 @@ export async function getSyncedTabSuggestions(searchText) {
       )
     )
   )
+  return filterSuggestions(suggestions, searchText)
+}
+
+// Tab mark suggestions --------------------------------------------------------
+
+/**
+ * @typedef {object} TabMarkSuggestion
+ * @property {"tabMark"} type
+ * @property {string} markName
+ * @property {string} title
+ * @property {string} url
+ * @property {string} [favIconUrl]
+ * @property {number} timestamp
+ */
+
+/**
+ * Creates a new tab mark suggestion.
+ *
+ * @param {string} name
+ * @param {TabMark} tabMark
+ * @returns {TabMarkSuggestion}
+ */
+const newTabMarkSuggestion = (name, tabMark) => ({
+  type: 'tabMark',
+  markName: name,
+  title: tabMark.title,
+  url: tabMark.url,
+  favIconUrl: tabMark.favIconUrl,
+  timestamp: tabMark.timestamp
+})
+
+/**
+ * Retrieves tab mark suggestions.
+ * Results are ordered by name, local marks first.
+ *
+ * @param {string} searchText
+ * @returns {Promise<TabMarkSuggestion[]>}
+ */
+export async function getTabMarkSuggestions(searchText) {
+  const tabMarks = await getTabMarks()
+
+  const suggestions = Object.entries(tabMarks)
+    .toSorted(([name], [otherName]) =>
+      isGlobalMarkName(name) - isGlobalMarkName(otherName) ||
+      name.localeCompare(otherName)
+    )
+    .map(([name, tabMark]) => newTabMarkSuggestion(name, tabMark))
+
+  return filterSuggestions(suggestions, searchText)
+}
+
+// Workspace suggestions -------------------------------------------------------
+
+/**
+ * @typedef {object} WorkspaceSuggestion
+ * @property {"workspace"} type
+ * @property {string} workspaceName
+ * @property {string} title
+ * @property {string} url
+ * @property {string} [favIconUrl]
+ * @property {number} timestamp
+ */
+
+/**
+ * Creates a new workspace suggestion.
+ * The URL and favicon are those of the active tab in the focused window of the workspace.
+ *
+ * @param {string} name
+ * @param {Workspace} workspace
+ * @returns {WorkspaceSuggestion}
+ */
+const newWorkspaceSuggestion = (name, workspace) => {
+  const workspaceWindow = workspace.windows.find((workspaceWindow) => workspaceWindow.focused) ?? workspace.windows[0]
+  const activeTab = workspaceWindow.tabs.find((tab) => tab.active) ?? workspaceWindow.tabs[0]
+  return {
+    type: 'workspace',
+    workspaceName: name,
+    title: name,
+    url: activeTab.url,
+    favIconUrl: activeTab.favIconUrl,
+    timestamp: workspace.timestamp
+  }
+}
+
+/**
+ * Retrieves workspace suggestions.
+ * Results are ordered by name.
+ *
+ * @param {string} searchText
+ * @returns {Promise<WorkspaceSuggestion[]>}
+ */
+export async function getWorkspaceSuggestions(searchText) {
+  const workspaces = await getWorkspaces()
+
+  const suggestions = Object.entries(workspaces)
+    .toSorted(([name], [otherName]) =>
+      name.localeCompare(otherName)
+    )
+    .map(([name, workspace]) => newWorkspaceSuggestion(name, workspace))
+
+  return filterSuggestions(suggestions, searchText)
 }
 
 // Bookmark suggestions --------------------------------------------------------
@@ -179,6 +491,7 @@ export async function getSyncedTabSuggestions(searchText) {
  * @property {"bookmark"} type
  * @property {string} title
  * @property {string} url
+ * @property {number} [dateAdded]
  */
 
 /**
@@ -190,7 +503,8 @@ export async function getSyncedTabSuggestions(searchText) {
 const newBookmarkSuggestion = bookmark => ({
   type: 'bookmark',
   title: bookmark.title,
-  url: bookmark.url
+  url: bookmark.url,
+  dateAdded: bookmark.dateAdded
 })
 
 /**
@@ -217,6 +531,7 @@ export async function getBookmarkSuggestions(searchText) {
  * @property {"readingList"} type
  * @property {string} title
  * @property {string} url
+ * @property {number} creationTime
  */
 
 /**
@@ -228,20 +543,22 @@ export async function getBookmarkSuggestions(searchText) {
 const newReadingListSuggestion = item => ({
   type: 'readingList',
   title: item.title,
-  url: item.url
+  url: item.url,
+  creationTime: item.creationTime
 })
 
 /**
  * Retrieves reading list suggestions.
  *
- * NOTE: Search text is ignored for this suggestion type.
- *
  * @param {string} searchText
  * @returns {Promise<ReadingListSuggestion[]>}
  */
 export async function getReadingListSuggestions(searchText) {
   const items = await chrome.readingList.query({})
-  return items.map(newReadingListSuggestion)
+  return filterSuggestions(
+    items.map(newReadingListSuggestion),
+    searchText
+  )
 }
 
 // History suggestions ---------------------------------------------------------
@@ -251,6 +568,7 @@ export async function getReadingListSuggestions(searchText) {
  * @property {"history"} type
  * @property {string} title
  * @property {string} url
+ * @property {number} [lastVisitTime]
  */
 
 /**
@@ -262,7 +580,8 @@ export async function getReadingListSuggestions(searchText) {
 const newHistorySuggestion = historyItem => ({
   type: 'history',
   title: historyItem.title,
-  url: historyItem.url
+  url: historyItem.url,
+  lastVisitTime: historyItem.lastVisitTime
 })
 
 /**
@@ -286,6 +605,7 @@ export async function getRecentlyVisitedPageSuggestions(searchText) {
  * @property {number} downloadId
  * @property {string} title
  * @property {string} url
+ * @property {number} endTime
  */
 
 /**
@@ -298,7 +618,8 @@ const newDownloadSuggestion = downloadItem => ({
   type: 'download',
   downloadId: downloadItem.id,
   title: downloadItem.filename.substring(downloadItem.filename.lastIndexOf('/') + 1),
-  url: downloadItem.finalUrl
+  url: downloadItem.finalUrl,
+  endTime: Date.parse(downloadItem.endTime)
 })
 
 /**
@@ -340,14 +661,15 @@ const newExtensionSuggestion = extensionInfo => ({
 /**
  * Retrieves installed extension suggestions.
  *
- * NOTE: Search text is ignored for this suggestion type.
- *
  * @param {string} searchText
  * @returns {Promise<ExtensionSuggestion[]>}
  */
 export async function getInstalledExtensionSuggestions(searchText) {
   const installedExtensions = await chrome.management.getAll()
-  return installedExtensions
-    .filter((extensionInfo) => extensionInfo.type === 'extension')
-    .map(newExtensionSuggestion)
+  return filterSuggestions(
+    installedExtensions
+      .filter((extensionInfo) => extensionInfo.type === 'extension')
+      .map(newExtensionSuggestion),
+    searchText
+  )
 }
@@ -0,0 +1,206 @@
+// This module contains the code to group tabs automatically with rules.
+//
+// A tab grouping rule applies to the tabs whose URL matches a URL pattern,
+// whose hostname is equal to a given hostname, or whose title matches a regular expression.
+// Matching tabs are filed into the group with the rule’s title, in the same window,
+// which is created with the rule’s color if needed.
+//
+// Rules are applied in order; the first matching rule wins.
+// Only ungrouped tabs, and tabs in a group of another rule, are moved,
+// so that groups created by hand are left as they are.
+//
+// URL Pattern API: https://developer.mozilla.org/en-US/docs/Web/API/URL_Pattern_API
+
+import {
+  isValidPagePattern,
+  testPagePattern,
+} from './page_rules.js'
+
+/**
+ * @typedef {object} TabGroupingRule
+ * @property {"url" | "hostname" | "title"} match
+ * @property {string} pattern
+ * @property {string} groupTitle
+ * @property {chrome.tabGroups.ColorEnum} groupColor
+ */
+
+const { TAB_GROUP_ID_NONE } = chrome.tabGroups
+
+export const TAB_GROUPING_RULE_MATCHES = [
+  'url',
+  'hostname',
+  'title',
+]
+
+// https://developer.chrome.com/docs/extensions/reference/api/tabGroups#type-Color
+export const TAB_GROUP_COLORS = [
+  'grey',
+  'blue',
+  'red',
+  'yellow',
+  'green',
+  'pink',
+  'purple',
+  'cyan',
+  'orange',
+]
+
+/**
+ * Tabs are grouped one at a time,
+ * so that a group is not created twice for tabs loading together.
+ *
+ * @type {Promise<void>}
+ */
+let pendingGrouping = Promise.resolve()
+
+/**
+ * Determines whether the pattern of a rule is valid for its kind of match:
+ * a URL pattern, a hostname or a regular expression.
+ *
+ * @param {"url" | "hostname" | "title"} match
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isValidTabGroupingPattern(match, pattern) {
+  switch (match) {
+    case 'url':
+      return isValidPagePattern(pattern)
+
+    case 'hostname':
+      return pattern !== ''
+
+    case 'title':
+      return parseTitlePattern(pattern) !== null
+
+    default:
+      return false
+  }
+}
+
+/**
+ * Finds the first rule matching the given tab, if any.
+ *
+ * @param {TabGroupingRule[]} tabGroupingRules
+ * @param {chrome.tabs.Tab} tab
+ * @returns {TabGroupingRule | undefined}
+ */
+function findTabGroupingRule(tabGroupingRules, tab) {
+  return tabGroupingRules.find((tabGroupingRule) =>
+    testTabGroupingRule(tabGroupingRule, tab)
+  )
+}
+
+/**
+ * Files a tab into the group of the first matching rule, in the same window.
+ * Pinned tabs, tabs matching no rule, and tabs in a group created by hand are left as they are.
+ *
+ * @param {TabGroupingRule[]} tabGroupingRules
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+export async function applyTabGroupingRules(tabGroupingRules, tab) {
+  pendingGrouping = pendingGrouping
+    .then(() => groupTab(tabGroupingRules, tab.id))
+    .catch((error) => {
+      // The tab or its window may have been closed in the meantime.
+      console.error(error)
+    })
+
+  return pendingGrouping
+}
+
+/**
+ * Groups a tab with the given rules.
+ * The tab is retrieved again, as previous groupings may have moved it.
+ *
+ * @param {TabGroupingRule[]} tabGroupingRules
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+async function groupTab(tabGroupingRules, tabId) {
+  const tab = await chrome.tabs.get(tabId)
+
+  if (tab.pinned) {
+    return
+  }
+
+  const tabGroupingRule = findTabGroupingRule(tabGroupingRules, tab)
+
+  if (tabGroupingRule === undefined) {
+    return
+  }
+
+  const tabGroups = await chrome.tabGroups.query({
+    windowId: tab.windowId
+  })
+
+  if (tab.groupId !== TAB_GROUP_ID_NONE) {
+    const currentGroup = tabGroups.find((tabGroup) => tabGroup.id === tab.groupId)
+
+    if (
+      currentGroup === undefined ||
+      currentGroup.title === tabGroupingRule.groupTitle ||
+      !tabGroupingRules.some((otherRule) => otherRule.groupTitle === currentGroup.title)
+    ) {
+      return
+    }
+  }
+
+  const tabGroup = tabGroups.find((tabGroup) => tabGroup.title === tabGroupingRule.groupTitle)
+
+  if (tabGroup) {
+    await chrome.tabs.group({
+      groupId: tabGroup.id,
+      tabIds: [tab.id]
+    })
+  } else {
+    const groupId = await chrome.tabs.group({
+      tabIds: [tab.id],
+      createProperties: {
+        windowId: tab.windowId
+      }
+    })
+
+    await chrome.tabGroups.update(groupId, {
+      title: tabGroupingRule.groupTitle,
+      color: tabGroupingRule.groupColor
+    })
+  }
+}
+
+/**
+ * Tests a tab against a rule. An invalid pattern matches nothing.
+ *
+ * @param {TabGroupingRule} tabGroupingRule
+ * @param {chrome.tabs.Tab} tab
+ * @returns {boolean}
+ */
+function testTabGroupingRule({ match, pattern }, tab) {
+  switch (match) {
+    case 'url':
+      return testPagePattern(pattern, tab.url)
+
+    case 'hostname':
+      return URL.canParse(tab.url) && new URL(tab.url).hostname === pattern
+
+    case 'title':
+      return parseTitlePattern(pattern)?.test(tab.title) ?? false
+
+    default:
+      return false
+  }
+}
+
+/**
+ * Parses a title pattern, or returns null if it is invalid.
+ *
+ * @param {string} pattern
+ * @returns {?RegExp}
+ */
+function parseTitlePattern(pattern) {
+  try {
+    return new RegExp(pattern)
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,248 @@
+// This module contains the code to manage tab marks—named jump points to tabs,
+// similarly to Vim marks.
+//
+// Lowercase marks (a-z) are local to the browser session, and are cleared on startup.
+// Uppercase marks (A-Z) are global, and persist across sessions.
+//
+// Marks are kept in the local storage area, with the URL of the marked tab,
+// to reopen it when closed.
+//
+// Marks: https://vimhelp.org/motion.txt.html#mark-motions
+
+/**
+ * @typedef {object} TabMark
+ * @property {?number} tabId
+ * @property {string} url
+ * @property {string} title
+ * @property {string} [favIconUrl]
+ * @property {number} timestamp
+ */
+
+const MARK_NAME_PATTERN = /^[a-zA-Z]$/
+const GLOBAL_MARK_NAME_PATTERN = /^[A-Z]$/
+
+/**
+ * Marks are updated one at a time,
+ * so that concurrent updates—e.g. a mark set while its tab loads—
+ * do not overwrite each other.
+ *
+ * @type {Promise<void>}
+ */
+let pendingUpdate = Promise.resolve()
+
+/**
+ * Determines whether the given string is a valid mark name.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidMarkName(name) {
+  return MARK_NAME_PATTERN.test(name)
+}
+
+/**
+ * Determines whether the given mark name is a global mark.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isGlobalMarkName(name) {
+  return GLOBAL_MARK_NAME_PATTERN.test(name)
+}
+
+/**
+ * Retrieves the tab marks, by name.
+ *
+ * @returns {Promise<Object<string, TabMark>>}
+ */
+export async function getTabMarks() {
+  const localStorage = await chrome.storage.local.get({
+    tabMarks: {}
+  })
+
+  return localStorage.tabMarks
+}
+
+/**
+ * Assigns a mark to a tab.
+ * Replaces the mark if it already exists.
+ *
+ * @param {string} name
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+export async function setTabMark(name, tab) {
+  if (!isValidMarkName(name)) {
+    throw new RangeError(
+      `Invalid mark name: "${name}"`
+    )
+  }
+
+  await updateStoredTabMarks((tabMarks) => ({
+    ...tabMarks,
+    [name]: {
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title,
+      favIconUrl: tab.favIconUrl,
+      timestamp: Date.now()
+    }
+  }))
+}
+
+/**
+ * Jumps to the tab of a mark.
+ *
+ * If the marked tab was closed, reopens it from the recently closed tabs,
+ * or creates a new tab with its URL.
+ * Returns the activated tab, or null if the mark does not exist.
+ *
+ * @param {string} name
+ * @returns {Promise<?chrome.tabs.Tab>}
+ */
+export async function jumpToTabMark(name) {
+  const tabMarks = await getTabMarks()
+  const tabMark = tabMarks[name]
+
+  if (!tabMark) {
+    return null
+  }
+
+  const tab = (
+    await findMarkedTab(tabMark) ??
+    await restoreMarkedTab(tabMark) ??
+    await chrome.tabs.create({
+      url: tabMark.url
+    })
+  )
+
+  await chrome.tabs.update(tab.id, {
+    active: true
+  })
+
+  await chrome.windows.update(tab.windowId, {
+    focused: true
+  })
+
+  if (tab.id !== tabMark.tabId) {
+    // The mark may have been set again in the meantime.
+    await updateStoredTabMarks((tabMarks) =>
+      tabMarks[name]?.timestamp === tabMark.timestamp
+        ? { ...tabMarks, [name]: { ...tabMarks[name], tabId: tab.id } }
+        : null
+    )
+  }
+
+  return tab
+}
+
+/**
+ * Updates the marks of a tab, when its URL or title changes.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+export async function updateTabMarks(tab) {
+  await updateStoredTabMarks((tabMarks) => {
+    const updatedTabMarks = Object.entries(tabMarks).filter(([name, tabMark]) =>
+      tabMark.tabId === tab.id
+    )
+
+    if (updatedTabMarks.length === 0) {
+      return null
+    }
+
+    for (const [name, tabMark] of updatedTabMarks) {
+      tabMarks[name] = {
+        ...tabMark,
+        url: tab.url,
+        title: tab.title,
+        favIconUrl: tab.favIconUrl
+      }
+    }
+
+    return tabMarks
+  })
+}
+
+/**
+ * Clears local marks, and detaches global marks from their tabs,
+ * since tab IDs do not persist across browser sessions.
+ *
+ * @returns {Promise<void>}
+ */
+export async function resetTabMarks() {
+  await updateStoredTabMarks((tabMarks) =>
+    Object.fromEntries(
+      Object.entries(tabMarks)
+        .filter(([name]) => isGlobalMarkName(name))
+        .map(([name, tabMark]) => [name, { ...tabMark, tabId: null }])
+    )
+  )
+}
+
+/**
+ * Reads, updates and writes back the tab marks, after pending updates.
+ * The update returns the new marks, or null to leave them as is.
+ *
+ * @param {(tabMarks: Object<string, TabMark>) => ?Object<string, TabMark>} update
+ * @returns {Promise<void>}
+ */
+function updateStoredTabMarks(update) {
+  pendingUpdate = pendingUpdate
+    .then(async () => {
+      const tabMarks = update(await getTabMarks())
+
+      if (tabMarks !== null) {
+        await chrome.storage.local.set({
+          tabMarks
+        })
+      }
+    })
+    .catch((error) => {
+      console.error(error)
+    })
+
+  return pendingUpdate
+}
+
+/**
+ * Finds the open tab of a mark.
+ * Falls back to an open tab with the same URL,
+ * e.g. for global marks after the browser restarts.
+ *
+ * @param {TabMark} tabMark
+ * @returns {Promise<?chrome.tabs.Tab>}
+ */
+async function findMarkedTab(tabMark) {
+  const tabs = await chrome.tabs.query({})
+
+  return (
+    tabs.find((tab) => tab.id === tabMark.tabId && tab.url === tabMark.url) ??
+    tabs.find((tab) => tab.url === tabMark.url) ??
+    null
+  )
+}
+
+/**
+ * Reopens the tab of a mark from the recently closed tabs.
+ * Returns the restored tab, or null if it could not be found.
+ *
+ * @param {TabMark} tabMark
+ * @returns {Promise<?chrome.tabs.Tab>}
+ */
+async function restoreMarkedTab(tabMark) {
+  const sessions = await chrome.sessions.getRecentlyClosed()
+
+  const closedTab = sessions
+    .flatMap((session) => session.tab ? [session.tab] : session.window.tabs)
+    .find((tab) => tab.url === tabMark.url)
+
+  if (!closedTab) {
+    return null
+  }
+
+  const session = await chrome.sessions.restore(closedTab.sessionId)
+
+  return session.tab ?? null
+}
@@ -0,0 +1,319 @@
+// This module contains the code to manage workspaces—named layouts of windows,
+// to save and restore them later.
+//
+// A workspace captures the tabs of every normal window, with their pinned state,
+// tab groups—title, color and collapsed state—and split views.
+//
+// Workspaces are kept in the local storage area, by name.
+//
+// NOTE: Chrome does not let extensions create split views.
+// The tabs of a split view are restored next to each other, as separate tabs.
+
+/**
+ * @typedef {object} Workspace
+ * @property {WorkspaceWindow[]} windows
+ * @property {number} timestamp
+ *
+ * @typedef {object} WorkspaceWindow
+ * @property {chrome.windows.WindowState} state
+ * @property {boolean} focused
+ * @property {WorkspaceTab[]} tabs
+ * @property {WorkspaceTabGroup[]} tabGroups
+ *
+ * @typedef {object} WorkspaceTab
+ * @property {string} url
+ * @property {string} title
+ * @property {string} [favIconUrl]
+ * @property {boolean} pinned
+ * @property {boolean} active
+ * @property {number} groupId
+ * @property {number} splitViewId
+ *
+ * @typedef {object} WorkspaceTabGroup
+ * @property {number} id
+ * @property {string} title
+ * @property {chrome.tabGroups.ColorEnum} color
+ * @property {boolean} collapsed
+ */
+
+const { TAB_GROUP_ID_NONE } = chrome.tabGroups
+
+/**
+ * Retrieves the workspaces, by name.
+ *
+ * @returns {Promise<Object<string, Workspace>>}
+ */
+export async function getWorkspaces() {
+  const localStorage = await chrome.storage.local.get({
+    workspaces: {}
+  })
+
+  return localStorage.workspaces
+}
+
+/**
+ * Saves the open windows as a new workspace.
+ *
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export async function saveWorkspace(name) {
+  if (name.trim() === '') {
+    throw new RangeError(
+      `Invalid workspace name: "${name}"`
+    )
+  }
+
+  const workspaces = await getWorkspaces()
+
+  if (Object.hasOwn(workspaces, name)) {
+    throw new Error(
+      `Workspace already exists: "${name}"`
+    )
+  }
+
+  workspaces[name] = await captureWorkspace()
+
+  await chrome.storage.local.set({
+    workspaces
+  })
+}
+
+/**
+ * Replaces a workspace with the open windows.
+ *
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export async function updateWorkspace(name) {
+  const workspaces = await getWorkspaces()
+
+  if (!Object.hasOwn(workspaces, name)) {
+    throw new Error(
+      `Workspace not found: "${name}"`
+    )
+  }
+
+  workspaces[name] = await captureWorkspace()
+
+  await chrome.storage.local.set({
+    workspaces
+  })
+}
+
+/**
+ * Restores a workspace, by opening its windows.
+ *
+ * When merging, the workspace windows are opened alongside the open windows.
+ * When replacing, the open windows are closed afterwards—except incognito ones,
+ * which workspaces never contain.
+ *
+ * @param {string} name
+ * @param {"merge" | "replace"} mode
+ * @returns {Promise<void>}
+ */
+export async function restoreWorkspace(name, mode) {
+  const workspaces = await getWorkspaces()
+
+  if (!Object.hasOwn(workspaces, name)) {
+    throw new Error(
+      `Workspace not found: "${name}"`
+    )
+  }
+
+  const openWindows = await chrome.windows.getAll({
+    windowTypes: ['normal']
+  })
+
+  const replacedWindows = openWindows.filter((openWindow) =>
+    !openWindow.incognito
+  )
+
+  const restoredWindows = []
+
+  for (const workspaceWindow of workspaces[name].windows) {
+    restoredWindows.push(
+      await restoreWindow(workspaceWindow)
+    )
+  }
+
+  if (mode === 'replace') {
+    await Promise.all(
+      replacedWindows.map((openWindow) =>
+        chrome.windows.remove(openWindow.id)
+      )
+    )
+  }
+
+  const focusedWindowIndex = workspaces[name].windows.findIndex((workspaceWindow) =>
+    workspaceWindow.focused
+  )
+
+  if (focusedWindowIndex !== -1) {
+    await chrome.windows.update(restoredWindows[focusedWindowIndex].id, {
+      focused: true
+    })
+  }
+}
+
+/**
+ * Deletes a workspace.
+ *
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export async function deleteWorkspace(name) {
+  const workspaces = await getWorkspaces()
+
+  if (!Object.hasOwn(workspaces, name)) {
+    throw new Error(
+      `Workspace not found: "${name}"`
+    )
+  }
+
+  delete workspaces[name]
+
+  await chrome.storage.local.set({
+    workspaces
+  })
+}
+
+/**
+ * Maps each tab group to a value created from it—e.g. a bookmark folder—
+ * and ungrouped tabs to the given value.
+ * Values are created concurrently.
+ *
+ * @template Value
+ * @param {{ id: number }[]} tabGroups
+ * @param {Value} ungroupedValue
+ * @param {(tabGroup: { id: number }) => Promise<Value>} createValue
+ * @returns {Promise<Map<number, Value>>}
+ */
+export async function mapTabGroups(tabGroups, ungroupedValue, createValue) {
+  const createdValues = await Promise.all(
+    tabGroups.map(createValue)
+  )
+
+  const groupToValue = new Map
+
+  groupToValue.set(TAB_GROUP_ID_NONE, ungroupedValue)
+
+  for (const index in tabGroups) {
+    groupToValue.set(
+      tabGroups[index].id,
+      createdValues[index]
+    )
+  }
+
+  return groupToValue
+}
+
+/**
+ * Captures the open windows, with their tabs and tab groups.
+ * Incognito windows are not included.
+ *
+ * @returns {Promise<Workspace>}
+ */
+async function captureWorkspace() {
+  const windows = await chrome.windows.getAll({
+    populate: true,
+    windowTypes: ['normal']
+  })
+
+  const tabGroups = await chrome.tabGroups.query({})
+
+  const tabGroupsByWindowId = Map.groupBy(tabGroups, (tabGroup) => tabGroup.windowId)
+
+  return {
+    windows: windows
+      .filter((window) => !window.incognito)
+      .map((window) => ({
+        state: window.state,
+        focused: window.focused,
+        tabs: window.tabs.map((tab) => ({
+          url: tab.url || tab.pendingUrl,
+          title: tab.title,
+          favIconUrl: tab.favIconUrl,
+          pinned: tab.pinned,
+          active: tab.active,
+          groupId: tab.groupId,
+          splitViewId: tab.splitViewId
+        })),
+        tabGroups: (tabGroupsByWindowId.get(window.id) ?? []).map((tabGroup) => ({
+          id: tabGroup.id,
+          title: tabGroup.title,
+          color: tabGroup.color,
+          collapsed: tabGroup.collapsed
+        }))
+      })),
+    timestamp: Date.now()
+  }
+}
+
+/**
+ * Restores a workspace window in a new window.
+ * Returns the created window.
+ *
+ * @param {WorkspaceWindow} workspaceWindow
+ * @returns {Promise<chrome.windows.Window>}
+ */
+async function restoreWindow(workspaceWindow) {
+  const createdWindow = await chrome.windows.create({
+    url: workspaceWindow.tabs.map((tab) => tab.url),
+    focused: false
+  })
+
+  const createdTabs = createdWindow.tabs
+
+  // Pinned tabs come first, so pinning them keeps the order of tabs.
+  for (const [index, tab] of workspaceWindow.tabs.entries()) {
+    if (tab.pinned) {
+      await chrome.tabs.update(createdTabs[index].id, {
+        pinned: true
+      })
+    }
+  }
+
+  const createdTabsByGroupId = Map.groupBy(createdTabs, (createdTab, index) =>
+    workspaceWindow.tabs[index].groupId
+  )
+
+  const groupToGroup = await mapTabGroups(workspaceWindow.tabGroups, TAB_GROUP_ID_NONE, async (tabGroup) => {
+    const groupId = await chrome.tabs.group({
+      tabIds: createdTabsByGroupId.get(tabGroup.id).map((createdTab) => createdTab.id),
+      createProperties: {
+        windowId: createdWindow.id
+      }
+    })
+    await chrome.tabGroups.update(groupId, {
+      title: tabGroup.title,
+      color: tabGroup.color
+    })
+    return groupId
+  })
+
+  const activeTabIndex = workspaceWindow.tabs.findIndex((tab) => tab.active)
+
+  if (activeTabIndex !== -1) {
+    await chrome.tabs.update(createdTabs[activeTabIndex].id, {
+      active: true
+    })
+  }
+
+  // Collapse groups last, as activating a tab expands its group.
+  for (const tabGroup of workspaceWindow.tabGroups) {
+    if (tabGroup.collapsed) {
+      await chrome.tabGroups.update(groupToGroup.get(tabGroup.id), {
+        collapsed: true
+      })
+    }
+  }
+
+  if (workspaceWindow.state !== 'normal') {
+    await chrome.windows.update(createdWindow.id, {
+      state: workspaceWindow.state
+    })
+  }
+
+  return createdWindow
+}